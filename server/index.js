@@ -0,0 +1,247 @@
+// Optional AI proxy for shared machines (kiosks, classrooms): keeps the Gemini
+// key on the server and exposes the app's "custom endpoint" contract under /api,
+// with per-client rate limiting and a request size limit. Also serves the built
+// app from dist/ when it exists, so one process runs the whole kiosk.
+//
+//   GEMINI_API_KEY=... node server/index.js
+//
+// Plain Node (18+), no dependencies. Settings come from the environment:
+//   GEMINI_API_KEY        required
+//   PORT                  default 8787
+//   HOST                  default 127.0.0.1 (use 0.0.0.0 to serve other devices)
+//   GEMINI_IMAGE_MODEL    default gemini-2.5-flash-image
+//   GEMINI_ANALYZE_MODEL  default gemini-2.0-flash-exp
+//   RATE_LIMIT            requests per client per minute, default 10
+//   MAX_BODY_MB           largest request body, default 8
+//   UPSTREAM_TIMEOUT      seconds to wait for Gemini, default 120
+//   TRUST_PROXY           set to 1 behind a reverse proxy to use X-Forwarded-For
+import { createServer } from 'node:http'
+import { readFile, stat } from 'node:fs/promises'
+import { extname, isAbsolute, join, normalize, relative, resolve } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const config = {
+  apiKey: process.env.GEMINI_API_KEY || '',
+  port: Number(process.env.PORT) || 8787,
+  host: process.env.HOST || '127.0.0.1',
+  imageModel: process.env.GEMINI_IMAGE_MODEL || 'gemini-2.5-flash-image',
+  analyzeModel: process.env.GEMINI_ANALYZE_MODEL || 'gemini-2.0-flash-exp',
+  rateLimit: Number(process.env.RATE_LIMIT) || 10,
+  maxBodyBytes: (Number(process.env.MAX_BODY_MB) || 8) * 1024 * 1024,
+  upstreamTimeout: (Number(process.env.UPSTREAM_TIMEOUT) || 120) * 1000,
+  trustProxy: process.env.TRUST_PROXY === '1'
+}
+
+const RATE_WINDOW = 60 * 1000 // ms
+const MAX_PROMPT_LENGTH = 4000
+const DIST_DIR = resolve(fileURLToPath(new URL('../dist', import.meta.url)))
+
+const STATIC_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript',
+  '.css': 'text/css',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.json': 'application/json',
+  '.wasm': 'application/wasm'
+}
+
+// Error with the HTTP status to answer with
+class HttpError extends Error {
+  constructor (status, message, headers = {}) {
+    super(message)
+    this.status = status
+    this.headers = headers
+  }
+}
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers })
+  res.end(JSON.stringify(body))
+}
+
+const clientId = (req) => {
+  const forwarded = config.trustProxy && req.headers['x-forwarded-for']
+  return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress
+}
+
+// Sliding window of request times per client
+const requestLog = new Map()
+
+const checkRateLimit = (client) => {
+  const now = Date.now()
+  const recent = (requestLog.get(client) || []).filter(time => now - time < RATE_WINDOW)
+  if (recent.length >= config.rateLimit) {
+    const retryAfter = Math.ceil((recent[0] + RATE_WINDOW - now) / 1000)
+    requestLog.set(client, recent)
+    throw new HttpError(429, `Too many AI requests, try again in ${retryAfter}s`, { 'Retry-After': String(retryAfter) })
+  }
+  recent.push(now)
+  requestLog.set(client, recent)
+}
+
+// Forget idle clients now and then so the map doesn't grow forever
+setInterval(() => {
+  const now = Date.now()
+  for (const [client, times] of requestLog) {
+    if (times.every(time => now - time >= RATE_WINDOW)) requestLog.delete(client)
+  }
+}, RATE_WINDOW).unref()
+
+// Read a JSON body, refusing anything over the size limit
+const readJson = (req) => new Promise((resolve, reject) => {
+  if (Number(req.headers['content-length']) > config.maxBodyBytes) {
+    reject(new HttpError(413, 'Image too large'))
+    return
+  }
+  const chunks = []
+  let size = 0
+  req.on('data', (chunk) => {
+    size += chunk.length
+    if (size > config.maxBodyBytes) {
+      // Drain the rest instead of destroying the socket, so the 413 reaches the client
+      req.removeAllListeners('data')
+      req.resume()
+      reject(new HttpError(413, 'Image too large'))
+      return
+    }
+    chunks.push(chunk)
+  })
+  req.on('end', () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')))
+    } catch {
+      reject(new HttpError(400, 'Body is not valid JSON'))
+    }
+  })
+  req.on('error', reject)
+})
+
+// { prompt, image: { mimeType, data } } as sent by the app's custom provider
+const validateRequest = (body) => {
+  const { prompt, image } = body || {}
+  if (typeof prompt !== 'string' || !prompt.trim()) throw new HttpError(400, 'Missing prompt')
+  if (prompt.length > MAX_PROMPT_LENGTH) throw new HttpError(400, 'Prompt too long')
+  if (typeof image?.data !== 'string' || !image.data) throw new HttpError(400, 'Missing image')
+  if (typeof image.mimeType !== 'string' || !image.mimeType.startsWith('image/')) {
+    throw new HttpError(400, 'Unsupported image type')
+  }
+  return { prompt, image: { mimeType: image.mimeType, data: image.data } }
+}
+
+const generate = async (model, prompt, inlineData) => {
+  let response
+  try {
+    response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-goog-api-key': config.apiKey },
+      body: JSON.stringify({ contents: [{ parts: [{ text: prompt }, { inlineData }] }] }),
+      signal: AbortSignal.timeout(config.upstreamTimeout)
+    })
+  } catch (err) {
+    if (err.name === 'TimeoutError') throw new HttpError(504, 'Gemini API timed out')
+    throw err
+  }
+  if (!response.ok) {
+    const text = await response.text().catch(() => '')
+    console.error(`Gemini ${model} error ${response.status}: ${text.slice(0, 300)}`)
+    // Rate limits and outages pass through so the app retries, other server errors
+    // become a (retryable) bad gateway and rejected requests are not retried
+    const status = [429, 503].includes(response.status)
+      ? response.status
+      : response.status >= 500 ? 502 : 422
+    const retryAfter = response.headers.get('Retry-After')
+    throw new HttpError(status, `Gemini API error: ${response.status}`, retryAfter ? { 'Retry-After': retryAfter } : {})
+  }
+  try {
+    return await response.json()
+  } catch (err) {
+    if (err.name === 'TimeoutError') throw new HttpError(504, 'Gemini API timed out')
+    throw err
+  }
+}
+
+const handlers = {
+  '/api/convert': async ({ prompt, image }) => {
+    const data = await generate(config.imageModel, prompt, image)
+    const part = (data.candidates?.[0]?.content?.parts || []).find(p => p.inlineData)
+    if (!part) throw new HttpError(422, 'No image generated from Gemini API')
+    return { image: { mimeType: part.inlineData.mimeType || 'image/png', data: part.inlineData.data } }
+  },
+  '/api/analyze': async ({ prompt, image }) => {
+    const data = await generate(config.analyzeModel, prompt, image)
+    return { text: data.candidates?.[0]?.content?.parts?.[0]?.text || '' }
+  }
+}
+
+const handleApi = async (req, res, path) => {
+  if (path === '/api/health') {
+    sendJson(res, 200, { ok: true })
+    return
+  }
+  const handler = handlers[path]
+  if (!handler) throw new HttpError(404, 'Not found')
+  if (req.method !== 'POST') throw new HttpError(405, 'Use POST', { Allow: 'POST' })
+
+  checkRateLimit(clientId(req))
+  const body = validateRequest(await readJson(req))
+  sendJson(res, 200, await handler(body))
+}
+
+// Built app from dist/, falling back to index.html for unknown paths
+const serveStatic = async (res, path) => {
+  let decoded
+  try {
+    decoded = decodeURIComponent(path)
+  } catch {
+    throw new HttpError(400, 'Malformed URL')
+  }
+  const target = normalize(join(DIST_DIR, decoded))
+  // Only files inside dist/ (a plain prefix check would also let dist-old/ through)
+  const inside = relative(DIST_DIR, target)
+  let file = inside.startsWith('..') || isAbsolute(inside) ? DIST_DIR : target
+  try {
+    if ((await stat(file)).isDirectory()) file = join(file, 'index.html')
+  } catch {
+    file = join(DIST_DIR, 'index.html')
+  }
+  try {
+    const content = await readFile(file)
+    res.writeHead(200, { 'Content-Type': STATIC_TYPES[extname(file)] || 'application/octet-stream' })
+    res.end(content)
+  } catch {
+    throw new HttpError(404, 'App not built, run "npm run build" first')
+  }
+}
+
+const server = createServer(async (req, res) => {
+  try {
+    let path
+    try {
+      path = new URL(req.url, 'http://localhost').pathname
+    } catch {
+      throw new HttpError(400, 'Bad request')
+    }
+    if (path.startsWith('/api/')) {
+      await handleApi(req, res, path)
+    } else {
+      await serveStatic(res, path)
+    }
+  } catch (err) {
+    const status = err instanceof HttpError ? err.status : 500
+    if (status === 500) console.error(err)
+    if (!res.headersSent) {
+      sendJson(res, status, { error: status === 500 ? 'Internal server error' : err.message }, err.headers)
+    }
+  }
+})
+
+if (!config.apiKey) {
+  console.error('GEMINI_API_KEY is not set')
+  process.exit(1)
+}
+
+server.listen(config.port, config.host, () => {
+  console.log(`AI proxy listening on http://${config.host}:${config.port} (${config.rateLimit} requests/min per client, ${config.maxBodyBytes / 1024 / 1024} MB max)`)
+})
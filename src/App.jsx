@@ -1,7 +1,167 @@
 import { useState, useEffect, useRef } from 'react'
-import { Camera, Download, Terminal, X, Settings, Printer, Sparkles, Plus, Upload } from 'lucide-react'
+import { Camera, Download, Terminal, X, Settings, Printer, Sparkles, Plus, Upload, Wand2, PenTool, Palette, Save, Trash2, Check, Archive, BookOpen, ChevronUp, ChevronDown, RefreshCw, Brush, Eraser, PaintBucket, Undo2, Redo2, PenLine, Slash, CircleDot, Hand, ZoomIn, ZoomOut, Maximize, Crop, RotateCw, RotateCcw, FlipHorizontal, FlipVertical, Timer, Video, Square, Film, Play, Pause, Eye, Database } from 'lucide-react'
+import { DEFAULT_PARAMS, LINE_METHODS, PARAM_RANGES } from './lib/lineArt'
+import { createLineArtWorker, isWorkerSupported } from './lib/frameWorker'
+import {
+  BUILT_IN_PRESETS,
+  createPresetId,
+  exportPresets,
+  loadUserPresets,
+  mergePresets,
+  paramsEqual,
+  parsePresetFile,
+  sanitizeParams,
+  saveUserPresets
+} from './lib/presets.js'
+import { DEFAULT_PBN_OPTIONS, generatePaintByNumber, renderPaintByNumberKit } from './lib/paintByNumber.js'
+import { DEFAULT_SVG_OPTIONS, traceLineArtToSvg } from './lib/svgExport.js'
+import {
+  CONVERT_MAX_SIZE,
+  PBN_MAX_SIZE,
+  blobToDataUrl,
+  canvasToBlob,
+  dataUrlToBlob,
+  downloadUrl,
+  extensionForMimeType,
+  imageToCanvas,
+  loadImage,
+  renderLineArtToCanvas
+} from './lib/imageUtils'
+import { formatBytes, getStorageEstimate, isIndexedDbSupported, isQuotaError, requestPersistentStorage } from './lib/db.js'
+import {
+  clearGalleryStore,
+  deleteGalleryItems,
+  loadGalleryItems,
+  GALLERY_ITEM_LABELS,
+  isImageItem,
+  releaseGalleryItems,
+  saveGalleryItems,
+  toGalleryItem
+} from './lib/galleryStore.js'
+import { createZip } from './lib/zip.js'
+import { canRegenerate, describeProvenance, getOriginalId, provenanceFrom } from './lib/provenance.js'
+import { COLORING_PALETTE, createColoringSession } from './lib/coloringSession.js'
+import { createLineArtEditor, fitView, zoomView } from './lib/lineArtEditor.js'
+import {
+  ASPECT_PRESETS,
+  DEFAULT_TRANSFORM,
+  FULL_CROP,
+  applyCropTransform,
+  aspectCrop,
+  dragCrop,
+  getTransformedSize,
+  normalizedAspect,
+  renderTransformed
+} from './lib/cropTransform.js'
+import {
+  BURST_INTERVAL,
+  BURST_SIZES,
+  CAPTURE_DELAYS,
+  DEFAULT_CAPTURE_OPTIONS,
+  STILL_THRESHOLD,
+  createMotionMeter,
+  frameSharpness
+} from './lib/capture.js'
+import { createCanvasRecorder, formatDuration, isRecordingSupported } from './lib/recorder.js'
+import {
+  DEFAULT_EXTRACT_OPTIONS,
+  EXTRACT_WARN_COUNT,
+  FRAME_RATES,
+  VIDEO_FILE_TYPES,
+  getExtractTimes,
+  resolveVideoDuration,
+  seekVideo
+} from './lib/videoSource.js'
+import {
+  DEFAULT_CAMERA_OPTIONS,
+  buildVideoConstraints,
+  describeCameraError,
+  drawVideoFrame,
+  getFrameRect,
+  getResolutionChoices
+} from './lib/cameraSettings.js'
+import { AI_PROVIDERS, DEFAULT_AI_SETTINGS, createAiProvider, getMissingAiConfig } from './lib/aiProviders.js'
+import {
+  BUILT_IN_TEMPLATES,
+  DEFAULT_PROMPT_VARIABLES,
+  createTemplateId,
+  getTemplateVariables,
+  loadUserTemplates,
+  renderPrompt,
+  saveUserTemplates
+} from './lib/promptTemplates.js'
+import {
+  DEFAULT_RETOUCH_PROMPT,
+  MAX_STRENGTH,
+  MIN_STRENGTH,
+  RETOUCH_OPERATIONS,
+  applyRetouchPlan,
+  describePlan,
+  parseRetouchPlan,
+  updatePlanOperation
+} from './lib/retouchPlan.js'
+import { MAX_CONCURRENCY, createJobQueue, isJobActive } from './lib/jobQueue.js'
+import {
+  AI_CACHE_LIMITS,
+  clearAiCache,
+  deleteAiCacheEntries,
+  evictAiCache,
+  hashAiRequest,
+  listAiCache,
+  listAiCacheVariants,
+  readAiCache,
+  writeAiCache
+} from './lib/aiCache.js'
+import { DEFAULT_BOOK_OPTIONS, PAGE_SIZES, createColoringBookPdf } from './lib/book.js'
+import {
+  DEFAULT_PRINT_OPTIONS,
+  PER_SHEET_OPTIONS,
+  POSTER_GRIDS,
+  PRINT_BORDERS,
+  buildPosterDocument,
+  buildPrintDocument,
+  getPosterSize,
+  getSheetSize,
+  printHtml
+} from './lib/printLayout.js'
 import './App.css'
 
+const PRINT_PREVIEW_WIDTH = 260 // px
+
+// Set at build time for kiosks: AI requests go to this proxy (see server/index.js),
+// which holds the API key, and the key fields are hidden
+const AI_PROXY_URL = import.meta.env.VITE_AI_PROXY_URL || ''
+
+// AI modal statuses that still follow their job; later ones belong to the modal
+const JOB_MODAL_STATUSES = ['queued', 'analyzing', 'processing', 'retrying']
+
+// AI modal state for the job it shows (null once the job is cancelled)
+const followAiJob = (modal, job) => {
+  switch (job.status) {
+    case 'queued':
+      return { ...modal, status: 'queued', progress: 0 }
+    case 'running':
+      return { ...modal, status: job.stage === 'processing' ? 'processing' : 'analyzing', progress: job.progress }
+    case 'retrying':
+      return { ...modal, status: 'retrying', attempt: job.attempt + 1, retryError: job.error }
+    case 'done':
+      return job.kind === 'convert'
+        ? { ...modal, status: 'complete', progress: 100, enhanced: job.result.data, prompt: job.result.prompt }
+        : {
+            ...modal,
+            status: 'review',
+            prompt: job.result.prompt,
+            plan: job.result.plan,
+            planSource: job.result.parsed.source,
+            planWarnings: job.result.parsed.warnings
+          }
+    case 'error':
+      return { ...modal, status: 'error', error: job.error }
+    default:
+      return null
+  }
+}
+
 function App() {
   const videoRef = useRef(null)
   const canvasRef = useRef(null) // Processed output
@@ -9,29 +169,155 @@ function App() {
   const logContentRef = useRef(null)
   const galleryRef = useRef(null)
   const fileInputRef = useRef(null)
+  const presetFileInputRef = useRef(null)
+  const convertCanvasRef = useRef(null) // Live preview for "Convert with current settings"
+  const convertSourceRef = useRef(null) // Downscaled photo being converted
+  const pbnCanvasRef = useRef(null) // Paint-by-number preview
+  const coloringCanvasRef = useRef(null) // Coloring mode canvas
+  const coloringSessionRef = useRef(null)
+  const editorCanvasRef = useRef(null) // Touch-up editor canvas
+  const editorViewportRef = useRef(null)
+  const editorRef = useRef(null)
+  const editorPanRef = useRef(null) // Last pointer position while panning
+  const cropCanvasRef = useRef(null) // Crop dialog preview
+  const cropStageRef = useRef(null)
+  const cropImageRef = useRef(null) // Loaded photo being cropped
+  const cropDragRef = useRef(null) // {handle, start, x, y, width, height} while dragging
+  const captureRunRef = useRef(null) // {cancelled} while a countdown or burst is running
+  const handleCaptureRef = useRef(null) // Latest handleCapture, for the auto-capture timer
+  const recorderRef = useRef(null) // Active canvas recorder
+  const videoFileInputRef = useRef(null)
+  const extractRunRef = useRef(null) // {cancelled} while extracting frames
+  const cameraOptionsRef = useRef(null) // Latest camera options, for the processing loop
+  const frameRectRef = useRef(null) // Part of the video frame that is drawn
   const [streaming, setStreaming] = useState(false)
   const [opencvReady, setOpencvReady] = useState(false)
   const [cameras, setCameras] = useState([])
   const [selectedCamera, setSelectedCamera] = useState('')
-  const [gallery, setGallery] = useState([])
+  const [cameraOptions, setCameraOptions] = useState(() => {
+    try {
+      return { ...DEFAULT_CAMERA_OPTIONS, ...JSON.parse(localStorage.getItem('camera_options') || '{}') }
+    } catch {
+      return DEFAULT_CAMERA_OPTIONS
+    }
+  })
+  const [cameraCapabilities, setCameraCapabilities] = useState(null) // {width, height} ranges of the track
+  const [cameraError, setCameraError] = useState(null)
+  const [videoFile, setVideoFile] = useState(null) // {name, url} when a local file replaces the camera
+  const [playback, setPlayback] = useState({ playing: false, currentTime: 0, duration: 0 })
+  const [extractOptions, setExtractOptions] = useState(DEFAULT_EXTRACT_OPTIONS)
+  const [extracting, setExtracting] = useState(null) // {done, total}
+  const [gallery, setGallery] = useState([]) // {id, type, timestamp, blob, data (object URL), uploaded?, unsaved?}
+  const [storageInfo, setStorageInfo] = useState(null) // {usage, quota} in bytes
+  const [storageError, setStorageError] = useState(null)
+  const [selectedIds, setSelectedIds] = useState([]) // Multi-selected gallery item ids
+  const [bookModal, setBookModal] = useState(null) // {pageIds, status, progress, error}
+  const [bookOptions, setBookOptions] = useState(DEFAULT_BOOK_OPTIONS)
+  const [coloringModal, setColoringModal] = useState(null) // {image, status, canUndo, canRedo, error}
+  const [coloringTool, setColoringTool] = useState({ tool: 'fill', color: COLORING_PALETTE[1], size: 16, tolerance: 48 })
+  const [editorModal, setEditorModal] = useState(null) // {image, status, canUndo, canRedo, error}
+  const [editorTool, setEditorTool] = useState({ tool: 'pen', size: 4 })
+  const [editorView, setEditorView] = useState({ zoom: 1, x: 0, y: 0 })
+  const [cropModal, setCropModal] = useState(null) // {image, status, transform, crop, aspect, saving, error}
+  const [printModal, setPrintModal] = useState(null) // {images: [{data, width, height}], status, error}
+  const [printOptions, setPrintOptions] = useState(() => {
+    try {
+      return { ...DEFAULT_PRINT_OPTIONS, ...JSON.parse(localStorage.getItem('print_options') || '{}') }
+    } catch {
+      return DEFAULT_PRINT_OPTIONS
+    }
+  })
+  const [captureOptions, setCaptureOptions] = useState(() => {
+    try {
+      return { ...DEFAULT_CAPTURE_OPTIONS, ...JSON.parse(localStorage.getItem('capture_options') || '{}') }
+    } catch {
+      return DEFAULT_CAPTURE_OPTIONS
+    }
+  })
+  const [capturing, setCapturing] = useState(false)
+  const [countdown, setCountdown] = useState(null) // Seconds left before the shot
+  const [stillProgress, setStillProgress] = useState(0) // 0-1 towards an auto-capture
+  const [recording, setRecording] = useState(null) // {startedAt, elapsed} while recording
   const [logs, setLogs] = useState([])
   const [showSidebar, setShowSidebar] = useState(false) // Sidebar visibility
   const [sidebarTab, setSidebarTab] = useState('settings') // Active tab: 'settings' or 'logs'
   const [hoveredImage, setHoveredImage] = useState(null) // Track hovered image
   const [loading, setLoading] = useState(true)
-  const [retouchModal, setRetouchModal] = useState(null) // {original, enhanced, status, progress}
+  const [retouchModal, setRetouchModal] = useState(null) // {jobId, original, enhanced, status, progress, source, prompt, plan, planSource, planWarnings, cacheKey, cacheVariants}
+  const [cacheBrowser, setCacheBrowser] = useState(null) // {status, entries: [{...entry, url}], error}
+  // Background AI jobs; the modal follows one of them until it has a result
+  const [aiJobs, setAiJobs] = useState([])
+  const activeAiJobs = aiJobs.filter(isJobActive)
+  const [jobsPanelOpen, setJobsPanelOpen] = useState(true)
+  const aiQueueRef = useRef(null)
+  if (!aiQueueRef.current) {
+    aiQueueRef.current = createJobQueue({
+      onChange: (jobs) => {
+        setAiJobs(jobs)
+        setRetouchModal(prev => {
+          if (!prev?.jobId || !JOB_MODAL_STATUSES.includes(prev.status)) return prev
+          const job = jobs.find(entry => entry.id === prev.jobId)
+          return job ? followAiJob(prev, job) : prev
+        })
+      }
+    })
+  }
+  const [convertPreview, setConvertPreview] = useState(null) // {image, status, error}
+  const [pbnModal, setPbnModal] = useState(null) // {image, options, status, kit, error}
+  const [pbnOptions, setPbnOptions] = useState(DEFAULT_PBN_OPTIONS)
+  const [pbnFilled, setPbnFilled] = useState(false) // Preview colored result instead of the printable page
+  // AI Convert prompt: a template with {variables}, filled in just before sending
   const [convertPrompt, setConvertPrompt] = useState(
-    "convert the image into a cartoon wireframe for kids' painting with white background"
+    () => localStorage.getItem('convert_prompt') || BUILT_IN_TEMPLATES[0].text
   )
-  const [retouchPrompt, setRetouchPrompt] = useState(
-    "Analyze this coloring book line art image. Identify issues like: broken lines, noise, uneven line thickness, or unclear edges. Suggest processing techniques from: denoise, sharpen, connect_lines, smooth_edges. Reply with only comma-separated keywords."
+  const [promptVariables, setPromptVariables] = useState(() => {
+    try {
+      return { ...DEFAULT_PROMPT_VARIABLES, ...JSON.parse(localStorage.getItem('prompt_variables') || '{}') }
+    } catch {
+      return DEFAULT_PROMPT_VARIABLES
+    }
+  })
+  const [userTemplates, setUserTemplates] = useState(loadUserTemplates)
+  const [activeTemplateId, setActiveTemplateId] = useState(
+    () => localStorage.getItem('convert_prompt_template') || BUILT_IN_TEMPLATES[0].id
   )
+  const [templateName, setTemplateName] = useState('')
+  const [retouchPrompt, setRetouchPrompt] = useState(DEFAULT_RETOUCH_PROMPT)
   const [geminiApiKey, setGeminiApiKey] = useState(() => {
+    // Proxy mode never keeps a key in the browser
+    if (AI_PROXY_URL) return ''
     // Load API key from localStorage or use environment variable as fallback
+    // (vite.config.js leaves the variable out of proxy builds)
     return localStorage.getItem('gemini_api_key') || import.meta.env.VITE_GEMINI_API_KEY || ''
   })
+  const [aiSettings, setAiSettings] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem('ai_settings') || '{}')
+      // Proxy mode drops provider keys saved by earlier sessions (the save effect
+      // then rewrites ai_settings without them)
+      const keys = AI_PROXY_URL ? { apiKey: '' } : {}
+      return {
+        provider: saved.provider || DEFAULT_AI_SETTINGS.provider,
+        concurrency: saved.concurrency || DEFAULT_AI_SETTINGS.concurrency,
+        cacheLimitMb: saved.cacheLimitMb || DEFAULT_AI_SETTINGS.cacheLimitMb,
+        gemini: { ...DEFAULT_AI_SETTINGS.gemini, ...saved.gemini },
+        openai: { ...DEFAULT_AI_SETTINGS.openai, ...saved.openai, ...keys },
+        custom: { ...DEFAULT_AI_SETTINGS.custom, ...saved.custom, ...keys }
+      }
+    } catch {
+      return DEFAULT_AI_SETTINGS
+    }
+  })
   const animationIdRef = useRef(null)
   const frameCountRef = useRef(0)
+  const workerRef = useRef(null) // Off-main-thread line-art processing
+  const lastItemIdRef = useRef(0) // Gallery ids double as timestamps and must stay unique
+  const selectionAnchorRef = useRef(null) // Last clicked item, start of a shift-click range
+
+  // Proxy mode never keeps a key in the browser, not even one saved before
+  useEffect(() => {
+    if (AI_PROXY_URL) localStorage.removeItem('gemini_api_key')
+  }, [])
 
   // Save API key to localStorage when it changes
   useEffect(() => {
@@ -49,32 +335,73 @@ function App() {
     }
   }
 
-  // Processing parameters
-  const [params, setParams] = useState({
-    // Bilateral filter
-    bilateralD: 9,
-    bilateralSigmaColor: 75,
-    bilateralSigmaSpace: 75,
-    // Median Blur
-    medianBlurKsize: 5,
-    // Gaussian Blur
-    gaussianBlurKsize: 5,
-    gaussianSigma: 0,
-    // Adaptive threshold
-    thresholdBlockSize: 25,
-    thresholdC: 10,
-    // Morphological operations
-    kernelSize: 3,
-    dilationIterations: 2,
-    erosionIterations: 1,
-    // Processing toggles - all disabled by default
-    useBilateralFilter: false,
-    useMedianBlur: false,
-    useGaussianBlur: false,
-    useMorphClose: false,
-    useDilation: false,
-    useErosion: false
+  // Parameter presets (built-in + user presets persisted in localStorage)
+  const [userPresets, setUserPresets] = useState(loadUserPresets)
+  const [activePresetId, setActivePresetId] = useState(
+    () => localStorage.getItem('line_art_active_preset') || BUILT_IN_PRESETS[0].id
+  )
+  const [presetName, setPresetName] = useState('')
+  const allPresets = [...BUILT_IN_PRESETS, ...userPresets]
+  const activePreset = allPresets.find(preset => preset.id === activePresetId) || null
+
+  // Processing parameters (restored from the last session)
+  const [params, setParams] = useState(() => {
+    try {
+      const stored = localStorage.getItem('line_art_params')
+      return stored ? sanitizeParams(JSON.parse(stored)) : DEFAULT_PARAMS
+    } catch {
+      return DEFAULT_PARAMS
+    }
   })
+  const paramsRef = useRef(params) // Latest params for the frame loop without restarting it
+  const [svgOptions, setSvgOptions] = useState(DEFAULT_SVG_OPTIONS)
+  const presetModified = activePreset ? !paramsEqual(params, activePreset.params) : false
+  const allTemplates = [...BUILT_IN_TEMPLATES, ...userTemplates]
+  const activeTemplate = allTemplates.find(template => template.id === activeTemplateId) || null
+  const templateModified = activeTemplate ? activeTemplate.text !== convertPrompt : false
+  const templateVariables = getTemplateVariables(convertPrompt)
+
+  useEffect(() => {
+    paramsRef.current = params
+    localStorage.setItem('line_art_params', JSON.stringify(params))
+  }, [params])
+
+  useEffect(() => {
+    saveUserPresets(userPresets)
+  }, [userPresets])
+
+  useEffect(() => {
+    saveUserTemplates(userTemplates)
+  }, [userTemplates])
+
+  useEffect(() => {
+    localStorage.setItem('convert_prompt', convertPrompt)
+    localStorage.setItem('convert_prompt_template', activeTemplateId)
+    localStorage.setItem('prompt_variables', JSON.stringify(promptVariables))
+  }, [convertPrompt, activeTemplateId, promptVariables])
+
+  useEffect(() => {
+    localStorage.setItem('print_options', JSON.stringify(printOptions))
+  }, [printOptions])
+
+  useEffect(() => {
+    localStorage.setItem('capture_options', JSON.stringify(captureOptions))
+  }, [captureOptions])
+
+  useEffect(() => {
+    localStorage.setItem('ai_settings', JSON.stringify(aiSettings))
+    aiQueueRef.current.setConcurrency(aiSettings.concurrency)
+  }, [aiSettings])
+
+  useEffect(() => {
+    localStorage.setItem('camera_options', JSON.stringify(cameraOptions))
+    cameraOptionsRef.current = cameraOptions
+  }, [cameraOptions])
+
+  useEffect(() => {
+    localStorage.setItem('line_art_active_preset', activePresetId)
+  }, [activePresetId])
+
 
   // Logger function
   const addLog = (message, type = 'info') => {
@@ -82,6 +409,241 @@ function App() {
     setLogs(prev => [...prev, { message, type, timestamp }])
   }
 
+  const refreshStorageInfo = async () => {
+    setStorageInfo(await getStorageEstimate())
+  }
+
+  // Restore the gallery saved in IndexedDB
+  useEffect(() => {
+    if (!isIndexedDbSupported()) {
+      setStorageError('This browser cannot save images. They will be lost when you close the tab.')
+      return
+    }
+
+    let cancelled = false
+    loadGalleryItems()
+      .then(records => {
+        if (cancelled) return
+        const items = records.map(toGalleryItem)
+        lastItemIdRef.current = Math.max(lastItemIdRef.current, ...items.map(item => item.id))
+        // Anything captured while loading is newer than the stored items
+        setGallery(prev => [...prev, ...items])
+        if (items.length > 0) {
+          addLog(`💾 Restored ${items.length} image(s) from the saved gallery`, 'success')
+        }
+      })
+      .catch(err => {
+        if (cancelled) return
+        addLog(`❌ Could not load saved gallery: ${err.message}`, 'error')
+        setStorageError('Saved images could not be loaded. New images may not be kept.')
+      })
+
+    requestPersistentStorage()
+    refreshStorageInfo()
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const allocateItemId = () => {
+    const id = Math.max(Date.now(), lastItemIdRef.current + 1)
+    lastItemIdRef.current = id
+    return id
+  }
+
+  // Add new items to the front of the gallery and persist them.
+  // Each entry has a type, the image as `blob` or `data` URL, and any extra fields
+  // to store (provenance, or an `id` from allocateItemId when items reference each other).
+  const addToGallery = async (entries) => {
+    const blobs = await Promise.all(entries.map(({ blob, data }) => blob || dataUrlToBlob(data)))
+
+    // Allocate ids oldest-first so the first entry ends up newest
+    const ids = [...entries].reverse().map(entry => entry.id ?? allocateItemId()).reverse()
+
+    const items = entries.map(({ blob, data, ...fields }, i) => ({
+      ...fields,
+      id: ids[i],
+      timestamp: ids[i],
+      blob: blobs[i],
+      data: URL.createObjectURL(blobs[i])
+    }))
+    setGallery(prev => [...items, ...prev])
+    await persistGalleryItems(items)
+    return items
+  }
+
+  // Swap an item's image for a new blob, keeping its id and provenance
+  const replaceGalleryImage = async (item, blob) => {
+    const updated = { ...item, blob, data: URL.createObjectURL(blob), unsaved: false }
+    setGallery(prev => prev.map(entry => (entry.id === item.id ? updated : entry)))
+    releaseGalleryItems([item])
+    await persistGalleryItems([updated])
+    return updated
+  }
+
+  // Write items to IndexedDB; on failure keep them for this session but flag them as not saved
+  const persistGalleryItems = async (items) => {
+    try {
+      await saveGalleryItems(items)
+      setStorageError(null)
+    } catch (err) {
+      const unsavedIds = new Set(items.map(item => item.id))
+      setGallery(prev => prev.map(item => (unsavedIds.has(item.id) ? { ...item, unsaved: true } : item)))
+      if (isQuotaError(err)) {
+        addLog('❌ Storage full: image kept only until the tab is closed', 'error')
+        setStorageError('Storage is full. New images are only kept until you close the tab; clear the gallery to free space.')
+      } else {
+        addLog(`❌ Could not save image: ${err.message}`, 'error')
+        setStorageError(`Images could not be saved: ${err.message}`)
+      }
+    }
+
+    refreshStorageInfo()
+  }
+
+  // Remove every gallery item from memory and storage
+  const handleClearGallery = async () => {
+    if (!window.confirm(`Delete all ${gallery.length} image(s) from the gallery? This cannot be undone.`)) return
+
+    try {
+      if (isIndexedDbSupported()) await clearGalleryStore()
+    } catch (err) {
+      addLog(`❌ Could not clear saved gallery: ${err.message}`, 'error')
+      return
+    }
+
+    releaseGalleryItems(gallery)
+    setGallery([])
+    setSelectedIds([])
+    setStorageError(null)
+    refreshStorageInfo()
+    addLog('🗑️ Gallery cleared', 'success')
+  }
+
+  // Remove items from memory and storage. Resolves to false if storage failed.
+  const deleteItems = async (items) => {
+    const ids = items.map(item => item.id)
+    try {
+      if (isIndexedDbSupported()) await deleteGalleryItems(ids)
+    } catch (err) {
+      addLog(`❌ Could not delete image(s): ${err.message}`, 'error')
+      return false
+    }
+
+    releaseGalleryItems(items)
+    const removed = new Set(ids)
+    setGallery(prev => prev.filter(item => !removed.has(item.id)))
+    setSelectedIds(prev => prev.filter(id => !removed.has(id)))
+    setHoveredImage(prev => (removed.has(prev) ? null : prev))
+    refreshStorageInfo()
+    return true
+  }
+
+  const handleDeleteImage = async (image) => {
+    if (await deleteItems([image])) {
+      addLog(`🗑️ Deleted ${GALLERY_ITEM_LABELS[image.type].toLowerCase()}`)
+    }
+  }
+
+  // Selected items in gallery order
+  const selectedItems = gallery.filter(item => selectedIds.includes(item.id))
+  const selectedImages = selectedItems.filter(isImageItem)
+
+  // Click toggles an item; shift-click adds the range from the last clicked item
+  const handleGalleryItemClick = (event, image) => {
+    if (event.target.closest('button')) return
+
+    const anchorIndex = gallery.findIndex(item => item.id === selectionAnchorRef.current)
+    if (event.shiftKey && anchorIndex !== -1) {
+      const index = gallery.findIndex(item => item.id === image.id)
+      const rangeIds = gallery
+        .slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+        .map(item => item.id)
+      setSelectedIds(prev => [...new Set([...prev, ...rangeIds])])
+      return
+    }
+
+    selectionAnchorRef.current = image.id
+    setSelectedIds(prev => (prev.includes(image.id)
+      ? prev.filter(id => id !== image.id)
+      : [...prev, image.id]))
+  }
+
+  const handleDeleteSelected = async () => {
+    const count = selectedItems.length
+    if (!window.confirm(`Delete ${count} selected image(s)? This cannot be undone.`)) return
+    if (await deleteItems(selectedItems)) {
+      addLog(`🗑️ Deleted ${count} image(s)`, 'success')
+    }
+  }
+
+  // Download the selected images as one ZIP archive
+  const handleDownloadZip = async () => {
+    addLog(`🗜️ Packing ${selectedItems.length} image(s) into a ZIP...`)
+    try {
+      const zip = await createZip(selectedItems.map((item, index) => ({
+        name: `${String(index + 1).padStart(3, '0')}-${item.type}-${item.id}.${extensionForMimeType(item.blob.type)}`,
+        data: item.blob,
+        date: new Date(item.timestamp)
+      })))
+      const url = URL.createObjectURL(zip)
+      downloadUrl(url, `coloring-gallery-${Date.now()}.zip`)
+      setTimeout(() => URL.revokeObjectURL(url), 1000)
+      addLog(`📥 Downloaded ZIP (${formatBytes(zip.size)})`, 'success')
+    } catch (err) {
+      addLog(`❌ ZIP error: ${err.message}`, 'error')
+    }
+  }
+
+  // Open "Create Book" with the selection (in click order) or every coloring page, oldest first
+  const handleOpenBook = () => {
+    const pageIds = selectedItems.length > 0
+      ? selectedIds.filter(id => gallery.some(item => item.id === id && isImageItem(item)))
+      : gallery.filter(item => item.type === 'coloring').map(item => item.id).reverse()
+    setBookModal({ pageIds, status: 'idle', progress: 0 })
+  }
+
+  const bookPages = (bookModal?.pageIds || [])
+    .map(id => gallery.find(item => item.id === id))
+    .filter(Boolean)
+  const bookAvailable = bookModal
+    ? gallery.filter(item => isImageItem(item) && !bookModal.pageIds.includes(item.id))
+    : []
+
+  // Move a page by id; pages deleted from the gallery meanwhile are dropped so
+  // positions match the list on screen
+  const handleMoveBookPage = (id, delta) => {
+    setBookModal(prev => {
+      const pageIds = prev.pageIds.filter(pageId => gallery.some(item => item.id === pageId))
+      const index = pageIds.indexOf(id)
+      if (index === -1) return prev
+      pageIds.splice(index, 1)
+      pageIds.splice(index + delta, 0, id)
+      return { ...prev, pageIds }
+    })
+  }
+
+  const handleCreateBook = async () => {
+    addLog(`📖 Creating ${PAGE_SIZES[bookOptions.pageSize].label} book with ${bookPages.length} page(s)...`)
+    setBookModal(prev => ({ ...prev, status: 'generating', progress: 0, error: null }))
+
+    try {
+      const pdf = await createColoringBookPdf(bookPages, bookOptions, (done, total) => {
+        setBookModal(prev => prev && { ...prev, progress: Math.round((done / total) * 100) })
+      })
+      const name = bookOptions.title.trim().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'coloring-book'
+      const url = URL.createObjectURL(pdf)
+      downloadUrl(url, `${name}.pdf`)
+      setTimeout(() => URL.revokeObjectURL(url), 1000)
+      setBookModal(prev => prev && { ...prev, status: 'idle', progress: 100 })
+      addLog(`📥 Downloaded ${name}.pdf (${formatBytes(pdf.size)})`, 'success')
+    } catch (err) {
+      addLog(`❌ Book error: ${err.message || err}`, 'error')
+      setBookModal(prev => prev && { ...prev, status: 'error', error: err.message || String(err) })
+    }
+  }
+
   // Auto-scroll logs to bottom
   useEffect(() => {
     if (logContentRef.current) {
@@ -172,9 +734,45 @@ function App() {
     }
   }, [])
 
-  // Initialize camera
+  // Start the line-art worker (the frame loop falls back to the main thread until it is ready)
+  useEffect(() => {
+    if (!isWorkerSupported()) {
+      addLog('⚠️ Web Workers not supported, processing on main thread', 'warning')
+      return
+    }
+
+    // Frame errors repeat at frame rate, so each message is logged once until a frame succeeds
+    let lastError = null
+    const worker = createLineArtWorker({
+      onReady: () => addLog('🧵 Line-art worker ready, processing off the main thread', 'success'),
+      onFrame: (bitmap) => {
+        lastError = null
+        const canvas = canvasRef.current
+        if (canvas) {
+          canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+        }
+        bitmap.close()
+      },
+      onError: (message, fatal) => {
+        if (fatal) {
+          addLog(`⚠️ Worker unavailable, processing on main thread: ${message}`, 'warning')
+        } else if (message !== lastError) {
+          lastError = message
+          addLog(`❌ Worker processing error: ${message}`, 'error')
+        }
+      }
+    })
+    workerRef.current = worker
+
+    return () => {
+      worker.terminate()
+      workerRef.current = null
+    }
+  }, [])
+
+  // Initialize the camera, or the local video file when one is loaded
   useEffect(() => {
-    if (!opencvReady || !selectedCamera) {
+    if (!opencvReady || (!selectedCamera && !videoFile)) {
       if (!opencvReady) {
         addLog('⏳ Waiting for OpenCV to be ready...', 'warning')
       }
@@ -183,6 +781,69 @@ function App() {
 
     let isSubscribed = true
 
+    // Size the canvases to the source once its dimensions are known. A camera
+    // that can't deliver portrait is cropped to it; files are shown as they are.
+    const handleMetadata = () => {
+      if (!isSubscribed) return
+      const { videoWidth, videoHeight } = videoRef.current
+      addLog(`📹 Video metadata loaded: ${videoWidth}x${videoHeight}`, 'success')
+      const rect = getFrameRect(videoWidth, videoHeight, videoFile ? 'landscape' : cameraOptions.orientation)
+      frameRectRef.current = rect
+      if (rect.width !== videoWidth) {
+        addLog(`✂️ Camera delivers landscape, cropping to portrait ${rect.width}x${rect.height}`)
+      }
+      if (canvasRef.current) {
+        canvasRef.current.width = rect.width
+        canvasRef.current.height = rect.height
+      }
+      if (originalCanvasRef.current) {
+        originalCanvasRef.current.width = rect.width
+        originalCanvasRef.current.height = rect.height
+      }
+      setStreaming(true)
+      addLog('🎬 Starting video processing...', 'success')
+    }
+
+    const initVideoFile = () => {
+      const video = videoRef.current
+      if (!video) return
+      addLog(`🎞️ Using video file: ${videoFile.name}`)
+
+      const updatePlayback = () => {
+        if (!isSubscribed) return
+        setPlayback({
+          playing: !video.paused,
+          currentTime: video.currentTime,
+          duration: Number.isFinite(video.duration) ? video.duration : 0
+        })
+      }
+      video.onloadedmetadata = async () => {
+        handleMetadata()
+        if (!Number.isFinite(video.duration)) {
+          addLog('⏳ Video file does not report its length (usual for recorded WebM), measuring it...')
+          const duration = await resolveVideoDuration(video)
+          if (!isSubscribed) return
+          if (!duration) {
+            addLog('⚠️ Could not find the video length, so scrubbing and frame extraction are unavailable', 'warning')
+          }
+        }
+        updatePlayback()
+      }
+      video.ontimeupdate = updatePlayback
+      video.onplay = updatePlayback
+      video.onpause = updatePlayback
+      video.onerror = () => {
+        if (isSubscribed) addLog(`❌ Video file error: ${video.error?.message || 'unsupported format'}`, 'error')
+      }
+
+      video.muted = true
+      video.loop = true
+      video.src = videoFile.url
+      video.play().catch(err => {
+        addLog(`⚠️ Video play error: ${err.message}`, 'warning')
+      })
+    }
+
     const initCamera = async () => {
       const cameraLabel = cameras.find(c => c.deviceId === selectedCamera)?.label || 'Selected camera'
       addLog(`🎥 Initializing camera: ${cameraLabel}`)
@@ -198,40 +859,27 @@ function App() {
       }
 
       try {
-        const constraints = {
-          video: {
-            deviceId: { exact: selectedCamera },
-            aspectRatio: { ideal: 16/9, min: 1.3 }, // Force landscape (min 1.3 = at least 4:3)
-            width: { ideal: 1280, min: 640 },
-            height: { ideal: 720, max: 720 },
-            facingMode: 'user' // Prefer front camera
-          }
-        }
+        const constraints = buildVideoConstraints(selectedCamera, cameraOptions)
 
         addLog('📸 Requesting camera access...')
         const stream = await navigator.mediaDevices.getUserMedia(constraints)
 
-        if (!isSubscribed) return
+        if (!isSubscribed) {
+          stream.getTracks().forEach(track => track.stop())
+          return
+        }
 
         addLog('✅ Camera access granted', 'success')
+        setCameraError(null)
+
+        // Resolutions on offer, for the resolution picker
+        const track = stream.getVideoTracks()[0]
+        const capabilities = track?.getCapabilities?.()
+        setCameraCapabilities(capabilities?.width ? { width: capabilities.width, height: capabilities.height } : null)
 
         if (videoRef.current) {
           videoRef.current.srcObject = stream
-
-          videoRef.current.onloadedmetadata = () => {
-            if (!isSubscribed) return
-            addLog(`📹 Video metadata loaded: ${videoRef.current.videoWidth}x${videoRef.current.videoHeight}`, 'success')
-            if (canvasRef.current) {
-              canvasRef.current.width = videoRef.current.videoWidth
-              canvasRef.current.height = videoRef.current.videoHeight
-            }
-            if (originalCanvasRef.current) {
-              originalCanvasRef.current.width = videoRef.current.videoWidth
-              originalCanvasRef.current.height = videoRef.current.videoHeight
-            }
-            setStreaming(true)
-            addLog('🎬 Starting video processing...', 'success')
-          }
+          videoRef.current.onloadedmetadata = handleMetadata
 
           // Play the video
           videoRef.current.play().catch(err => {
@@ -240,24 +888,41 @@ function App() {
         }
       } catch (err) {
         if (isSubscribed) {
-          addLog(`❌ Camera error: ${err.message}`, 'error')
+          const message = describeCameraError(err, cameraOptions)
+          addLog(`❌ Camera error: ${message}`, 'error')
+          setCameraError(message)
         }
       }
     }
 
-    initCamera()
+    if (videoFile) {
+      initVideoFile()
+    } else {
+      initCamera()
+    }
 
     return () => {
       isSubscribed = false
-      if (videoRef.current?.srcObject) {
-        videoRef.current.srcObject.getTracks().forEach(track => track.stop())
+      const video = videoRef.current
+      if (video?.srcObject) {
+        video.srcObject.getTracks().forEach(track => track.stop())
+      }
+      if (video && videoFile) {
+        video.pause()
+        video.ontimeupdate = null
+        video.onplay = null
+        video.onpause = null
+        video.onerror = null
+        video.removeAttribute('src')
+        video.load()
+        video.loop = false
       }
       if (animationIdRef.current) {
         cancelAnimationFrame(animationIdRef.current)
       }
       setStreaming(false)
     }
-  }, [opencvReady, selectedCamera, cameras])
+  }, [opencvReady, selectedCamera, cameras, videoFile, cameraOptions.orientation, cameraOptions.resolution])
 
   // Process video frames
   useEffect(() => {
@@ -296,7 +961,8 @@ function App() {
           return
         }
 
-        if (video.readyState !== video.HAVE_ENOUGH_DATA) {
+        // A paused or just-seeked file only has the current frame, which is enough
+        if (video.readyState < video.HAVE_CURRENT_DATA) {
           animationIdRef.current = requestAnimationFrame(processVideo)
           return
         }
@@ -314,138 +980,21 @@ function App() {
         }
         frameCountRef.current = (frameCountRef.current + 1) % 30
 
-        // Draw original video to originalCanvas
+        // Draw original video to originalCanvas, cropped and mirrored as set;
+        // everything downstream (coloring view, capture, recording) uses this canvas
         const originalCtx = originalCanvas.getContext('2d')
-        originalCtx.drawImage(video, 0, 0, originalCanvas.width, originalCanvas.height)
-
-        // Create a temporary canvas to draw video frame for processing
-        const tempCanvas = document.createElement('canvas')
-        tempCanvas.width = video.videoWidth
-        tempCanvas.height = video.videoHeight
-        const tempCtx = tempCanvas.getContext('2d')
-        tempCtx.drawImage(video, 0, 0, tempCanvas.width, tempCanvas.height)
-
-        // Create matrices for processing
-        const src = window.cv.imread(tempCanvas)
-        const dst = new window.cv.Mat()
-        const gray = new window.cv.Mat()
-        const blurred = new window.cv.Mat()
-        const thresh = new window.cv.Mat()
-        const closed = new window.cv.Mat()
-
-        // Convert to grayscale
-        window.cv.cvtColor(src, gray, window.cv.COLOR_RGBA2GRAY)
-
-        // Apply noise reduction filters (optional)
-        let processedGray = gray.clone()
-
-        // Bilateral filter - reduces noise but keeps edges sharp
-        if (params.useBilateralFilter) {
-          const bilateral = new window.cv.Mat()
-          window.cv.bilateralFilter(
-            processedGray,
-            bilateral,
-            params.bilateralD,
-            params.bilateralSigmaColor,
-            params.bilateralSigmaSpace
-          )
-          processedGray.delete()
-          processedGray = bilateral
-        }
-
-        // Median Blur - removes salt-and-pepper noise
-        if (params.useMedianBlur) {
-          const median = new window.cv.Mat()
-          // Ksize must be odd
-          const ksize = params.medianBlurKsize % 2 === 0
-            ? params.medianBlurKsize + 1
-            : params.medianBlurKsize
-          window.cv.medianBlur(processedGray, median, ksize)
-          processedGray.delete()
-          processedGray = median
-        }
+        const rect = frameRectRef.current || { x: 0, y: 0, width: video.videoWidth, height: video.videoHeight }
+        drawVideoFrame(originalCtx, video, rect, cameraOptionsRef.current?.mirror && !!video.srcObject)
 
-        // Gaussian Blur - smooth noise reduction
-        if (params.useGaussianBlur) {
-          const gaussian = new window.cv.Mat()
-          // Ksize must be odd
-          const ksize = params.gaussianBlurKsize % 2 === 0
-            ? params.gaussianBlurKsize + 1
-            : params.gaussianBlurKsize
-          window.cv.GaussianBlur(
-            processedGray,
-            gaussian,
-            new window.cv.Size(ksize, ksize),
-            params.gaussianSigma
-          )
-          processedGray.delete()
-          processedGray = gaussian
-        }
-
-        processedGray.copyTo(blurred)
-        processedGray.delete()
-
-        // Apply adaptive threshold for coloring book effect
-        // blockSize must be odd and >= 3
-        const blockSize = params.thresholdBlockSize % 2 === 0
-          ? params.thresholdBlockSize + 1
-          : params.thresholdBlockSize
-        window.cv.adaptiveThreshold(
-          blurred,
-          thresh,
-          255,
-          window.cv.ADAPTIVE_THRESH_GAUSSIAN_C,
-          window.cv.THRESH_BINARY,
-          blockSize,
-          params.thresholdC
-        )
-
-        // Apply morphological closing to connect lines
-        const kernel = window.cv.getStructuringElement(
-          window.cv.MORPH_ELLIPSE,
-          new window.cv.Size(params.kernelSize, params.kernelSize)
-        )
-
-        if (params.useMorphClose) {
-          window.cv.morphologyEx(thresh, closed, window.cv.MORPH_CLOSE, kernel)
+        const worker = workerRef.current
+        if (worker?.isReady()) {
+          // Hand the frame to the worker; frames arriving while it is busy are dropped
+          worker.submit(originalCanvas, paramsRef.current)
         } else {
-          thresh.copyTo(closed)
-        }
-
-        // Apply erosion to thin lines (optional)
-        let morphResult = closed.clone()
-        if (params.useErosion) {
-          const eroded = new window.cv.Mat()
-          window.cv.erode(morphResult, eroded, kernel, new window.cv.Point(-1, -1), params.erosionIterations)
-          morphResult.delete()
-          morphResult = eroded
+          // Main-thread fallback, reading straight from the original canvas
+          renderLineArtToCanvas(originalCanvas, canvas, paramsRef.current, window.cv)
         }
 
-        // Apply dilation to thicken lines (optional)
-        if (params.useDilation) {
-          const dilated = new window.cv.Mat()
-          window.cv.dilate(morphResult, dilated, kernel, new window.cv.Point(-1, -1), params.dilationIterations)
-          morphResult.delete()
-          morphResult = dilated
-        }
-
-        morphResult.copyTo(dst)
-        morphResult.delete()
-
-        // Display the result
-        window.cv.imshow(canvas, dst)
-
-        // Clean up kernel
-        kernel.delete()
-
-        // Clean up
-        src.delete()
-        dst.delete()
-        gray.delete()
-        blurred.delete()
-        thresh.delete()
-        closed.delete()
-
         // Reset error count on success
         errorCount = 0
       } catch (err) {
@@ -465,1187 +1014,4294 @@ function App() {
         addLog('🛑 Stopped video processing loop')
       }
     }
-  }, [streaming, opencvReady, params])
-
-  // Handle camera selection change
-  const handleCameraChange = (e) => {
-    const newCameraId = e.target.value
-    const cameraLabel = cameras.find(c => c.deviceId === newCameraId)?.label || 'Selected camera'
-    addLog(`🔄 Switching to: ${cameraLabel}`)
-    setSelectedCamera(newCameraId)
-  }
+  }, [streaming, opencvReady])
 
-  // Capture image
-  const handleCapture = () => {
-    addLog('📷 Capture button clicked')
-    try {
-      const processedCanvas = canvasRef.current
-      const originalCanvas = originalCanvasRef.current
+  // Auto-capture once the scene has been still for captureOptions.stillSeconds.
+  // After a shot the scene has to move again before the next one.
+  useEffect(() => {
+    if (!streaming || !captureOptions.autoCapture) {
+      setStillProgress(0)
+      return
+    }
 
-      if (!processedCanvas || !originalCanvas) return
+    const meter = createMotionMeter()
+    const stillMs = captureOptions.stillSeconds * 1000
+    let stillSince = null
+    let armed = true
 
-      const processedData = processedCanvas.toDataURL('image/png')
-      const originalData = originalCanvas.toDataURL('image/png')
-      const timestamp = Date.now()
+    const timer = setInterval(() => {
+      const canvas = originalCanvasRef.current
+      if (!canvas || captureRunRef.current) return
 
-      addLog('✅ Images captured successfully (Original + Processed)', 'success')
+      if (meter.measure(canvas) > STILL_THRESHOLD) {
+        stillSince = null
+        armed = true
+        setStillProgress(0)
+        return
+      }
+      if (!armed) return
+
+      stillSince ??= Date.now()
+      const progress = Math.min(1, (Date.now() - stillSince) / stillMs)
+      // Round so the app only re-renders a few times per second
+      setStillProgress(Math.round(progress * 10) / 10)
+      if (progress >= 1) {
+        armed = false
+        setStillProgress(0)
+        addLog('🤖 Scene is still, auto-capturing')
+        handleCaptureRef.current()
+      }
+    }, 200)
 
-      // Add both images to gallery as separate items
-      setGallery(prev => [
-        {
-          id: timestamp + 1,
-          data: processedData,
-          type: 'coloring',
-          timestamp: timestamp + 1
-        },
-        {
-          id: timestamp,
-          data: originalData,
-          type: 'original',
-          timestamp
-        },
-        ...prev
-      ])
-    } catch (err) {
-      addLog(`❌ Capture error: ${err.message}`, 'error')
-    }
-  }
+    return () => clearInterval(timer)
+  }, [streaming, captureOptions.autoCapture, captureOptions.stillSeconds])
 
-  // Print image
-  const handlePrintImage = (image) => {
-    addLog('🖨️ Opening print dialog...')
+  // Recording timer
+  useEffect(() => {
+    if (!recording) return
+    const timer = setInterval(() => {
+      setRecording(prev => prev && { ...prev, elapsed: Date.now() - prev.startedAt })
+    }, 500)
+    return () => clearInterval(timer)
+  }, [!!recording])
+
+  // Finish the recording if the camera stops (camera switch or unmount)
+  useEffect(() => {
+    if (!streaming && recorderRef.current) handleToggleRecording()
+  }, [streaming])
 
-    // Check if popup was blocked
-    const printWindow = window.open('', '_blank')
-    if (!printWindow) {
-      addLog('❌ Pop-up blocked! Please allow pop-ups for this site.', 'error')
-      alert('Please allow pop-ups to print images')
+  // Load the photo chosen for "Convert with current settings"
+  useEffect(() => {
+    const image = convertPreview?.image
+    if (!image) {
+      convertSourceRef.current = null
       return
     }
 
-    printWindow.document.write(`
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <title>Print Coloring Page</title>
-          <style>
-            body {
-              margin: 0;
-              padding: 0;
-              display: flex;
-              justify-content: center;
-              align-items: center;
-              min-height: 100vh;
-              background: white;
-            }
-            img {
-              max-width: 100%;
-              max-height: 100vh;
-              display: block;
-            }
-            @media print {
-              body { margin: 0; }
-              img {
-                max-width: 100%;
-                height: auto;
-                page-break-inside: avoid;
-              }
-            }
-          </style>
-        </head>
-        <body>
-          <img src="${image.data}" id="printImage" />
-          <script>
-            // Wait for image to load, then print
-            var img = document.getElementById('printImage');
-            img.onload = function() {
-              setTimeout(function() {
-                window.print();
-                // Close after print dialog is dismissed (for desktop browsers)
-                // Don't close on Safari mobile as it causes issues
-                setTimeout(function() {
-                  try {
-                    window.close();
-                  } catch (e) {
-                    console.log('Could not auto-close window');
-                  }
-                }, 100);
-              }, 500);
-            };
-
-            // If image is already cached and loaded
-            if (img.complete) {
-              setTimeout(function() {
-                window.print();
-                setTimeout(function() {
-                  try {
-                    window.close();
-                  } catch (e) {
-                    console.log('Could not auto-close window');
-                  }
-                }, 100);
-              }, 500);
-            }
-          </script>
-        </body>
-      </html>
-    `)
-    printWindow.document.close()
-    addLog('✅ Print window opened', 'success')
-  }
+    let cancelled = false
+    loadImage(image.data)
+      .then(img => {
+        if (cancelled) return
+        const source = imageToCanvas(img, CONVERT_MAX_SIZE)
+        convertSourceRef.current = source
+        addLog(`📏 Converting at ${source.width}x${source.height}`)
+        setConvertPreview(prev => prev && { ...prev, status: 'ready' })
+      })
+      .catch(err => {
+        if (cancelled) return
+        addLog(`❌ Convert error: ${err.message}`, 'error')
+        setConvertPreview(prev => prev && { ...prev, status: 'error', error: err.message })
+      })
 
-  // Handle file upload
-  const handleFileUpload = async (event) => {
-    const file = event.target.files?.[0]
-    if (!file) return
+    return () => {
+      cancelled = true
+    }
+  }, [convertPreview?.image])
 
-    addLog('📤 File selected: ' + file.name)
+  // Start a coloring session once the page has loaded
+  useEffect(() => {
+    const image = coloringModal?.image
+    if (!image) {
+      coloringSessionRef.current = null
+      return
+    }
 
-    try {
-      // Read file as data URL
-      const reader = new FileReader()
-      reader.onload = async (e) => {
-        try {
-          const imageData = e.target.result
-          addLog('✅ File loaded successfully')
-
-          // Add original image to gallery
-          const timestamp = Date.now()
-          setGallery(prev => [{
-            id: timestamp,
-            data: imageData,
-            type: 'original',
-            timestamp,
-            uploaded: true
-          }, ...prev])
-
-          addLog('📸 Image added to gallery. Click "AI Convert" to process it.', 'success')
-        } catch (err) {
-          addLog(`❌ Error processing file: ${err.message}`, 'error')
-        }
-      }
+    let cancelled = false
+    loadImage(image.data)
+      .then(img => {
+        if (cancelled || !coloringCanvasRef.current) return
+        coloringSessionRef.current = createColoringSession(coloringCanvasRef.current, img, {
+          onHistoryChange: history => setColoringModal(prev => prev && { ...prev, ...history })
+        })
+        setColoringModal(prev => prev && { ...prev, status: 'ready' })
+      })
+      .catch(err => {
+        if (cancelled) return
+        addLog(`❌ Coloring error: ${err.message}`, 'error')
+        setColoringModal(prev => prev && { ...prev, status: 'error', error: err.message })
+      })
 
-      reader.onerror = () => {
-        addLog('❌ Failed to read file', 'error')
-      }
+    return () => {
+      cancelled = true
+    }
+  }, [coloringModal?.image])
 
-      reader.readAsDataURL(file)
-    } catch (err) {
-      addLog(`❌ Upload error: ${err.message}`, 'error')
+  // Load the photo for the crop dialog
+  useEffect(() => {
+    const image = cropModal?.image
+    if (!image) {
+      cropImageRef.current = null
+      return
     }
 
-    // Reset input so the same file can be selected again
-    event.target.value = ''
-  }
+    let cancelled = false
+    loadImage(image.data)
+      .then(img => {
+        if (cancelled) return
+        cropImageRef.current = img
+        setCropModal(prev => prev && { ...prev, status: 'ready' })
+      })
+      .catch(err => {
+        if (cancelled) return
+        addLog(`❌ Crop error: ${err.message}`, 'error')
+        setCropModal(prev => prev && { ...prev, status: 'error', error: err.message })
+      })
 
-  // Apply advanced OpenCV processing based on Gemini suggestions
-  const applyAdvancedProcessing = (imageData, suggestions, removeBackground = false) => {
-    return new Promise((resolve, reject) => {
-      // Add timeout to prevent hanging
-      const timeout = setTimeout(() => {
-        reject(new Error('Processing timeout - image too large or complex'))
-      }, 30000) // 30 second timeout
+    return () => {
+      cancelled = true
+    }
+  }, [cropModal?.image])
 
-      try {
-        addLog('🔧 Applying advanced processing...')
-        if (removeBackground) {
-          addLog('🎯 Background removal enabled')
-        }
-
-        // Create temp canvas from image data
-        const img = new Image()
-        img.onload = () => {
-          try {
-            const tempCanvas = document.createElement('canvas')
-
-            // Resize if image is too large (for faster processing)
-            const maxSize = 1024
-            let width = img.width
-            let height = img.height
-
-            if (width > maxSize || height > maxSize) {
-              if (width > height) {
-                height = (height / width) * maxSize
-                width = maxSize
-              } else {
-                width = (width / height) * maxSize
-                height = maxSize
-              }
-              addLog(`📏 Resizing to ${Math.round(width)}x${Math.round(height)} for faster processing`)
-            }
-
-            tempCanvas.width = width
-            tempCanvas.height = height
-            const tempCtx = tempCanvas.getContext('2d')
-            tempCtx.drawImage(img, 0, 0, width, height)
-
-            // Process with OpenCV
-            const src = window.cv.imread(tempCanvas)
-            let processingSrc = src.clone()
+  // Redraw the crop preview whenever the rotation, straightening or flips change
+  useEffect(() => {
+    const img = cropImageRef.current
+    const canvas = cropCanvasRef.current
+    if (cropModal?.status !== 'ready' || !img || !canvas) return
 
-            // Background removal using improved edge detection
-            if (removeBackground) {
-              try {
-                addLog('🖼️ Removing background...')
+    const preview = renderTransformed(img, cropModal.transform, 900)
+    canvas.width = preview.width
+    canvas.height = preview.height
+    canvas.getContext('2d').drawImage(preview, 0, 0)
+  }, [cropModal?.status, cropModal?.transform])
 
-                // Convert to grayscale for processing
-                const gray = new window.cv.Mat()
-                window.cv.cvtColor(processingSrc, gray, window.cv.COLOR_RGBA2GRAY)
+  // Start the touch-up editor once the page has loaded, fitted to the viewport
+  useEffect(() => {
+    const image = editorModal?.image
+    if (!image) {
+      editorRef.current = null
+      return
+    }
 
-                // Apply bilateral filter to smooth while preserving edges
-                const bilateral = new window.cv.Mat()
-                window.cv.bilateralFilter(gray, bilateral, 9, 75, 75)
+    let cancelled = false
+    loadImage(image.data)
+      .then(img => {
+        if (cancelled || !editorCanvasRef.current) return
+        const editor = createLineArtEditor(editorCanvasRef.current, img, {
+          onHistoryChange: history => setEditorModal(prev => prev && { ...prev, ...history })
+        })
+        editorRef.current = editor
+        const viewport = editorViewportRef.current
+        setEditorView(fitView(editor.width, editor.height, viewport.clientWidth, viewport.clientHeight))
+        setEditorModal(prev => prev && { ...prev, status: 'ready' })
+      })
+      .catch(err => {
+        if (cancelled) return
+        addLog(`❌ Editor error: ${err.message}`, 'error')
+        setEditorModal(prev => prev && { ...prev, status: 'error', error: err.message })
+      })
 
-                // Use Canny edge detection to find strong edges
-                const edges = new window.cv.Mat()
-                window.cv.Canny(bilateral, edges, 50, 150)
+    return () => {
+      cancelled = true
+    }
+  }, [editorModal?.image])
 
-                // Dilate edges to create thicker lines for better mask
-                const kernel = window.cv.getStructuringElement(
-                  window.cv.MORPH_ELLIPSE,
-                  new window.cv.Size(3, 3)
-                )
-                const dilatedEdges = new window.cv.Mat()
-                window.cv.dilate(edges, dilatedEdges, kernel, new window.cv.Point(-1, -1), 2)
+  // Wheel zoom in the editor, around the cursor. Attached natively because
+  // React's wheel listener is passive and can't stop the page from scrolling.
+  useEffect(() => {
+    const viewport = editorViewportRef.current
+    if (!viewport) return
 
-                // Find contours to identify main subject
-                const contours = new window.cv.MatVector()
-                const hierarchy = new window.cv.Mat()
-                window.cv.findContours(
-                  dilatedEdges,
-                  contours,
-                  hierarchy,
-                  window.cv.RETR_EXTERNAL,
-                  window.cv.CHAIN_APPROX_SIMPLE
-                )
+    const handleWheel = (e) => {
+      e.preventDefault()
+      const rect = viewport.getBoundingClientRect()
+      const factor = e.deltaY < 0 ? 1.15 : 1 / 1.15
+      setEditorView(prev => zoomView(prev, factor, e.clientX - rect.left, e.clientY - rect.top))
+    }
 
-                // Create mask and fill largest contours (main subject)
-                const mask = window.cv.Mat.zeros(height, width, window.cv.CV_8UC1)
+    viewport.addEventListener('wheel', handleWheel, { passive: false })
+    return () => viewport.removeEventListener('wheel', handleWheel)
+  }, [!!editorModal])
 
-                // Find largest contours by area
-                const contourAreas = []
-                for (let i = 0; i < contours.size(); i++) {
-                  const area = window.cv.contourArea(contours.get(i))
-                  contourAreas.push({ index: i, area })
-                }
-                contourAreas.sort((a, b) => b.area - a.area)
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y) while coloring or touching up
+  useEffect(() => {
+    if (!coloringModal && !editorModal) return
+
+    const handleKeyDown = (e) => {
+      const session = coloringSessionRef.current || editorRef.current
+      if (!session || !(e.ctrlKey || e.metaKey)) return
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        session.undo()
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault()
+        session.redo()
+      }
+    }
 
-                // Fill top contours (main subjects)
-                const numContoursToKeep = Math.min(3, contourAreas.length)
-                for (let i = 0; i < numContoursToKeep; i++) {
-                  const idx = contourAreas[i].index
-                  window.cv.drawContours(
-                    mask,
-                    contours,
-                    idx,
-                    [255, 255, 255, 255],
-                    window.cv.FILLED
-                  )
-                }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [!!coloringModal || !!editorModal])
 
-                // Morphological operations to clean up mask
-                const closingKernel = window.cv.getStructuringElement(
-                  window.cv.MORPH_ELLIPSE,
-                  new window.cv.Size(15, 15)
-                )
-                const closedMask = new window.cv.Mat()
-                window.cv.morphologyEx(mask, closedMask, window.cv.MORPH_CLOSE, closingKernel, new window.cv.Point(-1, -1), 3)
+  // Draw the paint-by-number kit (or its colored preview) once generated
+  useEffect(() => {
+    if (pbnModal?.status !== 'ready' || !pbnCanvasRef.current) return
+    renderPaintByNumberKit(pbnCanvasRef.current, pbnModal.kit, { filled: pbnFilled })
+  }, [pbnModal?.status, pbnModal?.kit, pbnFilled])
 
-                // Apply Gaussian blur to soften mask edges
-                const smoothMask = new window.cv.Mat()
-                window.cv.GaussianBlur(closedMask, smoothMask, new window.cv.Size(21, 21), 0)
+  // Re-render the conversion preview whenever the sliders change
+  useEffect(() => {
+    if (convertPreview?.status !== 'ready' || !opencvReady) return
+    if (!convertSourceRef.current || !convertCanvasRef.current) return
 
-                // Apply mask to original image
-                const foreground = new window.cv.Mat()
-                processingSrc.copyTo(foreground)
+    try {
+      renderLineArtToCanvas(convertSourceRef.current, convertCanvasRef.current, params)
+    } catch (err) {
+      addLog(`❌ Preview error: ${err.message || err}`, 'error')
+    }
+  }, [convertPreview?.status, params, opencvReady])
 
-                // Replace background with white
-                for (let i = 0; i < height; i++) {
-                  for (let j = 0; j < width; j++) {
-                    const maskValue = smoothMask.ucharPtr(i, j)[0]
-                    if (maskValue < 128) { // Background
-                      foreground.ucharPtr(i, j)[0] = 255
-                      foreground.ucharPtr(i, j)[1] = 255
-                      foreground.ucharPtr(i, j)[2] = 255
-                      foreground.ucharPtr(i, j)[3] = 255
-                    }
-                  }
-                }
+  // Handle camera selection change
+  const handleCameraChange = (e) => {
+    const newCameraId = e.target.value
+    const cameraLabel = cameras.find(c => c.deviceId === newCameraId)?.label || 'Selected camera'
+    addLog(`🔄 Switching to: ${cameraLabel}`)
+    handleCloseVideoFile()
+    setSelectedCamera(newCameraId)
+  }
 
-                processingSrc.delete()
-                processingSrc = foreground
+  // Use a local MP4/WebM file as the live source instead of the camera
+  const handleVideoFileSelect = (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
 
-                // Clean up
-                gray.delete()
-                bilateral.delete()
-                edges.delete()
-                kernel.delete()
-                dilatedEdges.delete()
-                contours.delete()
-                hierarchy.delete()
-                mask.delete()
-                closingKernel.delete()
-                closedMask.delete()
-                smoothMask.delete()
+    if (videoFile) URL.revokeObjectURL(videoFile.url)
+    setStreaming(false)
+    setVideoFile({ name: file.name, url: URL.createObjectURL(file) })
+  }
 
-                addLog('✓ Background removed with edge detection')
-              } catch (bgErr) {
-                addLog(`⚠️ Background removal failed, proceeding without it: ${bgErr.message}`, 'warning')
-              }
-            }
+  // Back to the camera
+  const handleCloseVideoFile = () => {
+    if (!videoFile) return
+    if (extractRunRef.current) extractRunRef.current.cancelled = true
+    URL.revokeObjectURL(videoFile.url)
+    setVideoFile(null)
+    setPlayback({ playing: false, currentTime: 0, duration: 0 })
+    addLog('📹 Switched back to the camera')
+  }
 
-            const gray = new window.cv.Mat()
-
-            // Convert to grayscale
-            window.cv.cvtColor(processingSrc, gray, window.cv.COLOR_RGBA2GRAY)
-
-            let processed = gray.clone()
-
-            // 1. Apply bilateral filter to reduce noise while preserving edges
-            const bilateral = new window.cv.Mat()
-            window.cv.bilateralFilter(processed, bilateral, 9, 75, 75)
-            processed.delete()
-            processed = bilateral
-            addLog('✓ Applied bilateral filter')
-
-            // 2. Use Canny edge detection for bold lines
-            const cannyEdges = new window.cv.Mat()
-            if (suggestions.includes('edge_detect') || suggestions.includes('bold_lines')) {
-              // Lower thresholds for more details
-              window.cv.Canny(processed, cannyEdges, 30, 100)
-              addLog('✓ Applied Canny edge detection')
-            } else {
-              // Use adaptive threshold as fallback
-              window.cv.adaptiveThreshold(
-                processed,
-                cannyEdges,
-                255,
-                window.cv.ADAPTIVE_THRESH_GAUSSIAN_C,
-                window.cv.THRESH_BINARY,
-                11,
-                2
-              )
-              addLog('✓ Applied adaptive threshold')
-            }
+  const handleTogglePlayback = () => {
+    const video = videoRef.current
+    if (!video) return
+    if (video.paused) {
+      video.play().catch(err => addLog(`⚠️ Video play error: ${err.message}`, 'warning'))
+    } else {
+      video.pause()
+    }
+  }
 
-            // 3. Invert if needed (Canny gives white lines on black, we want black on white)
-            const inverted = new window.cv.Mat()
-            window.cv.bitwise_not(cannyEdges, inverted)
-
-            // 4. Dilate to make lines thicker/bolder
-            const thickenKernel = window.cv.getStructuringElement(
-              window.cv.MORPH_ELLIPSE,
-              new window.cv.Size(2, 2)
-            )
-            const thickened = new window.cv.Mat()
-            const dilationAmount = suggestions.includes('bold_lines') ? 2 : 1
-            window.cv.dilate(inverted, thickened, thickenKernel, new window.cv.Point(-1, -1), dilationAmount)
-            addLog(`✓ Thickened lines (${dilationAmount}x)`)
-
-            // 5. Morphological closing to connect broken lines
-            let finalThickened = thickened
-            if (suggestions.includes('connect_lines')) {
-              const connectKernel = window.cv.getStructuringElement(
-                window.cv.MORPH_ELLIPSE,
-                new window.cv.Size(3, 3)
-              )
-              const connected = new window.cv.Mat()
-              window.cv.morphologyEx(thickened, connected, window.cv.MORPH_CLOSE, connectKernel)
-              finalThickened = connected
-              thickened.delete()
-              connectKernel.delete()
-              addLog('✓ Connected lines')
-            }
+  const handleScrub = (time) => {
+    if (videoRef.current) videoRef.current.currentTime = time
+    setPlayback(prev => ({ ...prev, currentTime: time }))
+  }
 
-            // 6. Remove small noise with opening operation
-            const cleanKernel = window.cv.getStructuringElement(
-              window.cv.MORPH_ELLIPSE,
-              new window.cv.Size(2, 2)
-            )
-            const cleaned = new window.cv.Mat()
-            window.cv.morphologyEx(finalThickened, cleaned, window.cv.MORPH_OPEN, cleanKernel)
-            addLog('✓ Removed noise')
+  // Add every Nth frame of the file to the gallery (original + coloring page),
+  // processed on the main thread so each page matches its frame exactly
+  const handleExtractFrames = async () => {
+    if (extractRunRef.current) {
+      extractRunRef.current.cancelled = true
+      return
+    }
 
-            // Output to canvas
-            const outputCanvas = document.createElement('canvas')
-            outputCanvas.width = width
-            outputCanvas.height = height
-            window.cv.imshow(outputCanvas, cleaned)
+    const video = videoRef.current
+    const times = getExtractTimes(video.duration, extractOptions)
+    if (times.length > EXTRACT_WARN_COUNT &&
+        !window.confirm(`This adds ${times.length} frames (${times.length * 2} gallery images). Continue?`)) {
+      return
+    }
 
-            // Clean up
-            src.delete()
-            processingSrc.delete()
-            gray.delete()
-            processed.delete()
-            cannyEdges.delete()
-            inverted.delete()
-            thickenKernel.delete()
-            finalThickened.delete()
-            cleanKernel.delete()
-            cleaned.delete()
+    const run = { cancelled: false }
+    extractRunRef.current = run
+    video.pause()
+    setExtracting({ done: 0, total: times.length })
+    addLog(`🎞️ Extracting ${times.length} frame(s), every ${extractOptions.every} at ${extractOptions.fps} fps...`)
 
-            clearTimeout(timeout)
-            const enhancedData = outputCanvas.toDataURL('image/png')
-            addLog('✅ Processing complete!', 'success')
-            resolve(enhancedData)
-          } catch (err) {
-            clearTimeout(timeout)
-            addLog(`❌ Processing error: ${err.message}`, 'error')
-            reject(err)
-          }
+    try {
+      for (const [index, time] of times.entries()) {
+        if (run.cancelled) {
+          addLog(`⏹️ Extraction stopped after ${index} frame(s)`)
+          return
         }
-
-        img.onerror = () => {
-          clearTimeout(timeout)
-          reject(new Error('Failed to load image'))
+        await seekVideo(video, time)
+
+        const originalCanvas = imageToCanvas(video)
+        const processedCanvas = document.createElement('canvas')
+        renderLineArtToCanvas(originalCanvas, processedCanvas, paramsRef.current)
+        const [processedBlob, originalBlob] = await Promise.all([
+          canvasToBlob(processedCanvas),
+          canvasToBlob(originalCanvas)
+        ])
+
+        const original = {
+          id: allocateItemId(),
+          type: 'original',
+          blob: originalBlob,
+          videoFrame: { name: videoFile.name, time }
         }
-        img.src = imageData
-      } catch (err) {
-        clearTimeout(timeout)
-        addLog(`❌ Processing error: ${err.message}`, 'error')
-        reject(err)
+        await addToGallery([
+          {
+            type: 'coloring',
+            blob: processedBlob,
+            ...provenanceFrom(original, 'live', { params: paramsRef.current })
+          },
+          original
+        ])
+        setExtracting({ done: index + 1, total: times.length })
       }
+      addLog(`✅ Extracted ${times.length} frame(s). Create Book makes a flip-book from them, oldest first.`, 'success')
+    } catch (err) {
+      addLog(`❌ Extraction error: ${err.message}`, 'error')
+    } finally {
+      extractRunRef.current = null
+      setExtracting(null)
+    }
+  }
+
+  // Capture image
+  // Copy the live original and coloring canvases. In burst mode several
+  // frames are taken and the sharpest original (by Laplacian variance) wins.
+  const grabFrame = async (burst) => {
+    const frames = []
+    for (let i = 0; i < burst; i++) {
+      if (i > 0) await new Promise(resolve => setTimeout(resolve, BURST_INTERVAL))
+      frames.push({
+        original: imageToCanvas(originalCanvasRef.current),
+        processed: imageToCanvas(canvasRef.current)
+      })
+    }
+    if (frames.length === 1) return frames[0]
+
+    const scores = frames.map(frame => {
+      const src = window.cv.imread(frame.original)
+      const score = frameSharpness(src, window.cv)
+      src.delete()
+      return score
     })
+    const best = scores.indexOf(Math.max(...scores))
+    addLog(`🎯 Burst: kept frame ${best + 1} of ${frames.length} (sharpness ${Math.round(scores[best])}, lowest ${Math.round(Math.min(...scores))})`)
+    return frames[best]
   }
 
-  // Retouch with AI
-  const handleRetouchImage = async (image) => {
-    const isConvert = image.type === 'original'
-    addLog(isConvert ? '🎨 Starting AI Convert...' : '🎨 Starting AI Retouch...')
+  const handleCapture = async () => {
+    // Clicking again during the countdown cancels it
+    if (captureRunRef.current) {
+      captureRunRef.current.cancelled = true
+      return
+    }
+
+    addLog('📷 Capture button clicked')
+    const run = { cancelled: false }
+    captureRunRef.current = run
+    setCapturing(true)
 
     try {
-      // Show modal with loading state
-      setRetouchModal({
-        original: image.data,
-        enhanced: null,
-        status: 'analyzing',
-        progress: 10,
-        isConvert
-      })
+      if (!canvasRef.current || !originalCanvasRef.current) return
 
-      // Get Gemini API key from state
-      const apiKey = geminiApiKey
-      if (!apiKey) {
-        throw new Error('Gemini API key not found. Please add your API key in Settings.')
+      for (let seconds = captureOptions.delay; seconds > 0 && !run.cancelled; seconds--) {
+        setCountdown(seconds)
+        await new Promise(resolve => setTimeout(resolve, 1000))
+      }
+      setCountdown(null)
+      if (run.cancelled) {
+        addLog('⏹️ Capture cancelled')
+        return
       }
 
-      // Use Gemini Image Generation for ALL original images (uploaded OR captured)
-      if (isConvert) {
-        addLog('🎨 Using Gemini Image Generation API...')
-        addLog(image.uploaded ? '📤 Source: Uploaded photo' : '📸 Source: Captured from webcam')
-        setRetouchModal(prev => ({ ...prev, progress: 30 }))
+      const frame = await grabFrame(captureOptions.burst)
+      const [processedBlob, originalBlob] = await Promise.all([
+        canvasToBlob(frame.processed),
+        canvasToBlob(frame.original)
+      ])
 
-        // Call Gemini Image Generation API
-        const response = await fetch(
-          `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-image:generateContent?key=${apiKey}`,
-          {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              contents: [{
-                parts: [
-                  {
-                    text: "Transform this image into a bold black-and-white cartoon coloring book page for kids. Remove the background completely (replace with pure white). Create thick, continuous black outlines around the main subject with clear edges. The result should look like a professional children's coloring book page with simple, bold lines on a white background - perfect for printing and coloring."
-                  },
-                  {
-                    inlineData: {
-                      mimeType: "image/png",
-                      data: image.data.split(',')[1]
-                    }
-                  }
-                ]
-              }]
-            })
-          }
-        )
+      addLog('✅ Images captured successfully (Original + Processed)', 'success')
 
-        if (!response.ok) {
-          const errorText = await response.text()
-          throw new Error(`Gemini Image API error: ${response.status} - ${errorText}`)
-        }
+      // Add both images to gallery as separate items, the coloring page linked to its frame
+      const original = {
+        id: allocateItemId(),
+        type: 'original',
+        blob: originalBlob,
+        ...(videoFile && { videoFrame: { name: videoFile.name, time: videoRef.current.currentTime } })
+      }
+      await addToGallery([
+        {
+          type: 'coloring',
+          blob: processedBlob,
+          ...provenanceFrom(original, 'live', { params: paramsRef.current })
+        },
+        original
+      ])
+    } catch (err) {
+      addLog(`❌ Capture error: ${err.message}`, 'error')
+    } finally {
+      captureRunRef.current = null
+      setCapturing(false)
+      setCountdown(null)
+    }
+  }
+  handleCaptureRef.current = handleCapture
+
+  // Start or stop recording the live coloring canvas to WebM
+  const handleToggleRecording = async () => {
+    if (recorderRef.current) {
+      const recorder = recorderRef.current
+      recorderRef.current = null
+      setRecording(null)
+      try {
+        const { blob, duration } = await recorder.stop()
+        await addToGallery([{
+          type: 'video',
+          blob,
+          duration,
+          sideBySide: captureOptions.recordSideBySide,
+          params: paramsRef.current
+        }])
+        addLog(`🎬 Recording saved (${formatDuration(duration)}, ${formatBytes(blob.size)})`, 'success')
+      } catch (err) {
+        addLog(`❌ Recording error: ${err.message}`, 'error')
+      }
+      return
+    }
 
-        setRetouchModal(prev => ({ ...prev, progress: 70, status: 'processing' }))
-        addLog('🖼️ Generating coloring book image...')
+    if (!isRecordingSupported()) {
+      addLog('❌ Recording is not supported in this browser', 'error')
+      return
+    }
 
-        const data = await response.json()
+    try {
+      const recorder = createCanvasRecorder({
+        processed: canvasRef.current,
+        original: originalCanvasRef.current,
+        sideBySide: captureOptions.recordSideBySide
+      })
+      recorder.start()
+      recorderRef.current = recorder
+      setRecording({ startedAt: Date.now(), elapsed: 0 })
+      addLog(`🔴 Recording${captureOptions.recordSideBySide ? ' side by side' : ''}...`)
+    } catch (err) {
+      addLog(`❌ Recording error: ${err.message}`, 'error')
+    }
+  }
 
-        // Extract generated image from response
-        const parts = data.candidates?.[0]?.content?.parts || []
-        let generatedImage = null
+  // Open the print setup dialog for one or more images
+  const handleOpenPrint = async (images) => {
+    setPrintModal({ images: [], status: 'loading' })
+    try {
+      // Pixel sizes are needed for "actual size" printing
+      const loaded = await Promise.all(images.map(async (image, index) => {
+        const img = await loadImage(image.data)
+        const item = { data: image.data, width: img.naturalWidth, height: img.naturalHeight }
 
-        for (const part of parts) {
-          if (part.inlineData) {
-            generatedImage = `data:image/png;base64,${part.inlineData.data}`
-            break
-          }
+        // Posters print the first image; trace line art to vectors so it stays sharp when enlarged
+        if (index === 0 && image.type === 'coloring') {
+          try {
+            const src = window.cv.imread(imageToCanvas(img))
+            let svg
+            try {
+              svg = traceLineArtToSvg(src, { ...svgOptions, mode: 'fill' }, window.cv)
+            } finally {
+              src.delete()
+            }
+            item.vector = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }))
+          } catch (err) {
+            addLog(`⚠️ Could not vectorize for poster, using the bitmap: ${err.message || err}`, 'warning')
+          }
         }
+        return item
+      }))
+      setPrintModal(prev => prev && { images: loaded, status: 'ready' })
+    } catch (err) {
+      addLog(`❌ Print error: ${err.message}`, 'error')
+      setPrintModal(prev => prev && { ...prev, status: 'error', error: err.message })
+    }
+  }
 
-        if (!generatedImage) {
-          throw new Error('No image generated from Gemini API')
-        }
+  // Resolutions the current camera offers, keeping a saved choice it rejected so the select still shows it
+  const resolutionChoices = getResolutionChoices(cameraCapabilities)
+  if (cameraOptions.resolution !== 'auto' && !resolutionChoices.includes(cameraOptions.resolution)) {
+    resolutionChoices.unshift(cameraOptions.resolution)
+  }
 
-        setRetouchModal(prev => ({
-          ...prev,
-          enhanced: generatedImage,
-          status: 'complete',
-          progress: 100
-        }))
+  // Preview of the first sheet, in CSS pixels scaled down to the dialog
+  const sheetMm = getSheetSize(printOptions)
+  const previewSheet = { width: sheetMm.width * 96 / 25.4, height: sheetMm.height * 96 / 25.4 }
+  const previewScale = PRINT_PREVIEW_WIDTH / previewSheet.width
 
-        addLog('✨ AI Image Generation complete!', 'success')
-      } else {
-        // Use OpenCV for webcam captures or retouch mode
-        addLog('🤖 Analyzing image with Gemini AI...')
-        setRetouchModal(prev => ({ ...prev, progress: 30 }))
+  const handleClosePrint = () => {
+    const vector = printModal?.images[0]?.vector
+    if (vector) URL.revokeObjectURL(vector)
+    setPrintModal(null)
+  }
 
-        // Select appropriate prompt based on image type
-        const selectedPrompt = isConvert ? convertPrompt : retouchPrompt
-        addLog(`Using ${isConvert ? 'Convert' : 'Retouch'} prompt`)
+  const getPrintHtml = () => (printOptions.mode === 'poster'
+    ? buildPosterDocument(printModal.images[0], printOptions)
+    : buildPrintDocument(printModal.images, printOptions))
 
-        // Call Gemini Vision API
-        const response = await fetch(
-          `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${apiKey}`,
-          {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              contents: [{
-                parts: [
-                  {
-                    text: selectedPrompt
-                  },
-                  {
-                    inlineData: {
-                      mimeType: "image/png",
-                      data: image.data.split(',')[1]
-                    }
-                  }
-                ]
-              }]
-            })
-          }
-        )
+  const handlePrint = async () => {
+    addLog(printOptions.mode === 'poster'
+      ? `🖨️ Printing ${printOptions.posterGrid}x${printOptions.posterGrid} poster...`
+      : '🖨️ Opening print dialog...')
+    try {
+      await printHtml(getPrintHtml())
+      addLog('✅ Sent to printer', 'success')
+    } catch (err) {
+      addLog(`❌ Print error: ${err.message}`, 'error')
+    }
+  }
 
-        if (!response.ok) {
-          throw new Error(`Gemini API error: ${response.status}`)
-        }
+  // Handle file upload
+  const handleFileUpload = async (event) => {
+    const file = event.target.files?.[0]
+    if (!file) return
 
-        const data = await response.json()
-        const suggestions = data.candidates?.[0]?.content?.parts?.[0]?.text || 'denoise,sharpen'
-        addLog(`💡 AI suggests: ${suggestions}`, 'success')
-
-        setRetouchModal(prev => ({ ...prev, progress: 60, status: 'processing' }))
-        addLog('🔧 Applying enhancements...')
-
-        // Apply OpenCV processing based on AI suggestions
-        // Remove background only for uploaded original images
-        const shouldRemoveBackground = isConvert && image.uploaded
-        const enhanced = await applyAdvancedProcessing(
-          image.data,
-          suggestions.split(','),
-          shouldRemoveBackground
-        )
-
-        setRetouchModal(prev => ({
-          ...prev,
-          enhanced,
-          status: 'complete',
-          progress: 100
-        }))
+    addLog('📤 File selected: ' + file.name)
 
-        addLog(isConvert ? '✨ AI Convert complete!' : '✨ AI Retouch complete!', 'success')
-      }
+    // Reset input so the same file can be selected again
+    event.target.value = ''
+
+    try {
+      // The File is already a Blob, so it is stored as-is
+      const [item] = await addToGallery([{ type: 'original', blob: file, uploaded: true }])
+      addLog('📸 Image added to gallery. Crop it now or close the dialog, then click "Convert" to use the current settings or "AI Convert" to use the AI provider.', 'success')
+      handleOpenCrop(item)
     } catch (err) {
-      addLog(`❌ Retouch error: ${err.message}`, 'error')
-      setRetouchModal(prev => ({
-        ...prev,
-        status: 'error',
-        error: err.message
-      }))
+      addLog(`❌ Upload error: ${err.message}`, 'error')
     }
   }
 
-  // Gallery drag scroll
-  useEffect(() => {
-    const gallery = galleryRef.current
-    if (!gallery) return
+  // Switch to a preset and load its parameters
+  const handleSelectPreset = (presetId) => {
+    const preset = allPresets.find(p => p.id === presetId)
+    if (!preset) return
+    setActivePresetId(preset.id)
+    setParams(preset.params)
+    addLog(`🎛️ Loaded preset: ${preset.name}`, 'success')
+  }
 
-    let isDown = false
-    let startX
-    let scrollLeft
+  // Save the current sliders as a named preset (same name overwrites)
+  const handleSavePreset = () => {
+    const name = presetName.trim()
+    if (!name) return
 
-    const handleMouseDown = (e) => {
-      isDown = true
-      gallery.classList.add('dragging')
-      startX = e.pageX - gallery.offsetLeft
-      scrollLeft = gallery.scrollLeft
+    if (BUILT_IN_PRESETS.some(p => p.name.toLowerCase() === name.toLowerCase())) {
+      addLog(`⚠️ "${name}" is a built-in preset, choose another name`, 'warning')
+      return
     }
 
-    const handleMouseLeave = () => {
-      isDown = false
-      gallery.classList.remove('dragging')
+    const existing = userPresets.find(p => p.name.toLowerCase() === name.toLowerCase())
+    const preset = { id: existing?.id || createPresetId(), name, params }
+    setUserPresets(prev => existing
+      ? prev.map(p => (p.id === existing.id ? preset : p))
+      : [...prev, preset])
+    setActivePresetId(preset.id)
+    setPresetName('')
+    addLog(existing ? `💾 Updated preset: ${name}` : `💾 Saved preset: ${name}`, 'success')
+  }
+
+  // Overwrite the active user preset with the current sliders
+  const handleUpdatePreset = () => {
+    if (!activePreset || activePreset.builtIn) return
+    setUserPresets(prev => prev.map(p => (p.id === activePreset.id ? { ...p, params } : p)))
+    addLog(`💾 Updated preset: ${activePreset.name}`, 'success')
+  }
+
+  const handleDeletePreset = () => {
+    if (!activePreset || activePreset.builtIn) return
+    setUserPresets(prev => prev.filter(p => p.id !== activePreset.id))
+    setActivePresetId(BUILT_IN_PRESETS[0].id)
+    addLog(`🗑️ Deleted preset: ${activePreset.name}`)
+  }
+
+  // Load a prompt template into the AI Convert prompt
+  const handleSelectTemplate = (templateId) => {
+    const template = allTemplates.find(t => t.id === templateId)
+    if (!template) return
+    setActiveTemplateId(template.id)
+    setConvertPrompt(template.text)
+    addLog(`📝 Loaded prompt template: ${template.name}`, 'success')
+  }
+
+  // Save the current prompt as a named template (same name overwrites)
+  const handleSaveTemplate = () => {
+    const name = templateName.trim()
+    if (!name) return
+
+    if (BUILT_IN_TEMPLATES.some(t => t.name.toLowerCase() === name.toLowerCase())) {
+      addLog(`⚠️ "${name}" is a built-in template, choose another name`, 'warning')
+      return
     }
 
-    const handleMouseUp = () => {
-      isDown = false
-      gallery.classList.remove('dragging')
+    const existing = userTemplates.find(t => t.name.toLowerCase() === name.toLowerCase())
+    const template = { id: existing?.id || createTemplateId(), name, text: convertPrompt }
+    setUserTemplates(prev => existing
+      ? prev.map(t => (t.id === existing.id ? template : t))
+      : [...prev, template])
+    setActiveTemplateId(template.id)
+    setTemplateName('')
+    addLog(existing ? `💾 Updated template: ${name}` : `💾 Saved template: ${name}`, 'success')
+  }
+
+  const handleUpdateTemplate = () => {
+    if (!activeTemplate || activeTemplate.builtIn) return
+    setUserTemplates(prev => prev.map(t => (t.id === activeTemplate.id ? { ...t, text: convertPrompt } : t)))
+    addLog(`💾 Updated template: ${activeTemplate.name}`, 'success')
+  }
+
+  const handleDeleteTemplate = () => {
+    if (!activeTemplate || activeTemplate.builtIn) return
+    setUserTemplates(prev => prev.filter(t => t.id !== activeTemplate.id))
+    setActiveTemplateId(BUILT_IN_TEMPLATES[0].id)
+    setConvertPrompt(BUILT_IN_TEMPLATES[0].text)
+    addLog(`🗑️ Deleted template: ${activeTemplate.name}`)
+  }
+
+  // Download user presets as a JSON file for sharing
+  const handleExportPresets = () => {
+    const presets = userPresets.length > 0 ? userPresets : [{ name: activePreset?.name || 'Custom', params }]
+    const blob = new Blob([exportPresets(presets)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    downloadUrl(url, 'coloring-presets.json')
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+    addLog(`📥 Exported ${presets.length} preset(s)`, 'success')
+  }
+
+  const handleImportPresets = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    try {
+      const imported = parsePresetFile(await file.text())
+      setUserPresets(prev => mergePresets(prev, imported))
+      addLog(`📤 Imported ${imported.length} preset(s) from ${file.name}`, 'success')
+    } catch (err) {
+      addLog(`❌ Preset import error: ${err.message}`, 'error')
     }
+  }
 
-    const handleMouseMove = (e) => {
-      if (!isDown) return
-      e.preventDefault()
-      const x = e.pageX - gallery.offsetLeft
-      const walk = (x - startX) * 2
-      gallery.scrollLeft = scrollLeft - walk
+  // Open the offline conversion preview for an original photo
+  const handleOpenConvert = (image) => {
+    addLog('🪄 Converting with current settings...')
+    setConvertPreview({ image, status: 'loading' })
+  }
+
+  // Save the current conversion preview to the gallery
+  const handleSaveConvert = async () => {
+    const canvas = convertCanvasRef.current
+    if (!canvas) return
+
+    try {
+      await addToGallery([{
+        type: 'coloring',
+        blob: await canvasToBlob(canvas),
+        ...provenanceFrom(convertPreview.image, 'opencv', { params })
+      }])
+      addLog('✅ Added converted coloring book to gallery', 'success')
+      setConvertPreview(null)
+    } catch (err) {
+      addLog(`❌ Save error: ${err.message}`, 'error')
     }
+  }
 
-    gallery.addEventListener('mousedown', handleMouseDown)
-    gallery.addEventListener('mouseleave', handleMouseLeave)
-    gallery.addEventListener('mouseup', handleMouseUp)
-    gallery.addEventListener('mousemove', handleMouseMove)
+  // Quantize an original photo into a numbered paint-by-number kit
+  const handleGeneratePaintByNumber = async (image, options = pbnOptions) => {
+    setPbnModal({ image, options, status: 'generating', kit: null })
+    addLog(`🔢 Generating paint by number (${options.colors} colors)...`)
 
-    return () => {
-      gallery.removeEventListener('mousedown', handleMouseDown)
-      gallery.removeEventListener('mouseleave', handleMouseLeave)
-      gallery.removeEventListener('mouseup', handleMouseUp)
-      gallery.removeEventListener('mousemove', handleMouseMove)
+    // Let the modal paint its generating state before the heavy work starts
+    await new Promise(resolve => setTimeout(resolve, 50))
+
+    try {
+      const img = await loadImage(image.data)
+      const canvas = imageToCanvas(img, PBN_MAX_SIZE)
+
+      // Smooth sensor noise so flat areas quantize into solid regions
+      const src = window.cv.imread(canvas)
+      const rgb = new window.cv.Mat()
+      const smoothed = new window.cv.Mat()
+      window.cv.cvtColor(src, rgb, window.cv.COLOR_RGBA2RGB)
+      window.cv.bilateralFilter(rgb, smoothed, 9, 60, 60)
+      window.cv.imshow(canvas, smoothed)
+      src.delete()
+      rgb.delete()
+      smoothed.delete()
+
+      const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height)
+      const kit = generatePaintByNumber(imageData, options)
+
+      setPbnModal(prev => prev && { ...prev, status: 'ready', kit })
+      addLog(`✅ Paint by number ready: ${kit.palette.length} colors, ${kit.regions.length} regions`, 'success')
+    } catch (err) {
+      addLog(`❌ Paint by number error: ${err.message || err}`, 'error')
+      setPbnModal(prev => prev && { ...prev, status: 'error', error: err.message || String(err) })
     }
-  }, [])
+  }
 
-  if (loading) {
-    return (
-      <div className="loading">
-        <div className="spinner"></div>
-        <p>Loading OpenCV.js...</p>
-        <p style={{ fontSize: '12px', marginTop: '10px', opacity: 0.7 }}>
-          This may take 5-10 seconds...
-        </p>
-      </div>
-    )
+  const handleColoringPointerDown = (e) => {
+    const session = coloringSessionRef.current
+    if (!session) return
+    e.preventDefault()
+    const point = session.toCanvasPoint(e)
+
+    if (coloringTool.tool === 'fill') {
+      session.fill(point, coloringTool.color, coloringTool.tolerance)
+      return
+    }
+    e.currentTarget.setPointerCapture(e.pointerId)
+    session.startStroke(point, {
+      color: coloringTool.color,
+      size: coloringTool.size,
+      erase: coloringTool.tool === 'eraser'
+    })
   }
 
-  return (
-    <div className="app">
-      {/* Main Canvas Area */}
-      <div className="canvas-container">
-        <video ref={videoRef} autoPlay playsInline style={{ display: 'none' }} />
-        <div className="dual-canvas">
-          <div className="canvas-wrapper">
-            <div className="canvas-label">Original</div>
-            <canvas ref={originalCanvasRef} className="output-canvas" />
-          </div>
-          <div className="canvas-wrapper">
-            <div className="canvas-label">Coloring Book</div>
-            <canvas ref={canvasRef} className="output-canvas" />
-          </div>
-        </div>
-      </div>
+  const handleColoringPointerMove = (e) => {
+    const session = coloringSessionRef.current
+    if (!session?.isStroking()) return
+    session.continueStroke(session.toCanvasPoint(e))
+  }
 
-      {/* Gallery Warning */}
-      {gallery.length > 0 && (
-        <div className="gallery-warning">
-          ⚠️ Images are stored temporarily. They will be lost when you close the browser.
-        </div>
-      )}
+  const handleColoringPointerUp = () => {
+    coloringSessionRef.current?.endStroke()
+  }
 
-      {/* Gallery */}
-      <div className="gallery" ref={galleryRef}>
-        {gallery.map(image => (
-          <div
-            key={image.id}
-            className="gallery-item"
-            onMouseEnter={() => setHoveredImage(image.id)}
-            onMouseLeave={() => setHoveredImage(null)}
-          >
-            <img
-              src={image.data}
-              alt={image.type === 'original' ? 'Original' : 'Coloring Book'}
-              className="thumbnail"
-            />
-            <span className="thumbnail-label">
-              {image.type === 'original' ? 'Original' : 'Coloring Book'}
-            </span>
-            {hoveredImage === image.id && (
-              <div className="image-overlay">
-                <button
-                  className="overlay-btn print-btn"
-                  onClick={() => handlePrintImage(image)}
-                  title={`Print ${image.type === 'original' ? 'Original' : 'Coloring Book'}`}
-                >
-                  <Printer size={16} />
-                  <span>Print</span>
-                </button>
-                {image.type === 'original' && (
-                  <button
-                    className="overlay-btn convert-btn"
-                    onClick={() => handleRetouchImage(image)}
-                    title="AI Convert to Coloring Book"
-                  >
-                    <Sparkles size={16} />
-                    <span>AI Convert</span>
-                  </button>
-                )}
-                {image.type === 'coloring' && (
-                  <button
-                    className="overlay-btn retouch-btn"
-                    onClick={() => handleRetouchImage(image)}
-                    title="AI Retouch"
-                  >
-                    <Sparkles size={16} />
-                    <span>Retouch AI</span>
-                  </button>
-                )}
-              </div>
-            )}
-          </div>
-        ))}
-      </div>
+  // Save the colored page as a new gallery item
+  const handleSaveColoring = async () => {
+    const session = coloringSessionRef.current
+    if (!session) return
 
-      {/* Controls */}
-      <div className="controls">
-        <button onClick={handleCapture} className="btn btn-primary">
-          <Camera size={20} />
-          Capture
-        </button>
-        <button
-          onClick={() => fileInputRef.current?.click()}
-          className="btn btn-upload"
-        >
-          <Upload size={20} />
-          Upload Photo
-        </button>
-        <input
-          ref={fileInputRef}
-          type="file"
-          accept="image/*"
-          onChange={handleFileUpload}
-          style={{ display: 'none' }}
-        />
-        <button
-          onClick={() => setShowSidebar(!showSidebar)}
-          className="btn btn-secondary"
-        >
-          <Settings size={20} />
-          {showSidebar ? 'Close Panel' : 'Open Panel'}
-        </button>
-      </div>
+    try {
+      await addToGallery([{
+        type: 'coloring',
+        blob: await session.toBlob(),
+        ...provenanceFrom(coloringModal.image, 'colored')
+      }])
+      addLog('✅ Added colored page to gallery', 'success')
+      setColoringModal(null)
+    } catch (err) {
+      addLog(`❌ Save error: ${err.message}`, 'error')
+    }
+  }
 
-      {/* Right Sidebar */}
-      {showSidebar && (
-        <div className="sidebar">
-          <div className="sidebar-header">
-            <div className="sidebar-tabs">
-              <button
-                className={`sidebar-tab ${sidebarTab === 'settings' ? 'active' : ''}`}
-                onClick={() => setSidebarTab('settings')}
-              >
-                <Settings size={18} />
-                Settings
-              </button>
-              <button
-                className={`sidebar-tab ${sidebarTab === 'logs' ? 'active' : ''}`}
-                onClick={() => setSidebarTab('logs')}
-              >
-                <Terminal size={18} />
-                Logs
-              </button>
-            </div>
-            <button onClick={() => setShowSidebar(false)} className="sidebar-close">
-              <X size={18} />
-            </button>
-          </div>
+  const handleEditorPointerDown = (e) => {
+    const editor = editorRef.current
+    if (!editor) return
+    e.preventDefault()
 
-          <div className="sidebar-content">
-            {/* Settings Tab */}
-            {sidebarTab === 'settings' && (
-              <>
-                {/* Gemini API Key Section */}
-                <div className="sidebar-section">
-                  <h3 className="section-title">🔑 Gemini API Key</h3>
-                  <input
-                    type="password"
-                    value={geminiApiKey}
-                    onChange={handleApiKeyChange}
-                    className="api-key-input"
-                    placeholder="Enter your Gemini API key..."
-                    style={{
-                      width: '100%',
-                      padding: '10px',
-                      fontSize: '13px',
-                      border: '1px solid #ddd',
-                      borderRadius: '6px',
-                      fontFamily: 'monospace',
-                      backgroundColor: geminiApiKey ? '#f0fff4' : '#fff'
-                    }}
-                  />
-                  <p className="param-hint" style={{ marginTop: '8px', fontSize: '11px', color: '#666' }}>
-                    Get your free API key from <a href="https://makersuite.google.com/app/apikey" target="_blank" rel="noopener noreferrer" style={{ color: '#4285f4', textDecoration: 'underline' }}>Google AI Studio</a>
-                  </p>
-                  {!geminiApiKey && (
-                    <p className="param-hint" style={{ marginTop: '4px', fontSize: '11px', color: '#dc2626', fontWeight: 'bold' }}>
-                      ⚠️ API key required for AI features
-                    </p>
-                  )}
-                </div>
+    // Hand tool or middle button pans
+    if (editorTool.tool === 'pan' || e.button === 1) {
+      e.currentTarget.setPointerCapture(e.pointerId)
+      editorPanRef.current = { x: e.clientX, y: e.clientY }
+      return
+    }
 
-                {/* Camera Selection Section */}
-                <div className="sidebar-section camera-section">
-                  <h3 className="section-title">Camera</h3>
-                  <select
+    const point = editor.toCanvasPoint(e)
+    if (editorTool.tool === 'blob') {
+      // Search about 12 screen pixels around the click, whatever the zoom
+      if (!editor.removeBlob(point, Math.max(2, 12 / editorView.zoom))) {
+        addLog('ℹ️ No line or speck under the cursor')
+      }
+      return
+    }
+    e.currentTarget.setPointerCapture(e.pointerId)
+    editor.startStroke(point, editorTool)
+  }
+
+  const handleEditorPointerMove = (e) => {
+    const pan = editorPanRef.current
+    if (pan) {
+      const dx = e.clientX - pan.x
+      const dy = e.clientY - pan.y
+      editorPanRef.current = { x: e.clientX, y: e.clientY }
+      setEditorView(prev => ({ ...prev, x: prev.x + dx, y: prev.y + dy }))
+      return
+    }
+
+    const editor = editorRef.current
+    if (!editor?.isStroking()) return
+    editor.continueStroke(editor.toCanvasPoint(e))
+  }
+
+  const handleEditorPointerUp = () => {
+    editorPanRef.current = null
+    editorRef.current?.endStroke()
+  }
+
+  // Zoom buttons zoom around the middle of the viewport
+  const handleEditorZoom = (factor) => {
+    const viewport = editorViewportRef.current
+    setEditorView(prev => zoomView(prev, factor, viewport.clientWidth / 2, viewport.clientHeight / 2))
+  }
+
+  const handleEditorFit = () => {
+    const editor = editorRef.current
+    const viewport = editorViewportRef.current
+    if (!editor || !viewport) return
+    setEditorView(fitView(editor.width, editor.height, viewport.clientWidth, viewport.clientHeight))
+  }
+
+  // Save the touched-up page as a new version linked to the one it was edited from
+  const handleSaveEditor = async () => {
+    const editor = editorRef.current
+    if (!editor) return
+
+    try {
+      await addToGallery([{
+        type: 'coloring',
+        blob: await editor.toBlob(),
+        ...provenanceFrom(editorModal.image, 'touch-up')
+      }])
+      addLog('✅ Added touched-up version to gallery', 'success')
+      setEditorModal(null)
+    } catch (err) {
+      addLog(`❌ Save error: ${err.message}`, 'error')
+    }
+  }
+
+  const handleOpenCrop = (image) => {
+    setCropModal({
+      image,
+      status: 'loading',
+      transform: DEFAULT_TRANSFORM,
+      crop: FULL_CROP,
+      aspect: 'free',
+      saving: false
+    })
+  }
+
+  // Pixel width / height for an aspect preset, given the current rotation
+  const getCropRatio = (aspect, transform) => {
+    const preset = ASPECT_PRESETS.find(p => p.value === aspect)
+    if (preset?.ratio !== 'original') return preset?.ratio ?? null
+    const img = cropImageRef.current
+    const size = getTransformedSize(img.naturalWidth, img.naturalHeight, { ...transform, straighten: 0 })
+    return size.width / size.height
+  }
+
+  // Largest centred crop for an aspect preset on the transformed photo
+  const getAspectCrop = (aspect, transform) => {
+    const img = cropImageRef.current
+    const size = getTransformedSize(img.naturalWidth, img.naturalHeight, transform)
+    return aspectCrop(getCropRatio(aspect, transform), size.width, size.height)
+  }
+
+  const handleCropAspect = (aspect) => {
+    setCropModal(prev => ({ ...prev, aspect, crop: getAspectCrop(aspect, prev.transform) }))
+  }
+
+  // Quarter turns reset the crop to the preset; flips mirror it; straightening keeps it
+  const handleCropTransform = (changes) => {
+    setCropModal(prev => {
+      const transform = { ...prev.transform, ...changes }
+      let crop = prev.crop
+      if (changes.rotation !== undefined) crop = getAspectCrop(prev.aspect, transform)
+      if (changes.flipH !== undefined) crop = { ...crop, x: 1 - crop.x - crop.width }
+      if (changes.flipV !== undefined) crop = { ...crop, y: 1 - crop.y - crop.height }
+      return { ...prev, transform, crop }
+    })
+  }
+
+  const handleCropPointerDown = (e) => {
+    const handle = e.target.dataset.handle
+    if (!handle || cropModal?.status !== 'ready') return
+    e.preventDefault()
+    e.currentTarget.setPointerCapture(e.pointerId)
+    const rect = cropStageRef.current.getBoundingClientRect()
+    cropDragRef.current = {
+      handle,
+      start: cropModal.crop,
+      x: e.clientX,
+      y: e.clientY,
+      width: rect.width,
+      height: rect.height
+    }
+  }
+
+  const handleCropPointerMove = (e) => {
+    const drag = cropDragRef.current
+    if (!drag) return
+    const dx = (e.clientX - drag.x) / drag.width
+    const dy = (e.clientY - drag.y) / drag.height
+    setCropModal(prev => {
+      const ratio = getCropRatio(prev.aspect, prev.transform)
+      const aspect = normalizedAspect(ratio, drag.width, drag.height)
+      return { ...prev, crop: dragCrop(drag.start, drag.handle, dx, dy, aspect) }
+    })
+  }
+
+  const handleCropPointerUp = () => {
+    cropDragRef.current = null
+  }
+
+  // Save the cropped photo, either replacing the original or as a new original
+  const handleSaveCrop = async (replace) => {
+    const img = cropImageRef.current
+    if (!img) return
+    const { image, transform, crop } = cropModal
+    setCropModal(prev => ({ ...prev, saving: true }))
+
+    try {
+      const canvas = applyCropTransform(img, transform, crop)
+      const blob = await canvasToBlob(canvas, 'image/jpeg', 0.92)
+      if (replace) {
+        await replaceGalleryImage(image, blob)
+        addLog(`✂️ Cropped original (${canvas.width}×${canvas.height})`, 'success')
+      } else {
+        await addToGallery([{
+          type: 'original',
+          blob,
+          uploaded: image.uploaded,
+          ...provenanceFrom(image, 'crop')
+        }])
+        addLog(`✂️ Added cropped copy to gallery (${canvas.width}×${canvas.height})`, 'success')
+      }
+      setCropModal(null)
+    } catch (err) {
+      addLog(`❌ Crop error: ${err.message}`, 'error')
+      setCropModal(prev => prev && { ...prev, saving: false })
+    }
+  }
+
+  // Printable kit (page + legend) as a PNG data URL
+  const getPaintByNumberData = () =>
+    renderPaintByNumberKit(document.createElement('canvas'), pbnModal.kit).toDataURL('image/png')
+
+  // Trace a coloring page into vector paths and download it as SVG
+  const handleDownloadSvg = async (imageData) => {
+    addLog('✏️ Tracing line art to SVG...')
+    try {
+      const img = await loadImage(imageData)
+      const src = window.cv.imread(imageToCanvas(img))
+      let svg
+      try {
+        svg = traceLineArtToSvg(src, svgOptions, window.cv)
+      } finally {
+        src.delete()
+      }
+
+      const blob = new Blob([svg], { type: 'image/svg+xml' })
+      const url = URL.createObjectURL(blob)
+      downloadUrl(url, `coloring-${Date.now()}.svg`)
+      setTimeout(() => URL.revokeObjectURL(url), 1000)
+      addLog(`📥 Downloaded SVG (${Math.round(blob.size / 1024)} KB)`, 'success')
+    } catch (err) {
+      addLog(`❌ SVG export error: ${err.message || err}`, 'error')
+    }
+  }
+
+  // Apply advanced OpenCV processing based on the AI retouch plan
+  const applyAdvancedProcessing = (imageData, plan, removeBackground = false) => {
+    return new Promise((resolve, reject) => {
+      // Add timeout to prevent hanging
+      const timeout = setTimeout(() => {
+        reject(new Error('Processing timeout - image too large or complex'))
+      }, 30000) // 30 second timeout
+
+      try {
+        addLog('🔧 Applying advanced processing...')
+        if (removeBackground) {
+          addLog('🎯 Background removal enabled')
+        }
+
+        // Create temp canvas from image data
+        const img = new Image()
+        img.onload = () => {
+          try {
+            const tempCanvas = document.createElement('canvas')
+
+            // Resize if image is too large (for faster processing)
+            const maxSize = 1024
+            let width = img.width
+            let height = img.height
+
+            if (width > maxSize || height > maxSize) {
+              if (width > height) {
+                height = (height / width) * maxSize
+                width = maxSize
+              } else {
+                width = (width / height) * maxSize
+                height = maxSize
+              }
+              addLog(`📏 Resizing to ${Math.round(width)}x${Math.round(height)} for faster processing`)
+            }
+
+            tempCanvas.width = width
+            tempCanvas.height = height
+            const tempCtx = tempCanvas.getContext('2d')
+            tempCtx.drawImage(img, 0, 0, width, height)
+
+            // Process with OpenCV
+            const src = window.cv.imread(tempCanvas)
+            let processingSrc = src.clone()
+
+            // Background removal using improved edge detection
+            if (removeBackground) {
+              try {
+                addLog('🖼️ Removing background...')
+
+                // Convert to grayscale for processing
+                const gray = new window.cv.Mat()
+                window.cv.cvtColor(processingSrc, gray, window.cv.COLOR_RGBA2GRAY)
+
+                // Apply bilateral filter to smooth while preserving edges
+                const bilateral = new window.cv.Mat()
+                window.cv.bilateralFilter(gray, bilateral, 9, 75, 75)
+
+                // Use Canny edge detection to find strong edges
+                const edges = new window.cv.Mat()
+                window.cv.Canny(bilateral, edges, 50, 150)
+
+                // Dilate edges to create thicker lines for better mask
+                const kernel = window.cv.getStructuringElement(
+                  window.cv.MORPH_ELLIPSE,
+                  new window.cv.Size(3, 3)
+                )
+                const dilatedEdges = new window.cv.Mat()
+                window.cv.dilate(edges, dilatedEdges, kernel, new window.cv.Point(-1, -1), 2)
+
+                // Find contours to identify main subject
+                const contours = new window.cv.MatVector()
+                const hierarchy = new window.cv.Mat()
+                window.cv.findContours(
+                  dilatedEdges,
+                  contours,
+                  hierarchy,
+                  window.cv.RETR_EXTERNAL,
+                  window.cv.CHAIN_APPROX_SIMPLE
+                )
+
+                // Create mask and fill largest contours (main subject)
+                const mask = window.cv.Mat.zeros(height, width, window.cv.CV_8UC1)
+
+                // Find largest contours by area
+                const contourAreas = []
+                for (let i = 0; i < contours.size(); i++) {
+                  const area = window.cv.contourArea(contours.get(i))
+                  contourAreas.push({ index: i, area })
+                }
+                contourAreas.sort((a, b) => b.area - a.area)
+
+                // Fill top contours (main subjects)
+                const numContoursToKeep = Math.min(3, contourAreas.length)
+                for (let i = 0; i < numContoursToKeep; i++) {
+                  const idx = contourAreas[i].index
+                  window.cv.drawContours(
+                    mask,
+                    contours,
+                    idx,
+                    [255, 255, 255, 255],
+                    window.cv.FILLED
+                  )
+                }
+
+                // Morphological operations to clean up mask
+                const closingKernel = window.cv.getStructuringElement(
+                  window.cv.MORPH_ELLIPSE,
+                  new window.cv.Size(15, 15)
+                )
+                const closedMask = new window.cv.Mat()
+                window.cv.morphologyEx(mask, closedMask, window.cv.MORPH_CLOSE, closingKernel, new window.cv.Point(-1, -1), 3)
+
+                // Apply Gaussian blur to soften mask edges
+                const smoothMask = new window.cv.Mat()
+                window.cv.GaussianBlur(closedMask, smoothMask, new window.cv.Size(21, 21), 0)
+
+                // Apply mask to original image
+                const foreground = new window.cv.Mat()
+                processingSrc.copyTo(foreground)
+
+                // Replace background with white
+                for (let i = 0; i < height; i++) {
+                  for (let j = 0; j < width; j++) {
+                    const maskValue = smoothMask.ucharPtr(i, j)[0]
+                    if (maskValue < 128) { // Background
+                      foreground.ucharPtr(i, j)[0] = 255
+                      foreground.ucharPtr(i, j)[1] = 255
+                      foreground.ucharPtr(i, j)[2] = 255
+                      foreground.ucharPtr(i, j)[3] = 255
+                    }
+                  }
+                }
+
+                processingSrc.delete()
+                processingSrc = foreground
+
+                // Clean up
+                gray.delete()
+                bilateral.delete()
+                edges.delete()
+                kernel.delete()
+                dilatedEdges.delete()
+                contours.delete()
+                hierarchy.delete()
+                mask.delete()
+                closingKernel.delete()
+                closedMask.delete()
+                smoothMask.delete()
+
+                addLog('✓ Background removed with edge detection')
+              } catch (bgErr) {
+                addLog(`⚠️ Background removal failed, proceeding without it: ${bgErr.message}`, 'warning')
+              }
+            }
+
+            // Apply the retouch plan's operations in their fixed order
+            const cleaned = applyRetouchPlan(processingSrc, plan, window.cv)
+            for (const operation of plan.operations) {
+              addLog(`✓ ${RETOUCH_OPERATIONS.find(o => o.op === operation.op).label} (${operation.strength})`)
+            }
+
+            // Output to canvas
+            const outputCanvas = document.createElement('canvas')
+            outputCanvas.width = width
+            outputCanvas.height = height
+            window.cv.imshow(outputCanvas, cleaned)
+
+            // Clean up
+            src.delete()
+            processingSrc.delete()
+            cleaned.delete()
+
+            clearTimeout(timeout)
+            const enhancedData = outputCanvas.toDataURL('image/png')
+            addLog('✅ Processing complete!', 'success')
+            resolve(enhancedData)
+          } catch (err) {
+            clearTimeout(timeout)
+            addLog(`❌ Processing error: ${err.message}`, 'error')
+            reject(err)
+          }
+        }
+
+        img.onerror = () => {
+          clearTimeout(timeout)
+          reject(new Error('Failed to load image'))
+        }
+        img.src = imageData
+      } catch (err) {
+        clearTimeout(timeout)
+        addLog(`❌ Processing error: ${err.message}`, 'error')
+        reject(err)
+      }
+    })
+  }
+
+  // Settings of the selected AI provider, with the Gemini key folded in. In proxy
+  // mode the proxy speaks the self-hosted endpoint contract, without a key.
+  const aiProvider = AI_PROXY_URL ? 'custom' : aiSettings.provider
+  const aiProviderLabel = AI_PROXY_URL
+    ? 'the AI server'
+    : AI_PROVIDERS.find(p => p.value === aiProvider)?.label || 'AI'
+  const aiConfig = AI_PROXY_URL
+    ? { baseUrl: AI_PROXY_URL, apiKey: '' }
+    : aiProvider === 'gemini'
+      ? { ...aiSettings.gemini, apiKey: geminiApiKey }
+      : aiSettings[aiProvider]
+  const aiConfigError = getMissingAiConfig(aiProvider, aiConfig)
+
+  const updateAiConfig = (changes) => {
+    setAiSettings(prev => ({ ...prev, [prev.provider]: { ...prev[prev.provider], ...changes } }))
+  }
+
+  // The exact prompt sent for an item: the rendered convert template for originals,
+  // the retouch prompt for coloring pages
+  const getAiPrompt = (image, promptOverride = null) => promptOverride ||
+    (image.type === 'original' ? renderPrompt(convertPrompt, promptVariables) : retouchPrompt)
+
+  // Cache key of an AI request: the input image with the prompt and the provider
+  // settings that shape the reply. Its cached variants are listed under this key.
+  const getAiCacheKey = (image, prompt) => {
+    const isConvert = image.type === 'original'
+    return hashAiRequest(image.blob, {
+      kind: isConvert ? 'convert' : 'analyze',
+      prompt,
+      provider: aiProvider,
+      model: isConvert ? aiConfig.imageModel : aiConfig.analyzeModel,
+      endpoint: aiConfig.baseUrl
+    })
+  }
+
+  // Store an AI reply and trim the cache to its limit. Caching is best-effort:
+  // a failure only costs a warning.
+  const cacheAiResult = async (entry) => {
+    try {
+      await writeAiCache({ ...entry, provider: aiProviderLabel })
+      const evicted = await evictAiCache(aiSettings.cacheLimitMb * 1024 * 1024)
+      if (evicted > 0) addLog(`🧹 Removed ${evicted} old AI result(s) from the cache`)
+    } catch (err) {
+      addLog(`⚠️ Could not cache the AI result: ${err.message}`, 'warning')
+    }
+  }
+
+  // Run AI Convert (originals) or AI Retouch (coloring pages) on one gallery item.
+  // Convert resolves to { data, prompt } with the result as a data URL. Retouch
+  // resolves to { plan, parsed, prompt } for review, plus the applied `data` when
+  // options.applyPlan is set. onProgress(progress, status) reports each stage,
+  // options.signal aborts the request and promptOverride replaces the prompt.
+  // Replies are cached by image, prompt and provider; options.cache 'use' takes
+  // the newest cached variant, 'refresh' asks the AI for a new one.
+  const processWithAi = async (image, onProgress = () => {}, promptOverride = null, options = {}) => {
+    const { signal, cache = 'use' } = options
+    const isConvert = image.type === 'original'
+    const prompt = getAiPrompt(image, promptOverride)
+
+    if (aiConfigError) {
+      throw new Error(aiConfigError)
+    }
+    const provider = createAiProvider(aiProvider, aiConfig)
+    const requestKey = await getAiCacheKey(image, prompt)
+    const cached = cache === 'use'
+      ? await listAiCacheVariants(requestKey)
+        .then(([latest]) => latest && readAiCache(latest.key))
+        .catch(() => null)
+      : null
+    if (cached) addLog('♻️ Using cached AI result')
+
+    // Image generation for ALL original images (uploaded OR captured)
+    if (isConvert) {
+      if (cached) {
+        onProgress(70, 'processing')
+        return { data: await blobToDataUrl(cached.blob), prompt, cached: true }
+      }
+      addLog(`🎨 Using ${aiProviderLabel} image generation...`)
+      addLog(image.uploaded ? '📤 Source: Uploaded photo' : '📸 Source: Captured from webcam')
+      onProgress(30)
+      const generatedImage = await provider.convert({ image: image.blob, prompt, signal })
+      await cacheAiResult({ requestKey, kind: 'convert', prompt, blob: await dataUrlToBlob(generatedImage) })
+
+      onProgress(70, 'processing')
+      addLog('✨ AI Image Generation complete!', 'success')
+      return { data: generatedImage, prompt }
+    }
+
+    // Retouch: the AI plans the fixes, OpenCV applies them. The reply text is
+    // what gets cached, so a cached plan is parsed the same way as a fresh one.
+    // Only replies that hold a valid JSON plan are cached.
+    let reply = cached?.text
+    if (reply === undefined) {
+      addLog(`🤖 Analyzing image with ${aiProviderLabel}...`)
+      onProgress(30)
+      addLog('Using Retouch prompt')
+      reply = await provider.analyze({ image: image.blob, prompt, signal })
+    }
+    const parsed = parseRetouchPlan(reply)
+    if (!cached && parsed.source === 'json') {
+      await cacheAiResult({ requestKey, kind: 'analyze', prompt, text: reply })
+    }
+    if (parsed.source !== 'json') {
+      addLog(`⚠️ AI plan not usable (${parsed.warnings.join('; ')}), using ${parsed.source === 'keywords' ? 'the operations named in the reply' : 'the default plan'}`, 'warning')
+    } else if (parsed.warnings.length > 0) {
+      addLog(`⚠️ AI plan repaired: ${parsed.warnings.join('; ')}`, 'warning')
+    }
+    addLog(`💡 AI plan: ${describePlan(parsed.plan)}`, 'success')
+    if (!options.applyPlan) {
+      return { plan: parsed.plan, parsed, prompt, cached: Boolean(cached) }
+    }
+
+    signal?.throwIfAborted()
+    onProgress(60, 'processing')
+    addLog('🔧 Applying enhancements...')
+    const enhanced = await applyAdvancedProcessing(image.data, parsed.plan)
+
+    addLog('✨ AI Retouch complete!', 'success')
+    return { data: enhanced, prompt, plan: parsed.plan }
+  }
+
+  // Queue AI Convert/Retouch for an item. With autoSave the result goes straight
+  // into the gallery (retouch plans are applied unreviewed); otherwise the job
+  // waits in the AI Jobs panel for review. cache is passed on to processWithAi.
+  // Returns the job id.
+  const enqueueAiJob = (image, { promptOverride = null, autoSave = false, cache = 'use' } = {}) => {
+    const isConvert = image.type === 'original'
+    const prompt = getAiPrompt(image, promptOverride)
+
+    return aiQueueRef.current.add(async ({ signal, report, attempt }) => {
+      if (attempt > 0) addLog(`🔁 Retrying AI job (attempt ${attempt + 1})...`)
+      let result
+      try {
+        result = await processWithAi(image, report, prompt, { signal, applyPlan: autoSave, cache })
+      } catch (err) {
+        if (!signal.aborted) addLog(`❌ AI error: ${err.message}`, err.retryable ? 'warning' : 'error')
+        throw err
+      }
+      if (autoSave) {
+        signal.throwIfAborted()
+        await addToGallery([{
+          type: 'coloring',
+          data: result.data,
+          ...provenanceFrom(image, isConvert ? 'ai-convert' : 'ai-retouch', {
+            prompt: result.prompt,
+            ...(result.plan && { params: { plan: result.plan } })
+          })
+        }])
+        addLog(isConvert ? '✅ Added converted coloring book to gallery' : '✅ Added enhanced version to gallery', 'success')
+      }
+      return result
+    }, {
+      kind: isConvert ? 'convert' : 'retouch',
+      label: `${isConvert ? 'AI Convert' : 'AI Retouch'} · ${GALLERY_ITEM_LABELS[image.type]}`,
+      itemId: image.id,
+      source: image,
+      prompt,
+      autoSave,
+      cache
+    })
+  }
+
+  // Open the AI modal on a job; it follows the job until there is a result
+  const openAiJob = (job) => {
+    setRetouchModal(followAiJob({
+      jobId: job.id,
+      original: job.source.data,
+      enhanced: null,
+      status: 'queued',
+      progress: 0,
+      isConvert: job.kind === 'convert',
+      source: job.source,
+      prompt: job.prompt
+    }, job))
+  }
+
+  const handleCancelJob = (jobId) => {
+    aiQueueRef.current.cancel(jobId)
+    addLog('🛑 AI job cancelled')
+  }
+
+  // Closing the modal cancels its job if it is still running; "Run in Background"
+  // is the way to leave it running
+  const closeRetouchModal = () => {
+    const job = retouchModal?.jobId && aiQueueRef.current.get(retouchModal.jobId)
+    if (job && isJobActive(job)) {
+      handleCancelJob(job.id)
+    }
+    setRetouchModal(null)
+  }
+
+  const runRetouchInBackground = () => {
+    addLog('⏳ AI job continues in the background, see AI Jobs')
+    setRetouchModal(null)
+  }
+
+  // Retouch with AI. When the same image, prompt and provider have a cached
+  // result, the modal first offers to reuse it or to generate a new variant.
+  const handleRetouchImage = async (image, promptOverride = null, planOverride = null) => {
+    const isConvert = image.type === 'original'
+
+    // A recorded plan goes straight to review, no AI call needed
+    if (planOverride) {
+      setRetouchModal({
+        original: image.data,
+        enhanced: null,
+        status: 'review',
+        progress: 0,
+        isConvert,
+        source: image,
+        prompt: promptOverride,
+        plan: planOverride,
+        planSource: 'recorded',
+        planWarnings: []
+      })
+      return
+    }
+
+    // A missing key or server URL is reported up front instead of as a failed job
+    if (aiConfigError) {
+      addLog(`❌ ${aiConfigError}`, 'error')
+      return
+    }
+
+    const prompt = getAiPrompt(image, promptOverride)
+    try {
+      const variants = await listAiCacheVariants(await getAiCacheKey(image, prompt))
+      if (variants.length > 0) {
+        setRetouchModal({
+          original: image.data,
+          enhanced: null,
+          status: 'cached',
+          progress: 0,
+          isConvert,
+          source: image,
+          prompt,
+          cacheKey: variants[0].key,
+          cacheVariants: variants.map(({ key, createdAt }) => ({ key, createdAt }))
+        })
+        return
+      }
+    } catch (err) {
+      addLog(`⚠️ AI cache unavailable: ${err.message}`, 'warning')
+    }
+
+    addLog(isConvert ? '🎨 Starting AI Convert...' : '🎨 Starting AI Retouch...')
+    const jobId = enqueueAiJob(image, { promptOverride })
+    openAiJob(aiQueueRef.current.get(jobId))
+  }
+
+  // Show the cached result offered by handleRetouchImage
+  const handleUseCachedResult = async () => {
+    const { cacheKey, isConvert } = retouchModal
+    try {
+      const entry = await readAiCache(cacheKey)
+      if (!entry) throw new Error('The cached result has been removed')
+      addLog('♻️ Using cached AI result')
+      if (isConvert) {
+        const enhanced = await blobToDataUrl(entry.blob)
+        setRetouchModal(prev => prev && { ...prev, enhanced, status: 'complete', progress: 100 })
+        return
+      }
+      const parsed = parseRetouchPlan(entry.text)
+      setRetouchModal(prev => prev && {
+        ...prev,
+        status: 'review',
+        plan: parsed.plan,
+        planSource: parsed.source,
+        planWarnings: parsed.warnings
+      })
+    } catch (err) {
+      addLog(`❌ AI cache error: ${err.message}`, 'error')
+      setRetouchModal(prev => prev && { ...prev, status: 'error', error: err.message })
+    }
+  }
+
+  // Ask the AI again; the new result is cached next to the earlier variants
+  const handleGenerateVariant = () => {
+    const { source, prompt, isConvert } = retouchModal
+    addLog(isConvert ? '🎨 Generating a new AI Convert variant...' : '🎨 Generating a new AI Retouch plan...')
+    const jobId = enqueueAiJob(source, { promptOverride: prompt, cache: 'refresh' })
+    openAiJob(aiQueueRef.current.get(jobId))
+  }
+
+  // Apply the reviewed retouch plan
+  const handleApplyRetouchPlan = async () => {
+    const { source, plan } = retouchModal
+    setRetouchModal(prev => prev && { ...prev, status: 'applying', progress: 60 })
+    addLog('🔧 Applying enhancements...')
+
+    try {
+      const enhanced = await applyAdvancedProcessing(source.data, plan)
+      addLog('✨ AI Retouch complete!', 'success')
+      setRetouchModal(prev => prev && { ...prev, enhanced, status: 'complete', progress: 100 })
+    } catch (err) {
+      addLog(`❌ Retouch error: ${err.message}`, 'error')
+      setRetouchModal(prev => prev && { ...prev, status: 'error', error: err.message })
+    }
+  }
+
+  // Re-run the pipeline that made an item, on its original, with the recorded settings loaded
+  const handleRegenerate = (item) => {
+    const original = gallery.find(entry => entry.id === getOriginalId(item))
+    if (!original) {
+      addLog('⚠️ The original photo is no longer in the gallery', 'warning')
+      return
+    }
+
+    switch (item.pipeline) {
+      case 'live':
+      case 'opencv':
+        if (item.params) setParams(sanitizeParams(item.params))
+        setShowSidebar(true)
+        setSidebarTab('settings')
+        addLog('♻️ Loaded the recorded settings')
+        handleOpenConvert(original)
+        break
+      case 'paint-by-number': {
+        const options = { ...DEFAULT_PBN_OPTIONS, ...item.params }
+        setPbnOptions(options)
+        handleGeneratePaintByNumber(original, options)
+        break
+      }
+      case 'ai-convert':
+        handleRetouchImage(original, item.prompt)
+        break
+      case 'ai-retouch': {
+        // Retouch starts from the coloring page it was made from
+        const source = gallery.find(entry => entry.id === item.sourceId)
+        if (!source) {
+          addLog('⚠️ The coloring page this was retouched from is no longer in the gallery', 'warning')
+          return
+        }
+        handleRetouchImage(source, item.prompt, item.params?.plan)
+        break
+      }
+      default:
+        addLog('⚠️ No recorded settings for this image', 'warning')
+    }
+  }
+
+  // Queue AI Convert/Retouch for every selected item, adding results to the gallery
+  const handleBulkAi = () => {
+    const images = selectedImages
+    if (aiConfigError) {
+      addLog(`❌ ${aiConfigError}`, 'error')
+      return
+    }
+
+    for (const image of images) {
+      enqueueAiJob(image, { autoSave: true })
+    }
+    setJobsPanelOpen(true)
+    addLog(`🤖 Queued AI for ${images.length} image(s), up to ${aiSettings.concurrency} at a time`)
+  }
+
+  // Queue a failed job again with the same image and prompt
+  const handleRetryJob = (job) => {
+    aiQueueRef.current.dismiss(job.id)
+    enqueueAiJob(job.source, { promptOverride: job.prompt, autoSave: job.autoSave, cache: job.cache })
+  }
+
+  // Cached AI results, with object URLs for the images (revoked on reload and close)
+  const loadCacheBrowser = async () => {
+    setCacheBrowser(prev => {
+      prev?.entries.forEach(entry => entry.url && URL.revokeObjectURL(entry.url))
+      return { status: 'loading', entries: [] }
+    })
+    try {
+      const entries = await listAiCache()
+      setCacheBrowser({
+        status: 'ready',
+        entries: entries.map(entry => ({
+          ...entry,
+          url: entry.blob ? URL.createObjectURL(entry.blob) : null,
+          plan: entry.text !== undefined ? parseRetouchPlan(entry.text).plan : null
+        }))
+      })
+    } catch (err) {
+      addLog(`❌ Could not read the AI cache: ${err.message}`, 'error')
+      setCacheBrowser({ status: 'error', entries: [], error: err.message })
+    }
+  }
+
+  const closeCacheBrowser = () => {
+    cacheBrowser?.entries.forEach(entry => entry.url && URL.revokeObjectURL(entry.url))
+    setCacheBrowser(null)
+  }
+
+  const handleDeleteCacheEntry = async (key) => {
+    try {
+      await deleteAiCacheEntries([key])
+    } catch (err) {
+      addLog(`❌ Could not remove the cached result: ${err.message}`, 'error')
+    }
+    await loadCacheBrowser()
+  }
+
+  const handleClearAiCache = async () => {
+    if (!window.confirm('Remove all cached AI results?')) return
+    try {
+      await clearAiCache()
+      addLog('🧹 AI cache cleared')
+    } catch (err) {
+      addLog(`❌ Could not clear the AI cache: ${err.message}`, 'error')
+    }
+    await loadCacheBrowser()
+  }
+
+  // A smaller limit evicts the least recently used results straight away
+  const handleCacheLimitChange = async (cacheLimitMb) => {
+    setAiSettings(prev => ({ ...prev, cacheLimitMb }))
+    try {
+      const evicted = await evictAiCache(cacheLimitMb * 1024 * 1024)
+      if (evicted > 0) addLog(`🧹 Removed ${evicted} old AI result(s) from the cache`)
+    } catch (err) {
+      addLog(`❌ Could not trim the AI cache: ${err.message}`, 'error')
+    }
+    await loadCacheBrowser()
+  }
+
+  // Gallery drag scroll
+  useEffect(() => {
+    const gallery = galleryRef.current
+    if (!gallery) return
+
+    let isDown = false
+    let dragged = false
+    let startX
+    let scrollLeft
+
+    const handleMouseDown = (e) => {
+      isDown = true
+      dragged = false
+      gallery.classList.add('dragging')
+      startX = e.pageX - gallery.offsetLeft
+      scrollLeft = gallery.scrollLeft
+    }
+
+    const handleMouseLeave = () => {
+      isDown = false
+      gallery.classList.remove('dragging')
+    }
+
+    const handleMouseUp = () => {
+      isDown = false
+      gallery.classList.remove('dragging')
+    }
+
+    const handleMouseMove = (e) => {
+      if (!isDown) return
+      e.preventDefault()
+      const x = e.pageX - gallery.offsetLeft
+      const walk = (x - startX) * 2
+      if (Math.abs(walk) > 10) dragged = true
+      gallery.scrollLeft = scrollLeft - walk
+    }
+
+    // A drag should scroll, not toggle the selection of the item it ended on
+    const handleClickCapture = (e) => {
+      if (!dragged) return
+      dragged = false
+      e.stopPropagation()
+    }
+
+    gallery.addEventListener('mousedown', handleMouseDown)
+    gallery.addEventListener('mouseleave', handleMouseLeave)
+    gallery.addEventListener('mouseup', handleMouseUp)
+    gallery.addEventListener('mousemove', handleMouseMove)
+    gallery.addEventListener('click', handleClickCapture, true)
+
+    return () => {
+      gallery.removeEventListener('mousedown', handleMouseDown)
+      gallery.removeEventListener('mouseleave', handleMouseLeave)
+      gallery.removeEventListener('mouseup', handleMouseUp)
+      gallery.removeEventListener('mousemove', handleMouseMove)
+      gallery.removeEventListener('click', handleClickCapture, true)
+    }
+  }, [loading])
+
+  if (loading) {
+    return (
+      <div className="loading">
+        <div className="spinner"></div>
+        <p>Loading OpenCV.js...</p>
+        <p style={{ fontSize: '12px', marginTop: '10px', opacity: 0.7 }}>
+          This may take 5-10 seconds...
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="app">
+      {/* Main Canvas Area */}
+      <div className="canvas-container">
+        <video ref={videoRef} autoPlay playsInline style={{ display: 'none' }} />
+        <div className="dual-canvas">
+          <div className="canvas-wrapper">
+            <div className="canvas-label">Original</div>
+            <canvas ref={originalCanvasRef} className="output-canvas" />
+          </div>
+          <div className="canvas-wrapper">
+            <div className="canvas-label">Coloring Book</div>
+            <canvas ref={canvasRef} className="output-canvas" />
+          </div>
+        </div>
+        {videoFile && (
+          <div className="video-source-bar">
+            <button
+              className="btn-tool"
+              onClick={handleTogglePlayback}
+              disabled={!!extracting}
+              title={playback.playing ? 'Pause' : 'Play'}
+            >
+              {playback.playing ? <Pause size={18} /> : <Play size={18} />}
+            </button>
+            <input
+              type="range"
+              className="video-scrub"
+              min="0"
+              max={playback.duration || 0}
+              step="0.01"
+              value={playback.currentTime}
+              onChange={(e) => handleScrub(parseFloat(e.target.value))}
+              disabled={!!extracting}
+            />
+            <span className="video-time">
+              {formatDuration(playback.currentTime * 1000)} / {formatDuration(playback.duration * 1000)}
+            </span>
+            <button
+              className="btn-gallery-action"
+              onClick={handleExtractFrames}
+              disabled={!playback.duration}
+              title={`Add one frame in every ${extractOptions.every} to the gallery (see Camera in the settings panel)`}
+            >
+              <Film size={14} />
+              {extracting ? `Stop (${extracting.done}/${extracting.total})` : 'Extract Frames'}
+            </button>
+            <button
+              className="btn-gallery-action"
+              onClick={handleCloseVideoFile}
+              title="Back to the camera"
+            >
+              <X size={14} />
+            </button>
+          </div>
+        )}
+        {countdown !== null && (
+          <div className="capture-countdown" key={countdown}>{countdown}</div>
+        )}
+        {recording && (
+          <div className="recording-status">
+            <span className="recording-dot" />
+            REC {formatDuration(recording.elapsed)}
+          </div>
+        )}
+        {captureOptions.autoCapture && streaming && countdown === null && (
+          <div className="auto-capture-status">
+            <Timer size={14} />
+            {capturing ? 'Capturing...' : stillProgress > 0 ? 'Hold still...' : 'Auto-capture on'}
+            <div className="auto-capture-bar" style={{ width: `${stillProgress * 100}%` }} />
+          </div>
+        )}
+      </div>
+
+      {/* Bulk actions for selected items */}
+      {selectedItems.length > 0 && (
+        <div className="gallery-status gallery-selection">
+          <span>
+            {selectedItems.length} selected
+            {activeAiJobs.length > 0 && ` · AI ${activeAiJobs.length} running`}
+          </span>
+          <button
+            className="btn-gallery-action"
+            onClick={() => setSelectedIds(gallery.map(item => item.id))}
+            title="Select every image"
+          >
+            All
+          </button>
+          <button className="btn-gallery-action" onClick={handleDownloadZip} title="Download selected as ZIP">
+            <Archive size={14} />
+            ZIP
+          </button>
+          <button
+            className="btn-gallery-action"
+            onClick={() => handleOpenPrint(selectedImages)}
+            disabled={selectedImages.length === 0}
+            title="Print selected"
+          >
+            <Printer size={14} />
+            Print
+          </button>
+          <button
+            className="btn-gallery-action"
+            onClick={handleOpenBook}
+            disabled={selectedImages.length === 0}
+            title="Create a PDF book from selected"
+          >
+            <BookOpen size={14} />
+            Book
+          </button>
+          <button
+            className="btn-gallery-action"
+            onClick={handleBulkAi}
+            disabled={selectedImages.length === 0}
+            title="AI Convert originals and AI Retouch coloring pages"
+          >
+            <Sparkles size={14} />
+            AI
+          </button>
+          <button
+            className="btn-gallery-action danger"
+            onClick={handleDeleteSelected}
+            title="Delete selected"
+          >
+            <Trash2 size={14} />
+            Delete
+          </button>
+          <button
+            className="btn-gallery-action"
+            onClick={() => setSelectedIds([])}
+            title="Clear selection"
+          >
+            <X size={14} />
+          </button>
+        </div>
+      )}
+
+      {/* Gallery storage status */}
+      {selectedItems.length === 0 && (gallery.length > 0 || storageError) && (
+        <div className={`gallery-status ${storageError ? 'storage-error' : ''}`}>
+          <span>
+            {storageError ? `⚠️ ${storageError}` : `💾 ${gallery.length} image(s) saved in this browser`}
+            {storageInfo?.quota > 0 && ` · ${formatBytes(storageInfo.usage)} of ${formatBytes(storageInfo.quota)} used`}
+          </span>
+          {gallery.length > 0 && (
+            <button
+              className="btn-gallery-action danger"
+              onClick={handleClearGallery}
+              title="Delete every image in the gallery"
+            >
+              <Trash2 size={14} />
+              Clear
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* AI job list */}
+      {aiJobs.length > 0 && (
+        <div className={`ai-jobs-panel ${jobsPanelOpen ? '' : 'collapsed'}`}>
+          <div className="ai-jobs-header">
+            <button className="ai-jobs-toggle" onClick={() => setJobsPanelOpen(!jobsPanelOpen)}>
+              <Sparkles size={14} />
+              AI Jobs
+              {activeAiJobs.length > 0 && <span className="ai-jobs-count">{activeAiJobs.length} running</span>}
+              {jobsPanelOpen ? <ChevronDown size={14} /> : <ChevronUp size={14} />}
+            </button>
+            {aiJobs.length > activeAiJobs.length && (
+              <button className="btn-gallery-action" onClick={() => aiQueueRef.current.dismiss()} title="Remove finished jobs">
+                Clear
+              </button>
+            )}
+          </div>
+          {jobsPanelOpen && (
+            <ul className="ai-jobs-list">
+              {aiJobs.map(job => (
+                <li key={job.id} className={`ai-job ${job.status}`}>
+                  <img src={job.source.data} alt="" className="ai-job-thumb" />
+                  <div className="ai-job-info">
+                    <span className="ai-job-label">{job.label}</span>
+                    {job.status === 'running' ? (
+                      <div className="progress-bar">
+                        <div className="progress-fill" style={{ width: `${job.progress}%` }} />
+                      </div>
+                    ) : (
+                      <span className="ai-job-status" title={job.error || undefined}>
+                        {job.status === 'queued' && 'Waiting...'}
+                        {job.status === 'retrying' && `Busy, retrying (attempt ${job.attempt + 2})...`}
+                        {job.status === 'done' && (job.autoSave ? 'Added to gallery' : 'Ready to review')}
+                        {job.status === 'error' && `Failed: ${job.error}`}
+                        {job.status === 'cancelled' && 'Cancelled'}
+                      </span>
+                    )}
+                  </div>
+                  <div className="ai-job-actions">
+                    {isJobActive(job) && (
+                      <>
+                        <button className="btn-tool" onClick={() => openAiJob(job)} title="Show progress">
+                          <Eye size={14} />
+                        </button>
+                        <button className="btn-tool" onClick={() => handleCancelJob(job.id)} title="Cancel job">
+                          <X size={14} />
+                        </button>
+                      </>
+                    )}
+                    {job.status === 'done' && !job.autoSave && (
+                      <button className="btn-gallery-action" onClick={() => openAiJob(job)}>
+                        Review
+                      </button>
+                    )}
+                    {job.status === 'error' && (
+                      <button className="btn-tool" onClick={() => handleRetryJob(job)} title="Try again">
+                        <RotateCw size={14} />
+                      </button>
+                    )}
+                    {!isJobActive(job) && (
+                      <button className="btn-tool" onClick={() => aiQueueRef.current.dismiss(job.id)} title="Dismiss">
+                        <Trash2 size={14} />
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* Gallery */}
+      <div className="gallery" ref={galleryRef}>
+        {gallery.map(image => (
+          <div
+            key={image.id}
+            className={`gallery-item ${selectedIds.includes(image.id) ? 'selected' : ''}`}
+            title={describeProvenance(image)}
+            onClick={(e) => handleGalleryItemClick(e, image)}
+            onMouseEnter={() => setHoveredImage(image.id)}
+            onMouseLeave={() => setHoveredImage(null)}
+          >
+            {image.type === 'video' ? (
+              <video src={image.data} className="thumbnail" autoPlay muted loop playsInline />
+            ) : (
+              <img
+                src={image.data}
+                alt={GALLERY_ITEM_LABELS[image.type]}
+                className="thumbnail"
+              />
+            )}
+            <span className="thumbnail-label">
+              {GALLERY_ITEM_LABELS[image.type]}
+              {image.type === 'video' && image.duration && ` · ${formatDuration(image.duration)}`}
+              {image.unsaved && ' · not saved'}
+            </span>
+            {selectedIds.includes(image.id) && (
+              <span className="select-badge">
+                <Check size={14} />
+              </span>
+            )}
+            {(() => {
+              const job = aiJobs.filter(entry => entry.itemId === image.id &&
+                (isJobActive(entry) || (entry.status === 'done' && !entry.autoSave))).pop()
+              if (!job) return null
+              return job.status === 'done' ? (
+                <button
+                  className="ai-job-badge ready"
+                  onClick={(e) => { e.stopPropagation(); openAiJob(job) }}
+                  title="AI result ready, click to review"
+                >
+                  <Sparkles size={10} /> Review
+                </button>
+              ) : (
+                <span className={`ai-job-badge ${job.status}`} title={job.label}>
+                  <Sparkles size={10} />
+                  {job.status === 'queued' && ' Queued'}
+                  {job.status === 'running' && ` ${job.progress}%`}
+                  {job.status === 'retrying' && ' Retry'}
+                </span>
+              )
+            })()}
+            {hoveredImage === image.id && (
+              <div className="image-overlay">
+                {image.type === 'video' ? (
+                  <button
+                    className="overlay-btn print-btn"
+                    onClick={() => downloadUrl(image.data, `coloring-recording-${image.id}.${extensionForMimeType(image.blob.type)}`)}
+                    title="Download video"
+                  >
+                    <Download size={16} />
+                    <span>Download</span>
+                  </button>
+                ) : (
+                  <button
+                    className="overlay-btn print-btn"
+                    onClick={() => handleOpenPrint([image])}
+                    title={`Print ${GALLERY_ITEM_LABELS[image.type]}`}
+                  >
+                    <Printer size={16} />
+                    <span>Print</span>
+                  </button>
+                )}
+                {image.type === 'original' && (
+                  <button
+                    className="overlay-btn crop-btn"
+                    onClick={() => handleOpenCrop(image)}
+                    title="Crop, rotate, straighten or flip"
+                  >
+                    <Crop size={16} />
+                    <span>Crop</span>
+                  </button>
+                )}
+                {image.type === 'original' && (
+                  <button
+                    className="overlay-btn opencv-btn"
+                    onClick={() => handleOpenConvert(image)}
+                    title="Convert with current settings"
+                  >
+                    <Wand2 size={16} />
+                    <span>Convert</span>
+                  </button>
+                )}
+                {image.type === 'original' && (
+                  <button
+                    className="overlay-btn convert-btn"
+                    onClick={() => handleRetouchImage(image)}
+                    title="AI Convert to Coloring Book"
+                  >
+                    <Sparkles size={16} />
+                    <span>AI Convert</span>
+                  </button>
+                )}
+                {image.type === 'original' && (
+                  <button
+                    className="overlay-btn pbn-btn"
+                    onClick={() => handleGeneratePaintByNumber(image)}
+                    title="Paint by Number"
+                  >
+                    <Palette size={16} />
+                    <span>Paint by Number</span>
+                  </button>
+                )}
+                {image.type === 'coloring' && (
+                  <button
+                    className="overlay-btn retouch-btn"
+                    onClick={() => handleRetouchImage(image)}
+                    title="AI Retouch"
+                  >
+                    <Sparkles size={16} />
+                    <span>Retouch AI</span>
+                  </button>
+                )}
+                {image.type === 'coloring' && (
+                  <button
+                    className="overlay-btn edit-btn"
+                    onClick={() => {
+                      addLog('✏️ Opening touch-up editor...')
+                      setEditorModal({ image, status: 'loading', canUndo: false, canRedo: false })
+                    }}
+                    title="Touch up the lines"
+                  >
+                    <PenLine size={16} />
+                    <span>Edit</span>
+                  </button>
+                )}
+                {image.type === 'coloring' && (
+                  <button
+                    className="overlay-btn color-btn"
+                    onClick={() => {
+                      addLog('🖍️ Opening coloring mode...')
+                      setColoringModal({ image, status: 'loading', canUndo: false, canRedo: false })
+                    }}
+                    title="Color it in"
+                  >
+                    <Brush size={16} />
+                    <span>Color</span>
+                  </button>
+                )}
+                {image.type === 'coloring' && (
+                  <button
+                    className="overlay-btn svg-btn"
+                    onClick={() => handleDownloadSvg(image.data)}
+                    title="Download as SVG vector"
+                  >
+                    <PenTool size={16} />
+                    <span>SVG</span>
+                  </button>
+                )}
+                {canRegenerate(image) && gallery.some(entry => entry.id === getOriginalId(image)) && (
+                  <button
+                    className="overlay-btn regen-btn"
+                    onClick={() => handleRegenerate(image)}
+                    title="Regenerate from original with the recorded settings"
+                  >
+                    <RefreshCw size={16} />
+                    <span>Regenerate</span>
+                  </button>
+                )}
+                <button
+                  className="overlay-btn delete-btn"
+                  onClick={() => handleDeleteImage(image)}
+                  title="Delete"
+                >
+                  <Trash2 size={16} />
+                  <span>Delete</span>
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {/* Controls */}
+      <div className="controls">
+        <button onClick={handleCapture} className="btn btn-primary" disabled={capturing && countdown === null}>
+          {countdown !== null ? <X size={20} /> : <Camera size={20} />}
+          {countdown !== null ? 'Cancel' : 'Capture'}
+        </button>
+        <button
+          onClick={handleToggleRecording}
+          className={`btn btn-record ${recording ? 'recording' : ''}`}
+          disabled={!streaming && !recording}
+        >
+          {recording ? <Square size={20} /> : <Video size={20} />}
+          {recording ? `Stop ${formatDuration(recording.elapsed)}` : 'Record'}
+        </button>
+        <button
+          onClick={() => fileInputRef.current?.click()}
+          className="btn btn-upload"
+        >
+          <Upload size={20} />
+          Upload Photo
+        </button>
+        <button
+          onClick={handleOpenBook}
+          className="btn btn-book"
+          disabled={gallery.length === 0}
+        >
+          <BookOpen size={20} />
+          Create Book
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/*"
+          onChange={handleFileUpload}
+          style={{ display: 'none' }}
+        />
+        <button
+          onClick={() => setShowSidebar(!showSidebar)}
+          className="btn btn-secondary"
+        >
+          <Settings size={20} />
+          {showSidebar ? 'Close Panel' : 'Open Panel'}
+        </button>
+      </div>
+
+      {/* Right Sidebar */}
+      {showSidebar && (
+        <div className="sidebar">
+          <div className="sidebar-header">
+            <div className="sidebar-tabs">
+              <button
+                className={`sidebar-tab ${sidebarTab === 'settings' ? 'active' : ''}`}
+                onClick={() => setSidebarTab('settings')}
+              >
+                <Settings size={18} />
+                Settings
+              </button>
+              <button
+                className={`sidebar-tab ${sidebarTab === 'logs' ? 'active' : ''}`}
+                onClick={() => setSidebarTab('logs')}
+              >
+                <Terminal size={18} />
+                Logs
+              </button>
+            </div>
+            <button onClick={() => setShowSidebar(false)} className="sidebar-close">
+              <X size={18} />
+            </button>
+          </div>
+
+          <div className="sidebar-content">
+            {/* Settings Tab */}
+            {sidebarTab === 'settings' && (
+              <>
+                {/* AI Provider Section */}
+                <div className="sidebar-section">
+                  <h3 className="section-title">🔑 AI Provider</h3>
+                  {AI_PROXY_URL ? (
+                    <p className="param-hint">
+                      AI requests go through this device's AI server, which holds the API key.
+                    </p>
+                  ) : (
+                    <>
+                      <select
+                        value={aiSettings.provider}
+                        onChange={(e) => setAiSettings({...aiSettings, provider: e.target.value})}
+                        className="sidebar-select ai-provider-select"
+                      >
+                        {AI_PROVIDERS.map(provider => (
+                          <option key={provider.value} value={provider.value}>{provider.label}</option>
+                        ))}
+                      </select>
+                      {aiSettings.provider === 'gemini' ? (
+                        <>
+                          <input
+                            type="password"
+                            value={geminiApiKey}
+                            onChange={handleApiKeyChange}
+                            className="api-key-input"
+                            placeholder="Enter your Gemini API key..."
+                            style={{
+                              width: '100%',
+                              padding: '10px',
+                              fontSize: '13px',
+                              border: '1px solid #ddd',
+                              borderRadius: '6px',
+                              fontFamily: 'monospace',
+                              backgroundColor: geminiApiKey ? '#f0fff4' : '#fff'
+                            }}
+                          />
+                          <p className="param-hint" style={{ marginTop: '8px', fontSize: '11px', color: '#666' }}>
+                            Get your free API key from <a href="https://makersuite.google.com/app/apikey" target="_blank" rel="noopener noreferrer" style={{ color: '#4285f4', textDecoration: 'underline' }}>Google AI Studio</a>
+                          </p>
+                          {aiConfigError && (
+                            <p className="param-hint" style={{ marginTop: '4px', fontSize: '11px', color: '#dc2626', fontWeight: 'bold' }}>
+                              ⚠️ API key required for AI features
+                            </p>
+                          )}
+                        </>
+                      ) : (
+                        <div className="ai-provider-fields">
+                          <label>
+                            {aiSettings.provider === 'openai' ? 'Base URL' : 'Server URL'}
+                            <input
+                              type="url"
+                              value={aiConfig.baseUrl}
+                              onChange={(e) => updateAiConfig({ baseUrl: e.target.value.trim() })}
+                              className="preset-name-input"
+                              placeholder={DEFAULT_AI_SETTINGS[aiSettings.provider].baseUrl}
+                            />
+                          </label>
+                          <label>
+                            API key{aiSettings.provider === 'custom' && ' (optional)'}
+                            <input
+                              type="password"
+                              value={aiConfig.apiKey}
+                              onChange={(e) => updateAiConfig({ apiKey: e.target.value.trim() })}
+                              className="preset-name-input"
+                            />
+                          </label>
+                          {aiSettings.provider === 'openai' && (
+                            <>
+                              <label>
+                                Image model
+                                <input
+                                  type="text"
+                                  value={aiConfig.imageModel}
+                                  onChange={(e) => updateAiConfig({ imageModel: e.target.value.trim() })}
+                                  className="preset-name-input"
+                                />
+                              </label>
+                              <label>
+                                Vision model
+                                <input
+                                  type="text"
+                                  value={aiConfig.analyzeModel}
+                                  onChange={(e) => updateAiConfig({ analyzeModel: e.target.value.trim() })}
+                                  className="preset-name-input"
+                                />
+                              </label>
+                            </>
+                          )}
+                          <p className="param-hint">
+                            {aiSettings.provider === 'openai'
+                              ? 'Uses /images/edits and /chat/completions; works with OpenAI and compatible servers.'
+                              : 'Photos are sent only to this server (POST /convert and /analyze, see README).'}
+                          </p>
+                          {aiConfigError && (
+                            <p className="param-hint camera-error">⚠️ {aiConfigError}</p>
+                          )}
+                        </div>
+                      )}
+                    </>
+                  )}
+                  <div className="param-control">
+                    <label>
+                      Parallel AI jobs: <span className="param-value">{aiSettings.concurrency}</span>
+                    </label>
+                    <input
+                      type="range"
+                      min="1"
+                      max={MAX_CONCURRENCY}
+                      value={aiSettings.concurrency}
+                      onChange={(e) => setAiSettings({...aiSettings, concurrency: parseInt(e.target.value)})}
+                    />
+                    <p className="param-hint">
+                      Rate-limited and server errors are retried with increasing delays.
+                    </p>
+                  </div>
+                  <button onClick={loadCacheBrowser} className="btn-preset">
+                    <Database size={14} /> Cached AI Results
+                  </button>
+                </div>
+
+                {/* Camera Selection Section */}
+                <div className="sidebar-section camera-section">
+                  <h3 className="section-title">Camera</h3>
+                  <select
                     value={selectedCamera}
                     onChange={handleCameraChange}
                     className="camera-select"
                     disabled={cameras.length === 0}
                   >
-                    {cameras.length === 0 ? (
-                      <option value="">No cameras found</option>
-                    ) : (
-                      cameras.map((camera, index) => (
-                        <option key={camera.deviceId} value={camera.deviceId}>
-                          {camera.label || `Camera ${index + 1}`}
-                        </option>
-                      ))
-                    )}
+                    {cameras.length === 0 ? (
+                      <option value="">No cameras found</option>
+                    ) : (
+                      cameras.map((camera, index) => (
+                        <option key={camera.deviceId} value={camera.deviceId}>
+                          {camera.label || `Camera ${index + 1}`}
+                        </option>
+                      ))
+                    )}
+                  </select>
+                  <div className="section-header">
+                    <label className="toggle-label">
+                      <input
+                        type="checkbox"
+                        checked={cameraOptions.mirror}
+                        onChange={(e) => setCameraOptions({...cameraOptions, mirror: e.target.checked})}
+                      />
+                      Mirror (selfie view)
+                    </label>
+                  </div>
+                  <div className="param-control">
+                    <label>Orientation</label>
+                    <select
+                      value={cameraOptions.orientation}
+                      onChange={(e) => setCameraOptions({...cameraOptions, orientation: e.target.value})}
+                      className="sidebar-select"
+                    >
+                      <option value="landscape">Landscape</option>
+                      <option value="portrait">Portrait (for letter/A4 pages)</option>
+                    </select>
+                  </div>
+                  <div className="param-control">
+                    <label>Resolution</label>
+                    <select
+                      value={cameraOptions.resolution}
+                      onChange={(e) => setCameraOptions({...cameraOptions, resolution: e.target.value})}
+                      className="sidebar-select"
+                    >
+                      <option value="auto">Auto</option>
+                      {resolutionChoices.map(resolution => (
+                        <option key={resolution} value={resolution}>{resolution.replace('x', ' × ')}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {cameraError && (
+                    <p className="param-hint camera-error">⚠️ {cameraError}</p>
+                  )}
+                  <button
+                    className="btn-preset video-file-btn"
+                    onClick={() => videoFileInputRef.current?.click()}
+                  >
+                    <Film size={14} /> {videoFile ? `Video: ${videoFile.name}` : 'Use Video File...'}
+                  </button>
+                  <input
+                    ref={videoFileInputRef}
+                    type="file"
+                    accept={VIDEO_FILE_TYPES}
+                    onChange={handleVideoFileSelect}
+                    style={{ display: 'none' }}
+                  />
+                  {videoFile && (
+                    <div className="extract-options">
+                      <div className="param-control">
+                        <label>
+                          Extract every: <span className="param-value">{extractOptions.every} frames</span>
+                        </label>
+                        <input
+                          type="range"
+                          min="1"
+                          max="60"
+                          step="1"
+                          value={extractOptions.every}
+                          onChange={(e) => setExtractOptions({...extractOptions, every: parseInt(e.target.value)})}
+                        />
+                      </div>
+                      <div className="param-control">
+                        <label>
+                          Frame rate
+                          <span className="param-hint">(of the file)</span>
+                        </label>
+                        <select
+                          value={extractOptions.fps}
+                          onChange={(e) => setExtractOptions({...extractOptions, fps: parseInt(e.target.value)})}
+                          className="sidebar-select"
+                        >
+                          {FRAME_RATES.map(fps => (
+                            <option key={fps} value={fps}>{fps} fps</option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+                  )}
+                </div>
+
+                {/* Capture Section */}
+                <div className="sidebar-section">
+                  <h3 className="section-title">Capture</h3>
+                  <div className="param-control">
+                    <label>Countdown</label>
+                    <select
+                      value={captureOptions.delay}
+                      onChange={(e) => setCaptureOptions({...captureOptions, delay: parseInt(e.target.value)})}
+                      className="sidebar-select"
+                    >
+                      {CAPTURE_DELAYS.map(delay => (
+                        <option key={delay} value={delay}>{delay === 0 ? 'Off' : `${delay} seconds`}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="param-control">
+                    <label>
+                      Burst
+                      <span className="param-hint">(keeps the sharpest frame)</span>
+                    </label>
+                    <select
+                      value={captureOptions.burst}
+                      onChange={(e) => setCaptureOptions({...captureOptions, burst: parseInt(e.target.value)})}
+                      className="sidebar-select"
+                    >
+                      {BURST_SIZES.map(size => (
+                        <option key={size} value={size}>{size === 1 ? 'Off' : `${size} frames`}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="section-header">
+                    <label className="toggle-label">
+                      <input
+                        type="checkbox"
+                        checked={captureOptions.autoCapture}
+                        onChange={(e) => setCaptureOptions({...captureOptions, autoCapture: e.target.checked})}
+                      />
+                      Auto-capture when still
+                    </label>
+                  </div>
+                  <div className="section-header">
+                    <label className="toggle-label">
+                      <input
+                        type="checkbox"
+                        checked={captureOptions.recordSideBySide}
+                        onChange={(e) => setCaptureOptions({...captureOptions, recordSideBySide: e.target.checked})}
+                        disabled={!!recording}
+                      />
+                      Record side by side with the original
+                    </label>
+                  </div>
+                  {captureOptions.autoCapture && (
+                    <div className="param-control">
+                      <label>
+                        Still for: <span className="param-value">{captureOptions.stillSeconds}s</span>
+                      </label>
+                      <input
+                        type="range"
+                        min="1"
+                        max="5"
+                        step="0.5"
+                        value={captureOptions.stillSeconds}
+                        onChange={(e) => setCaptureOptions({...captureOptions, stillSeconds: parseFloat(e.target.value)})}
+                      />
+                    </div>
+                  )}
+                </div>
+
+                {/* AI Prompts */}
+                <div className="sidebar-section">
+                  <h3 className="section-title">AI Convert Prompt</h3>
+                  <select
+                    value={activeTemplate ? activeTemplateId : ''}
+                    onChange={(e) => handleSelectTemplate(e.target.value)}
+                    className="sidebar-select prompt-template-select"
+                  >
+                    {!activeTemplate && <option value="">Custom</option>}
+                    <optgroup label="Built-in">
+                      {BUILT_IN_TEMPLATES.map(template => (
+                        <option key={template.id} value={template.id}>{template.name}</option>
+                      ))}
+                    </optgroup>
+                    {userTemplates.length > 0 && (
+                      <optgroup label="My Templates">
+                        {userTemplates.map(template => (
+                          <option key={template.id} value={template.id}>{template.name}</option>
+                        ))}
+                      </optgroup>
+                    )}
+                  </select>
+                  <textarea
+                    value={convertPrompt}
+                    onChange={(e) => setConvertPrompt(e.target.value)}
+                    className="gemini-prompt-input"
+                    rows={6}
+                    placeholder="Enter the prompt for converting photos to coloring books..."
+                  />
+                  <p className="param-hint" style={{ marginTop: '8px', fontSize: '11px', color: '#666' }}>
+                    Used when converting Original photos to Coloring Book style. Variables: {'{subject}'}, {'{age_group}'}, {'{line_weight}'}, {'{background}'}.
+                  </p>
+                  {templateModified && (
+                    <p className="param-hint method-hint">
+                      Prompt changed since this template was loaded.
+                    </p>
+                  )}
+
+                  {templateVariables.map(variable => (
+                    <div key={variable.name} className="param-control prompt-variable">
+                      <label>{variable.label}</label>
+                      {variable.options ? (
+                        <select
+                          value={promptVariables[variable.name]}
+                          onChange={(e) => setPromptVariables({...promptVariables, [variable.name]: e.target.value})}
+                          className="sidebar-select"
+                        >
+                          {variable.options.map(option => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <input
+                          type="text"
+                          value={promptVariables[variable.name]}
+                          onChange={(e) => setPromptVariables({...promptVariables, [variable.name]: e.target.value})}
+                          className="preset-name-input"
+                          placeholder={variable.placeholder}
+                        />
+                      )}
+                    </div>
+                  ))}
+
+                  <details className="prompt-preview">
+                    <summary>Preview prompt</summary>
+                    <p>{renderPrompt(convertPrompt, promptVariables)}</p>
+                  </details>
+
+                  <div className="preset-row">
+                    <input
+                      type="text"
+                      value={templateName}
+                      onChange={(e) => setTemplateName(e.target.value)}
+                      onKeyDown={(e) => e.key === 'Enter' && handleSaveTemplate()}
+                      className="preset-name-input"
+                      placeholder="New template name..."
+                    />
+                    <button onClick={handleSaveTemplate} className="btn-preset" disabled={!templateName.trim()}>
+                      <Save size={14} /> Save
+                    </button>
+                  </div>
+                  {activeTemplate && !activeTemplate.builtIn && (
+                    <div className="preset-row">
+                      {templateModified && (
+                        <button onClick={handleUpdateTemplate} className="btn-preset">
+                          <Save size={14} /> Update
+                        </button>
+                      )}
+                      <button onClick={handleDeleteTemplate} className="btn-preset btn-preset-danger">
+                        <Trash2 size={14} /> Delete
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                <div className="sidebar-section">
+                  <h3 className="section-title">AI Retouch Prompt</h3>
+                  <textarea
+                    value={retouchPrompt}
+                    onChange={(e) => setRetouchPrompt(e.target.value)}
+                    className="gemini-prompt-input"
+                    rows={5}
+                    placeholder="Enter the prompt for retouching coloring book images..."
+                  />
+                  <p className="param-hint" style={{ marginTop: '8px', fontSize: '11px', color: '#666' }}>
+                    Used when enhancing existing Coloring Book images.
+                  </p>
+                </div>
+
+                {/* Presets */}
+                <div className="sidebar-section">
+                  <h3 className="section-title">Presets</h3>
+                  <select
+                    value={activePreset ? activePresetId : ''}
+                    onChange={(e) => handleSelectPreset(e.target.value)}
+                    className="sidebar-select"
+                  >
+                    {!activePreset && <option value="">Custom</option>}
+                    <optgroup label="Built-in">
+                      {BUILT_IN_PRESETS.map(preset => (
+                        <option key={preset.id} value={preset.id}>{preset.name}</option>
+                      ))}
+                    </optgroup>
+                    {userPresets.length > 0 && (
+                      <optgroup label="My Presets">
+                        {userPresets.map(preset => (
+                          <option key={preset.id} value={preset.id}>{preset.name}</option>
+                        ))}
+                      </optgroup>
+                    )}
+                  </select>
+                  {presetModified && (
+                    <p className="param-hint method-hint">
+                      Settings changed since this preset was loaded.
+                    </p>
+                  )}
+
+                  <div className="preset-row">
+                    <input
+                      type="text"
+                      value={presetName}
+                      onChange={(e) => setPresetName(e.target.value)}
+                      onKeyDown={(e) => e.key === 'Enter' && handleSavePreset()}
+                      className="preset-name-input"
+                      placeholder="New preset name..."
+                    />
+                    <button onClick={handleSavePreset} className="btn-preset" disabled={!presetName.trim()}>
+                      <Save size={14} /> Save
+                    </button>
+                  </div>
+
+                  <div className="preset-row">
+                    {activePreset && !activePreset.builtIn && presetModified && (
+                      <button onClick={handleUpdatePreset} className="btn-preset">
+                        <Save size={14} /> Update
+                      </button>
+                    )}
+                    {activePreset && !activePreset.builtIn && (
+                      <button onClick={handleDeletePreset} className="btn-preset btn-preset-danger">
+                        <Trash2 size={14} /> Delete
+                      </button>
+                    )}
+                    <button onClick={handleExportPresets} className="btn-preset">
+                      <Download size={14} /> Export
+                    </button>
+                    <button onClick={() => presetFileInputRef.current?.click()} className="btn-preset">
+                      <Upload size={14} /> Import
+                    </button>
+                    <input
+                      ref={presetFileInputRef}
+                      type="file"
+                      accept="application/json,.json"
+                      onChange={handleImportPresets}
+                      style={{ display: 'none' }}
+                    />
+                  </div>
+                </div>
+
+                {/* Noise Reduction Filters */}
+                <div className="sidebar-section">
+                  <h3 className="section-title">Noise Reduction (Optional)</h3>
+
+                  {/* Bilateral Filter */}
+                  <div className="section-header">
+                    <label className="toggle-label">
+                      <input
+                        type="checkbox"
+                        checked={params.useBilateralFilter}
+                        onChange={(e) => setParams({...params, useBilateralFilter: e.target.checked})}
+                      />
+                      Bilateral Filter (Sharp Edges)
+                    </label>
+                  </div>
+                  {params.useBilateralFilter && (
+                    <>
+                      <div className="param-control">
+                        <label>
+                          Diameter: <span className="param-value">{params.bilateralD}</span>
+                          <span className="param-hint">(filter size)</span>
+                        </label>
+                        <input
+                          type="range"
+                          min={PARAM_RANGES.bilateralD.min}
+                          max={PARAM_RANGES.bilateralD.max}
+                          step={PARAM_RANGES.bilateralD.step}
+                          value={params.bilateralD}
+                          onChange={(e) => setParams({...params, bilateralD: parseInt(e.target.value)})}
+                        />
+                      </div>
+                      <div className="param-control">
+                        <label>
+                          Sigma Color: <span className="param-value">{params.bilateralSigmaColor}</span>
+                          <span className="param-hint">(color similarity)</span>
+                        </label>
+                        <input
+                          type="range"
+                          min={PARAM_RANGES.bilateralSigmaColor.min}
+                          max={PARAM_RANGES.bilateralSigmaColor.max}
+                          step={PARAM_RANGES.bilateralSigmaColor.step}
+                          value={params.bilateralSigmaColor}
+                          onChange={(e) => setParams({...params, bilateralSigmaColor: parseInt(e.target.value)})}
+                        />
+                      </div>
+                      <div className="param-control">
+                        <label>
+                          Sigma Space: <span className="param-value">{params.bilateralSigmaSpace}</span>
+                          <span className="param-hint">(spatial influence)</span>
+                        </label>
+                        <input
+                          type="range"
+                          min={PARAM_RANGES.bilateralSigmaSpace.min}
+                          max={PARAM_RANGES.bilateralSigmaSpace.max}
+                          step={PARAM_RANGES.bilateralSigmaSpace.step}
+                          value={params.bilateralSigmaSpace}
+                          onChange={(e) => setParams({...params, bilateralSigmaSpace: parseInt(e.target.value)})}
+                        />
+                      </div>
+                    </>
+                  )}
+
+                  {/* Median Blur */}
+                  <div className="section-header">
+                    <label className="toggle-label">
+                      <input
+                        type="checkbox"
+                        checked={params.useMedianBlur}
+                        onChange={(e) => setParams({...params, useMedianBlur: e.target.checked})}
+                      />
+                      Median Blur (Remove Noise)
+                    </label>
+                  </div>
+                  {params.useMedianBlur && (
+                    <div className="param-control">
+                      <label>
+                        Kernel Size: <span className="param-value">{params.medianBlurKsize}</span>
+                        <span className="param-hint">(odd numbers only)</span>
+                      </label>
+                      <input
+                        type="range"
+                        min={PARAM_RANGES.medianBlurKsize.min}
+                        max={PARAM_RANGES.medianBlurKsize.max}
+                        step={PARAM_RANGES.medianBlurKsize.step}
+                        value={params.medianBlurKsize}
+                        onChange={(e) => setParams({...params, medianBlurKsize: parseInt(e.target.value)})}
+                      />
+                    </div>
+                  )}
+
+                  {/* Gaussian Blur */}
+                  <div className="section-header">
+                    <label className="toggle-label">
+                      <input
+                        type="checkbox"
+                        checked={params.useGaussianBlur}
+                        onChange={(e) => setParams({...params, useGaussianBlur: e.target.checked})}
+                      />
+                      Gaussian Blur (Smooth)
+                    </label>
+                  </div>
+                  {params.useGaussianBlur && (
+                    <>
+                      <div className="param-control">
+                        <label>
+                          Kernel Size: <span className="param-value">{params.gaussianBlurKsize}</span>
+                          <span className="param-hint">(odd numbers only)</span>
+                        </label>
+                        <input
+                          type="range"
+                          min={PARAM_RANGES.gaussianBlurKsize.min}
+                          max={PARAM_RANGES.gaussianBlurKsize.max}
+                          step={PARAM_RANGES.gaussianBlurKsize.step}
+                          value={params.gaussianBlurKsize}
+                          onChange={(e) => setParams({...params, gaussianBlurKsize: parseInt(e.target.value)})}
+                        />
+                      </div>
+                      <div className="param-control">
+                        <label>
+                          Sigma: <span className="param-value">{params.gaussianSigma}</span>
+                          <span className="param-hint">(0 = auto)</span>
+                        </label>
+                        <input
+                          type="range"
+                          min={PARAM_RANGES.gaussianSigma.min}
+                          max={PARAM_RANGES.gaussianSigma.max}
+                          step={PARAM_RANGES.gaussianSigma.step}
+                          value={params.gaussianSigma}
+                          onChange={(e) => setParams({...params, gaussianSigma: parseFloat(e.target.value)})}
+                        />
+                      </div>
+                    </>
+                  )}
+                </div>
+
+                {/* Line Detection */}
+                <div className="sidebar-section">
+                  <h3 className="section-title">Line Detection Method</h3>
+                  <select
+                    value={params.lineMethod}
+                    onChange={(e) => setParams({...params, lineMethod: e.target.value})}
+                    className="sidebar-select"
+                  >
+                    {LINE_METHODS.map(method => (
+                      <option key={method.value} value={method.value}>
+                        {method.label}
+                      </option>
+                    ))}
+                  </select>
+                  <p className="param-hint method-hint">
+                    {LINE_METHODS.find(method => method.value === params.lineMethod)?.hint}
+                  </p>
+
+                  {params.lineMethod === 'adaptive' && (
+                    <>
+                    <div className="param-control">
+                      <label>
+                        Block Size: <span className="param-value">{params.thresholdBlockSize}</span>
+                        <span className="param-hint">(larger = thicker lines)</span>
+                      </label>
+                      <input
+                        type="range"
+                        min={PARAM_RANGES.thresholdBlockSize.min}
+                        max={PARAM_RANGES.thresholdBlockSize.max}
+                        step={PARAM_RANGES.thresholdBlockSize.step}
+                        value={params.thresholdBlockSize}
+                        onChange={(e) => setParams({...params, thresholdBlockSize: parseInt(e.target.value)})}
+                      />
+                    </div>
+                    <div className="param-control">
+                      <label>
+                        C Constant: <span className="param-value">{params.thresholdC}</span>
+                        <span className="param-hint">(lower = more lines)</span>
+                      </label>
+                      <input
+                        type="range"
+                        min={PARAM_RANGES.thresholdC.min}
+                        max={PARAM_RANGES.thresholdC.max}
+                        step={PARAM_RANGES.thresholdC.step}
+                        value={params.thresholdC}
+                        onChange={(e) => setParams({...params, thresholdC: parseInt(e.target.value)})}
+                      />
+                    </div>
+                    </>
+                  )}
+
+                  {params.lineMethod === 'canny' && (
+                    <>
+                    <div className="param-control">
+                      <label>
+                        Low Threshold: <span className="param-value">{params.cannyLow}</span>
+                        <span className="param-hint">(lower = more edges)</span>
+                      </label>
+                      <input
+                        type="range"
+                        min={PARAM_RANGES.cannyLow.min}
+                        max={PARAM_RANGES.cannyLow.max}
+                        step={PARAM_RANGES.cannyLow.step}
+                        value={params.cannyLow}
+                        onChange={(e) => setParams({...params, cannyLow: parseInt(e.target.value)})}
+                      />
+                    </div>
+                    <div className="param-control">
+                      <label>
+                        High Threshold: <span className="param-value">{params.cannyHigh}</span>
+                        <span className="param-hint">(strong edge cutoff)</span>
+                      </label>
+                      <input
+                        type="range"
+                        min={PARAM_RANGES.cannyHigh.min}
+                        max={PARAM_RANGES.cannyHigh.max}
+                        step={PARAM_RANGES.cannyHigh.step}
+                        value={params.cannyHigh}
+                        onChange={(e) => setParams({...params, cannyHigh: parseInt(e.target.value)})}
+                      />
+                    </div>
+                    </>
+                  )}
+
+                  {(params.lineMethod === 'sobel' || params.lineMethod === 'laplacian') && (
+                    <>
+                    <div className="param-control">
+                      <label>
+                        Kernel Size: <span className="param-value">{params.edgeKsize}</span>
+                        <span className="param-hint">(odd numbers only)</span>
+                      </label>
+                      <input
+                        type="range"
+                        min={PARAM_RANGES.edgeKsize.min}
+                        max={PARAM_RANGES.edgeKsize.max}
+                        step={PARAM_RANGES.edgeKsize.step}
+                        value={params.edgeKsize}
+                        onChange={(e) => setParams({...params, edgeKsize: parseInt(e.target.value)})}
+                      />
+                    </div>
+                    <div className="param-control">
+                      <label>
+                        Edge Threshold: <span className="param-value">{params.edgeThreshold}</span>
+                        <span className="param-hint">(lower = more lines)</span>
+                      </label>
+                      <input
+                        type="range"
+                        min={PARAM_RANGES.edgeThreshold.min}
+                        max={PARAM_RANGES.edgeThreshold.max}
+                        step={PARAM_RANGES.edgeThreshold.step}
+                        value={params.edgeThreshold}
+                        onChange={(e) => setParams({...params, edgeThreshold: parseInt(e.target.value)})}
+                      />
+                    </div>
+                    </>
+                  )}
+
+                  {params.lineMethod === 'xdog' && (
+                    <>
+                    <div className="param-control">
+                      <label>
+                        Sigma: <span className="param-value">{params.xdogSigma}</span>
+                        <span className="param-hint">(line width)</span>
+                      </label>
+                      <input
+                        type="range"
+                        min={PARAM_RANGES.xdogSigma.min}
+                        max={PARAM_RANGES.xdogSigma.max}
+                        step={PARAM_RANGES.xdogSigma.step}
+                        value={params.xdogSigma}
+                        onChange={(e) => setParams({...params, xdogSigma: parseFloat(e.target.value)})}
+                      />
+                    </div>
+                    <div className="param-control">
+                      <label>
+                        K: <span className="param-value">{params.xdogK}</span>
+                        <span className="param-hint">(outer blur ratio)</span>
+                      </label>
+                      <input
+                        type="range"
+                        min={PARAM_RANGES.xdogK.min}
+                        max={PARAM_RANGES.xdogK.max}
+                        step={PARAM_RANGES.xdogK.step}
+                        value={params.xdogK}
+                        onChange={(e) => setParams({...params, xdogK: parseFloat(e.target.value)})}
+                      />
+                    </div>
+                    <div className="param-control">
+                      <label>
+                        Sharpness (p): <span className="param-value">{params.xdogP}</span>
+                        <span className="param-hint">(higher = darker strokes)</span>
+                      </label>
+                      <input
+                        type="range"
+                        min={PARAM_RANGES.xdogP.min}
+                        max={PARAM_RANGES.xdogP.max}
+                        step={PARAM_RANGES.xdogP.step}
+                        value={params.xdogP}
+                        onChange={(e) => setParams({...params, xdogP: parseFloat(e.target.value)})}
+                      />
+                    </div>
+                    <div className="param-control">
+                      <label>
+                        Epsilon: <span className="param-value">{params.xdogEpsilon}</span>
+                        <span className="param-hint">(higher = more ink)</span>
+                      </label>
+                      <input
+                        type="range"
+                        min={PARAM_RANGES.xdogEpsilon.min}
+                        max={PARAM_RANGES.xdogEpsilon.max}
+                        step={PARAM_RANGES.xdogEpsilon.step}
+                        value={params.xdogEpsilon}
+                        onChange={(e) => setParams({...params, xdogEpsilon: parseFloat(e.target.value)})}
+                      />
+                    </div>
+                    <div className="param-control">
+                      <label>
+                        Phi: <span className="param-value">{params.xdogPhi}</span>
+                        <span className="param-hint">(edge softness)</span>
+                      </label>
+                      <input
+                        type="range"
+                        min={PARAM_RANGES.xdogPhi.min}
+                        max={PARAM_RANGES.xdogPhi.max}
+                        step={PARAM_RANGES.xdogPhi.step}
+                        value={params.xdogPhi}
+                        onChange={(e) => setParams({...params, xdogPhi: parseFloat(e.target.value)})}
+                      />
+                    </div>
+                    </>
+                  )}
+                </div>
+
+                {/* Morphological Operations */}
+                <div className="sidebar-section">
+                  <div className="section-header">
+                    <label className="toggle-label">
+                      <input
+                        type="checkbox"
+                        checked={params.useMorphClose}
+                        onChange={(e) => setParams({...params, useMorphClose: e.target.checked})}
+                      />
+                      Morphological Closing (Connect Lines)
+                    </label>
+                  </div>
+                  <div className="param-control">
+                    <label>
+                      Kernel Size: <span className="param-value">{params.kernelSize}</span>
+                    </label>
+                    <input
+                      type="range"
+                      min={PARAM_RANGES.kernelSize.min}
+                      max={PARAM_RANGES.kernelSize.max}
+                      step={PARAM_RANGES.kernelSize.step}
+                      value={params.kernelSize}
+                      onChange={(e) => setParams({...params, kernelSize: parseInt(e.target.value)})}
+                    />
+                  </div>
+                </div>
+
+                {/* Line Thickness Adjustment */}
+                <div className="sidebar-section">
+                  <h3 className="section-title">Line Thickness (Optional)</h3>
+
+                  {/* Erosion */}
+                  <div className="section-header">
+                    <label className="toggle-label">
+                      <input
+                        type="checkbox"
+                        checked={params.useErosion}
+                        onChange={(e) => setParams({...params, useErosion: e.target.checked})}
+                      />
+                      Erosion (Thin Lines)
+                    </label>
+                  </div>
+                  {params.useErosion && (
+                    <div className="param-control">
+                      <label>
+                        Iterations: <span className="param-value">{params.erosionIterations}</span>
+                        <span className="param-hint">(higher = thinner)</span>
+                      </label>
+                      <input
+                        type="range"
+                        min={PARAM_RANGES.erosionIterations.min}
+                        max={PARAM_RANGES.erosionIterations.max}
+                        step={PARAM_RANGES.erosionIterations.step}
+                        value={params.erosionIterations}
+                        onChange={(e) => setParams({...params, erosionIterations: parseInt(e.target.value)})}
+                      />
+                    </div>
+                  )}
+
+                  {/* Dilation */}
+                  <div className="section-header">
+                    <label className="toggle-label">
+                      <input
+                        type="checkbox"
+                        checked={params.useDilation}
+                        onChange={(e) => setParams({...params, useDilation: e.target.checked})}
+                      />
+                      Dilation (Thicken Lines)
+                    </label>
+                  </div>
+                  {params.useDilation && (
+                    <div className="param-control">
+                      <label>
+                        Iterations: <span className="param-value">{params.dilationIterations}</span>
+                        <span className="param-hint">(higher = thicker)</span>
+                      </label>
+                      <input
+                        type="range"
+                        min={PARAM_RANGES.dilationIterations.min}
+                        max={PARAM_RANGES.dilationIterations.max}
+                        step={PARAM_RANGES.dilationIterations.step}
+                        value={params.dilationIterations}
+                        onChange={(e) => setParams({...params, dilationIterations: parseInt(e.target.value)})}
+                      />
+                    </div>
+                  )}
+                </div>
+
+                {/* SVG Export */}
+                <div className="sidebar-section">
+                  <h3 className="section-title">SVG Export</h3>
+                  <select
+                    value={svgOptions.mode}
+                    onChange={(e) => setSvgOptions({...svgOptions, mode: e.target.value})}
+                    className="sidebar-select"
+                  >
+                    <option value="fill">Filled paths (faithful to the image)</option>
+                    <option value="stroke">Stroke paths (uniform pen lines)</option>
                   </select>
+                  <div className="param-control svg-param">
+                    <label>
+                      Line Weight: <span className="param-value">{svgOptions.lineWeight}</span>
+                      <span className="param-hint">{svgOptions.mode === 'stroke' ? '(stroke width)' : '(extra outline, 1 = as traced)'}</span>
+                    </label>
+                    <input
+                      type="range"
+                      min="1"
+                      max="12"
+                      step="0.5"
+                      value={svgOptions.lineWeight}
+                      onChange={(e) => setSvgOptions({...svgOptions, lineWeight: parseFloat(e.target.value)})}
+                    />
+                  </div>
+                  <div className="param-control">
+                    <label>
+                      Simplification: <span className="param-value">{svgOptions.tolerance}</span>
+                      <span className="param-hint">(higher = smaller file)</span>
+                    </label>
+                    <input
+                      type="range"
+                      min="0"
+                      max="5"
+                      step="0.25"
+                      value={svgOptions.tolerance}
+                      onChange={(e) => setSvgOptions({...svgOptions, tolerance: parseFloat(e.target.value)})}
+                    />
+                  </div>
+                  <div className="section-header">
+                    <label className="toggle-label">
+                      <input
+                        type="checkbox"
+                        checked={svgOptions.smooth}
+                        onChange={(e) => setSvgOptions({...svgOptions, smooth: e.target.checked})}
+                      />
+                      Smooth Curves
+                    </label>
+                  </div>
+                </div>
+
+                {/* Reset Button */}
+                <div className="sidebar-footer">
+                  <button
+                    onClick={() => setParams(activePreset?.params || DEFAULT_PARAMS)}
+                    className="btn-reset"
+                  >
+                    Reset to {activePreset?.name || 'Default'}
+                  </button>
+                </div>
+              </>
+            )}
+
+            {/* Logs Tab */}
+            {sidebarTab === 'logs' && (
+              <>
+                <div className="logs-container" ref={logContentRef}>
+                  {logs.length === 0 ? (
+                    <div className="log-empty">No logs yet...</div>
+                  ) : (
+                    logs.map((log, index) => (
+                      <div key={index} className={`log-entry log-${log.type}`}>
+                        <span className="log-timestamp">{log.timestamp}</span>
+                        <span className="log-message">{log.message}</span>
+                      </div>
+                    ))
+                  )}
+                </div>
+                <div className="sidebar-footer">
+                  <button onClick={() => setLogs([])} className="btn-clear-logs">
+                    Clear Logs
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Convert With Current Settings Modal */}
+      {convertPreview && (
+        <div className={`retouch-modal-overlay ${showSidebar ? 'beside-sidebar' : ''}`}>
+          <div className="retouch-modal">
+            <div className="retouch-modal-header">
+              <h2>
+                <Wand2 size={20} />
+                {' Convert with Current Settings'}
+              </h2>
+              <button onClick={() => setConvertPreview(null)} className="modal-close">
+                <X size={24} />
+              </button>
+            </div>
+
+            {convertPreview.status === 'loading' && (
+              <div className="retouch-progress">
+                <p className="progress-text">Loading photo...</p>
+              </div>
+            )}
+
+            {convertPreview.status === 'error' && (
+              <div className="retouch-error">
+                <p>❌ {convertPreview.error}</p>
+                <button onClick={() => setConvertPreview(null)} className="btn-error-close">
+                  Close
+                </button>
+              </div>
+            )}
+
+            {convertPreview.status === 'ready' && (
+              <div className="retouch-comparison">
+                <div className="comparison-container">
+                  <div className="comparison-images">
+                    <img src={convertPreview.image.data} alt="Original" className="comparison-original" />
+                    <canvas ref={convertCanvasRef} className="comparison-enhanced" />
+                  </div>
+                  <div className="comparison-labels">
+                    <span>Original Photo</span>
+                    <span>Coloring Book (Live Preview)</span>
+                  </div>
+                  <p className="convert-hint">
+                    Adjust the sliders in the settings panel - the preview updates as you go.
+                  </p>
+                </div>
+
+                <div className="retouch-actions">
+                  {!showSidebar && (
+                    <button
+                      onClick={() => {
+                        setSidebarTab('settings')
+                        setShowSidebar(true)
+                      }}
+                      className="btn-close-modal"
+                    >
+                      <Settings size={16} /> Open Settings
+                    </button>
+                  )}
+                  <button
+                    onClick={() => {
+                      downloadUrl(convertCanvasRef.current.toDataURL('image/png'), `coloring-${Date.now()}.png`)
+                      addLog('📥 Downloaded converted image', 'success')
+                    }}
+                    className="btn-download-enhanced"
+                  >
+                    <Download size={16} /> Download
+                  </button>
+                  <button onClick={handleSaveConvert} className="btn-add-gallery">
+                    <Plus size={16} /> Add to Gallery
+                  </button>
+                  <button
+                    onClick={() => setConvertPreview(null)}
+                    className="btn-close-modal"
+                  >
+                    Close
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Coloring Mode Modal */}
+      {coloringModal && (
+        <div className="retouch-modal-overlay">
+          <div className="retouch-modal coloring-modal">
+            <div className="retouch-modal-header">
+              <h2>
+                <Brush size={20} />
+                {' Coloring'}
+              </h2>
+              <button onClick={() => setColoringModal(null)} className="modal-close">
+                <X size={24} />
+              </button>
+            </div>
+
+            <div className="coloring-toolbar">
+              <div className="coloring-tools">
+                <button
+                  className={`btn-tool ${coloringTool.tool === 'fill' ? 'active' : ''}`}
+                  onClick={() => setColoringTool({...coloringTool, tool: 'fill'})}
+                  title="Fill bucket"
+                >
+                  <PaintBucket size={18} />
+                </button>
+                <button
+                  className={`btn-tool ${coloringTool.tool === 'brush' ? 'active' : ''}`}
+                  onClick={() => setColoringTool({...coloringTool, tool: 'brush'})}
+                  title="Brush"
+                >
+                  <Brush size={18} />
+                </button>
+                <button
+                  className={`btn-tool ${coloringTool.tool === 'eraser' ? 'active' : ''}`}
+                  onClick={() => setColoringTool({...coloringTool, tool: 'eraser'})}
+                  title="Eraser"
+                >
+                  <Eraser size={18} />
+                </button>
+                <button
+                  className="btn-tool"
+                  onClick={() => coloringSessionRef.current?.undo()}
+                  disabled={!coloringModal.canUndo}
+                  title="Undo (Ctrl+Z)"
+                >
+                  <Undo2 size={18} />
+                </button>
+                <button
+                  className="btn-tool"
+                  onClick={() => coloringSessionRef.current?.redo()}
+                  disabled={!coloringModal.canRedo}
+                  title="Redo (Ctrl+Shift+Z)"
+                >
+                  <Redo2 size={18} />
+                </button>
+              </div>
+
+              {coloringTool.tool === 'fill' ? (
+                <div className="param-control">
+                  <label>
+                    Tolerance: <span className="param-value">{coloringTool.tolerance}</span>
+                  </label>
+                  <input
+                    type="range"
+                    min="0"
+                    max="160"
+                    step="4"
+                    value={coloringTool.tolerance}
+                    onChange={(e) => setColoringTool({...coloringTool, tolerance: parseInt(e.target.value)})}
+                  />
+                </div>
+              ) : (
+                <div className="param-control">
+                  <label>
+                    Size: <span className="param-value">{coloringTool.size}px</span>
+                  </label>
+                  <input
+                    type="range"
+                    min="2"
+                    max="80"
+                    step="1"
+                    value={coloringTool.size}
+                    onChange={(e) => setColoringTool({...coloringTool, size: parseInt(e.target.value)})}
+                  />
                 </div>
+              )}
+
+              <div className="coloring-palette">
+                {COLORING_PALETTE.map(color => (
+                  <button
+                    key={color}
+                    className={`coloring-swatch ${coloringTool.color === color ? 'active' : ''}`}
+                    style={{ background: color }}
+                    onClick={() => setColoringTool({
+                      ...coloringTool,
+                      color,
+                      tool: coloringTool.tool === 'eraser' ? 'brush' : coloringTool.tool
+                    })}
+                    title={color}
+                  />
+                ))}
+                <input
+                  type="color"
+                  className="coloring-custom"
+                  value={coloringTool.color}
+                  onChange={(e) => setColoringTool({...coloringTool, color: e.target.value})}
+                  title="Custom color"
+                />
+              </div>
+            </div>
+
+            {coloringModal.status === 'loading' && (
+              <div className="retouch-progress">
+                <p className="progress-text">Loading page...</p>
+              </div>
+            )}
+
+            {coloringModal.status === 'error' && (
+              <div className="retouch-error">
+                <p>❌ {coloringModal.error}</p>
+              </div>
+            )}
+
+            <div className="coloring-stage">
+              <canvas
+                ref={coloringCanvasRef}
+                className="coloring-canvas"
+                style={{
+                  cursor: coloringTool.tool === 'fill' ? 'cell' : 'crosshair',
+                  display: coloringModal.status === 'ready' ? 'block' : 'none'
+                }}
+                onPointerDown={handleColoringPointerDown}
+                onPointerMove={handleColoringPointerMove}
+                onPointerUp={handleColoringPointerUp}
+                onPointerCancel={handleColoringPointerUp}
+              />
+            </div>
+
+            <div className="retouch-actions">
+              <button
+                onClick={handleSaveColoring}
+                className="btn-add-gallery"
+                disabled={coloringModal.status !== 'ready'}
+              >
+                <Plus size={16} /> Save to Gallery
+              </button>
+              <button
+                onClick={() => setColoringModal(null)}
+                className="btn-close-modal"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Crop & Rotate Modal */}
+      {cropModal && (
+        <div className="retouch-modal-overlay">
+          <div className="retouch-modal coloring-modal">
+            <div className="retouch-modal-header">
+              <h2>
+                <Crop size={20} />
+                {' Crop & Rotate'}
+              </h2>
+              <button onClick={() => setCropModal(null)} className="modal-close">
+                <X size={24} />
+              </button>
+            </div>
+
+            <div className="coloring-toolbar">
+              <div className="param-control">
+                <label>Aspect</label>
+                <select
+                  className="sidebar-select"
+                  value={cropModal.aspect}
+                  onChange={(e) => handleCropAspect(e.target.value)}
+                  disabled={cropModal.status !== 'ready'}
+                >
+                  {ASPECT_PRESETS.map(preset => (
+                    <option key={preset.value} value={preset.value}>{preset.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="coloring-tools">
+                <button
+                  className="btn-tool"
+                  onClick={() => handleCropTransform({ rotation: (cropModal.transform.rotation + 3) % 4 })}
+                  disabled={cropModal.status !== 'ready'}
+                  title="Rotate left 90°"
+                >
+                  <RotateCcw size={18} />
+                </button>
+                <button
+                  className="btn-tool"
+                  onClick={() => handleCropTransform({ rotation: (cropModal.transform.rotation + 1) % 4 })}
+                  disabled={cropModal.status !== 'ready'}
+                  title="Rotate right 90°"
+                >
+                  <RotateCw size={18} />
+                </button>
+                <button
+                  className={`btn-tool ${cropModal.transform.flipH ? 'active' : ''}`}
+                  onClick={() => handleCropTransform({ flipH: !cropModal.transform.flipH })}
+                  disabled={cropModal.status !== 'ready'}
+                  title="Flip horizontally"
+                >
+                  <FlipHorizontal size={18} />
+                </button>
+                <button
+                  className={`btn-tool ${cropModal.transform.flipV ? 'active' : ''}`}
+                  onClick={() => handleCropTransform({ flipV: !cropModal.transform.flipV })}
+                  disabled={cropModal.status !== 'ready'}
+                  title="Flip vertically"
+                >
+                  <FlipVertical size={18} />
+                </button>
+              </div>
+
+              <div className="param-control">
+                <label>
+                  Straighten: <span className="param-value">{cropModal.transform.straighten}°</span>
+                </label>
+                <input
+                  type="range"
+                  min="-15"
+                  max="15"
+                  step="0.5"
+                  value={cropModal.transform.straighten}
+                  onChange={(e) => handleCropTransform({ straighten: parseFloat(e.target.value) })}
+                  disabled={cropModal.status !== 'ready'}
+                />
+              </div>
+
+              <button
+                className="btn-gallery-action"
+                onClick={() => setCropModal(prev => ({
+                  ...prev,
+                  transform: DEFAULT_TRANSFORM,
+                  crop: FULL_CROP,
+                  aspect: 'free'
+                }))}
+                disabled={cropModal.status !== 'ready'}
+              >
+                Reset
+              </button>
+            </div>
+
+            {cropModal.status === 'loading' && (
+              <div className="retouch-progress">
+                <p className="progress-text">Loading photo...</p>
+              </div>
+            )}
+
+            {cropModal.status === 'error' && (
+              <div className="retouch-error">
+                <p>❌ {cropModal.error}</p>
+              </div>
+            )}
+
+            <div className="coloring-stage">
+              <div
+                className="crop-stage"
+                ref={cropStageRef}
+                onPointerDown={handleCropPointerDown}
+                onPointerMove={handleCropPointerMove}
+                onPointerUp={handleCropPointerUp}
+                onPointerCancel={handleCropPointerUp}
+              >
+                <canvas ref={cropCanvasRef} className="crop-canvas" />
+                {cropModal.status === 'ready' && (
+                  <div
+                    className="crop-rect"
+                    data-handle="move"
+                    style={{
+                      left: `${cropModal.crop.x * 100}%`,
+                      top: `${cropModal.crop.y * 100}%`,
+                      width: `${cropModal.crop.width * 100}%`,
+                      height: `${cropModal.crop.height * 100}%`
+                    }}
+                  >
+                    {['nw', 'ne', 'sw', 'se'].map(handle => (
+                      <div key={handle} className={`crop-handle ${handle}`} data-handle={handle} />
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+
+            <p className="convert-hint crop-hint">
+              Drag the frame or its corners. Conversions use only the cropped area.
+            </p>
+
+            <div className="retouch-actions">
+              <button
+                onClick={() => handleSaveCrop(true)}
+                className="btn-add-gallery"
+                disabled={cropModal.status !== 'ready' || cropModal.saving}
+              >
+                <Check size={16} /> Replace Original
+              </button>
+              <button
+                onClick={() => handleSaveCrop(false)}
+                className="btn-download-enhanced"
+                disabled={cropModal.status !== 'ready' || cropModal.saving}
+              >
+                <Plus size={16} /> Save as Copy
+              </button>
+              <button
+                onClick={() => setCropModal(null)}
+                className="btn-close-modal"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
 
-                {/* Gemini AI Prompts */}
-                <div className="sidebar-section">
-                  <h3 className="section-title">AI Convert Prompt</h3>
-                  <textarea
-                    value={convertPrompt}
-                    onChange={(e) => setConvertPrompt(e.target.value)}
-                    className="gemini-prompt-input"
-                    rows={5}
-                    placeholder="Enter the prompt for converting photos to coloring books..."
-                  />
-                  <p className="param-hint" style={{ marginTop: '8px', fontSize: '11px', color: '#666' }}>
-                    Used when converting Original photos to Coloring Book style.
-                  </p>
-                </div>
+      {/* Touch-up Editor Modal */}
+      {editorModal && (
+        <div className="retouch-modal-overlay">
+          <div className="retouch-modal coloring-modal">
+            <div className="retouch-modal-header">
+              <h2>
+                <PenLine size={20} />
+                {' Touch Up'}
+              </h2>
+              <button onClick={() => setEditorModal(null)} className="modal-close">
+                <X size={24} />
+              </button>
+            </div>
 
-                <div className="sidebar-section">
-                  <h3 className="section-title">AI Retouch Prompt</h3>
-                  <textarea
-                    value={retouchPrompt}
-                    onChange={(e) => setRetouchPrompt(e.target.value)}
-                    className="gemini-prompt-input"
-                    rows={5}
-                    placeholder="Enter the prompt for retouching coloring book images..."
+            <div className="coloring-toolbar">
+              <div className="coloring-tools">
+                <button
+                  className={`btn-tool ${editorTool.tool === 'pen' ? 'active' : ''}`}
+                  onClick={() => setEditorTool({...editorTool, tool: 'pen'})}
+                  title="Black pen"
+                >
+                  <PenLine size={18} />
+                </button>
+                <button
+                  className={`btn-tool ${editorTool.tool === 'eraser' ? 'active' : ''}`}
+                  onClick={() => setEditorTool({...editorTool, tool: 'eraser'})}
+                  title="White eraser"
+                >
+                  <Eraser size={18} />
+                </button>
+                <button
+                  className={`btn-tool ${editorTool.tool === 'line' ? 'active' : ''}`}
+                  onClick={() => setEditorTool({...editorTool, tool: 'line'})}
+                  title="Straight line"
+                >
+                  <Slash size={18} />
+                </button>
+                <button
+                  className={`btn-tool ${editorTool.tool === 'blob' ? 'active' : ''}`}
+                  onClick={() => setEditorTool({...editorTool, tool: 'blob'})}
+                  title="Remove blob under cursor"
+                >
+                  <CircleDot size={18} />
+                </button>
+                <button
+                  className={`btn-tool ${editorTool.tool === 'pan' ? 'active' : ''}`}
+                  onClick={() => setEditorTool({...editorTool, tool: 'pan'})}
+                  title="Pan (or drag with the middle button)"
+                >
+                  <Hand size={18} />
+                </button>
+              </div>
+
+              <div className="coloring-tools">
+                <button className="btn-tool" onClick={() => handleEditorZoom(1 / 1.5)} title="Zoom out">
+                  <ZoomOut size={18} />
+                </button>
+                <span className="editor-zoom">{Math.round(editorView.zoom * 100)}%</span>
+                <button className="btn-tool" onClick={() => handleEditorZoom(1.5)} title="Zoom in">
+                  <ZoomIn size={18} />
+                </button>
+                <button className="btn-tool" onClick={handleEditorFit} title="Fit to window">
+                  <Maximize size={18} />
+                </button>
+              </div>
+
+              <div className="coloring-tools">
+                <button
+                  className="btn-tool"
+                  onClick={() => editorRef.current?.undo()}
+                  disabled={!editorModal.canUndo}
+                  title="Undo (Ctrl+Z)"
+                >
+                  <Undo2 size={18} />
+                </button>
+                <button
+                  className="btn-tool"
+                  onClick={() => editorRef.current?.redo()}
+                  disabled={!editorModal.canRedo}
+                  title="Redo (Ctrl+Shift+Z)"
+                >
+                  <Redo2 size={18} />
+                </button>
+              </div>
+
+              {['pen', 'eraser', 'line'].includes(editorTool.tool) && (
+                <div className="param-control">
+                  <label>
+                    Size: <span className="param-value">{editorTool.size}px</span>
+                  </label>
+                  <input
+                    type="range"
+                    min="1"
+                    max="40"
+                    step="1"
+                    value={editorTool.size}
+                    onChange={(e) => setEditorTool({...editorTool, size: parseInt(e.target.value)})}
                   />
-                  <p className="param-hint" style={{ marginTop: '8px', fontSize: '11px', color: '#666' }}>
-                    Used when enhancing existing Coloring Book images.
-                  </p>
                 </div>
+              )}
+            </div>
 
-                {/* Noise Reduction Filters */}
-                <div className="sidebar-section">
-                  <h3 className="section-title">Noise Reduction (Optional)</h3>
+            {editorModal.status === 'loading' && (
+              <div className="retouch-progress">
+                <p className="progress-text">Loading page...</p>
+              </div>
+            )}
 
-                  {/* Bilateral Filter */}
-                  <div className="section-header">
-                    <label className="toggle-label">
-                      <input
-                        type="checkbox"
-                        checked={params.useBilateralFilter}
-                        onChange={(e) => setParams({...params, useBilateralFilter: e.target.checked})}
-                      />
-                      Bilateral Filter (Sharp Edges)
-                    </label>
-                  </div>
-                  {params.useBilateralFilter && (
-                    <>
-                      <div className="param-control">
-                        <label>
-                          Diameter: <span className="param-value">{params.bilateralD}</span>
-                          <span className="param-hint">(filter size)</span>
-                        </label>
-                        <input
-                          type="range"
-                          min="3"
-                          max="15"
-                          step="2"
-                          value={params.bilateralD}
-                          onChange={(e) => setParams({...params, bilateralD: parseInt(e.target.value)})}
-                        />
-                      </div>
-                      <div className="param-control">
-                        <label>
-                          Sigma Color: <span className="param-value">{params.bilateralSigmaColor}</span>
-                          <span className="param-hint">(color similarity)</span>
-                        </label>
-                        <input
-                          type="range"
-                          min="10"
-                          max="150"
-                          step="5"
-                          value={params.bilateralSigmaColor}
-                          onChange={(e) => setParams({...params, bilateralSigmaColor: parseInt(e.target.value)})}
-                        />
-                      </div>
-                      <div className="param-control">
-                        <label>
-                          Sigma Space: <span className="param-value">{params.bilateralSigmaSpace}</span>
-                          <span className="param-hint">(spatial influence)</span>
-                        </label>
-                        <input
-                          type="range"
-                          min="10"
-                          max="150"
-                          step="5"
-                          value={params.bilateralSigmaSpace}
-                          onChange={(e) => setParams({...params, bilateralSigmaSpace: parseInt(e.target.value)})}
-                        />
-                      </div>
-                    </>
-                  )}
+            {editorModal.status === 'error' && (
+              <div className="retouch-error">
+                <p>❌ {editorModal.error}</p>
+              </div>
+            )}
 
-                  {/* Median Blur */}
-                  <div className="section-header">
-                    <label className="toggle-label">
-                      <input
-                        type="checkbox"
-                        checked={params.useMedianBlur}
-                        onChange={(e) => setParams({...params, useMedianBlur: e.target.checked})}
-                      />
-                      Median Blur (Remove Noise)
-                    </label>
-                  </div>
-                  {params.useMedianBlur && (
+            <div className="editor-viewport" ref={editorViewportRef}>
+              <canvas
+                ref={editorCanvasRef}
+                className={`editor-canvas ${editorView.zoom >= 2 ? 'pixelated' : ''}`}
+                style={{
+                  transform: `translate(${editorView.x}px, ${editorView.y}px) scale(${editorView.zoom})`,
+                  cursor: editorTool.tool === 'pan' ? 'grab' : 'crosshair',
+                  visibility: editorModal.status === 'ready' ? 'visible' : 'hidden'
+                }}
+                onPointerDown={handleEditorPointerDown}
+                onPointerMove={handleEditorPointerMove}
+                onPointerUp={handleEditorPointerUp}
+                onPointerCancel={handleEditorPointerUp}
+              />
+            </div>
+
+            <div className="retouch-actions">
+              <button
+                onClick={handleSaveEditor}
+                className="btn-add-gallery"
+                disabled={editorModal.status !== 'ready'}
+              >
+                <Plus size={16} /> Save as New Version
+              </button>
+              <button
+                onClick={() => setEditorModal(null)}
+                className="btn-close-modal"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Print Setup Modal */}
+      {printModal && (
+        <div className="retouch-modal-overlay">
+          <div className="retouch-modal">
+            <div className="retouch-modal-header">
+              <h2>
+                <Printer size={20} />
+                {' Print Setup'}
+              </h2>
+              <button onClick={handleClosePrint} className="modal-close">
+                <X size={24} />
+              </button>
+            </div>
+
+            {printModal.status === 'loading' && (
+              <div className="retouch-progress">
+                <p className="progress-text">Preparing images...</p>
+              </div>
+            )}
+
+            {printModal.status === 'error' && (
+              <div className="retouch-error">
+                <p>❌ {printModal.error}</p>
+              </div>
+            )}
+
+            {printModal.status === 'ready' && (
+              <div className="print-setup">
+                <div className="print-controls">
+                  <div className="print-row">
                     <div className="param-control">
-                      <label>
-                        Kernel Size: <span className="param-value">{params.medianBlurKsize}</span>
-                        <span className="param-hint">(odd numbers only)</span>
-                      </label>
-                      <input
-                        type="range"
-                        min="3"
-                        max="15"
-                        step="2"
-                        value={params.medianBlurKsize}
-                        onChange={(e) => setParams({...params, medianBlurKsize: parseInt(e.target.value)})}
-                      />
+                      <label>Paper</label>
+                      <select
+                        className="sidebar-select"
+                        value={printOptions.paper}
+                        onChange={(e) => setPrintOptions({...printOptions, paper: e.target.value})}
+                      >
+                        {Object.entries(PAGE_SIZES).map(([value, size]) => (
+                          <option key={value} value={value}>{size.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="param-control">
+                      <label>Orientation</label>
+                      <select
+                        className="sidebar-select"
+                        value={printOptions.orientation}
+                        onChange={(e) => setPrintOptions({...printOptions, orientation: e.target.value})}
+                      >
+                        <option value="portrait">Portrait</option>
+                        <option value="landscape">Landscape</option>
+                      </select>
                     </div>
-                  )}
-
-                  {/* Gaussian Blur */}
-                  <div className="section-header">
-                    <label className="toggle-label">
-                      <input
-                        type="checkbox"
-                        checked={params.useGaussianBlur}
-                        onChange={(e) => setParams({...params, useGaussianBlur: e.target.checked})}
-                      />
-                      Gaussian Blur (Smooth)
-                    </label>
                   </div>
-                  {params.useGaussianBlur && (
-                    <>
-                      <div className="param-control">
-                        <label>
-                          Kernel Size: <span className="param-value">{params.gaussianBlurKsize}</span>
-                          <span className="param-hint">(odd numbers only)</span>
-                        </label>
-                        <input
-                          type="range"
-                          min="3"
-                          max="15"
-                          step="2"
-                          value={params.gaussianBlurKsize}
-                          onChange={(e) => setParams({...params, gaussianBlurKsize: parseInt(e.target.value)})}
-                        />
-                      </div>
-                      <div className="param-control">
-                        <label>
-                          Sigma: <span className="param-value">{params.gaussianSigma}</span>
-                          <span className="param-hint">(0 = auto)</span>
-                        </label>
-                        <input
-                          type="range"
-                          min="0"
-                          max="10"
-                          step="0.5"
-                          value={params.gaussianSigma}
-                          onChange={(e) => setParams({...params, gaussianSigma: parseFloat(e.target.value)})}
-                        />
-                      </div>
-                    </>
-                  )}
-                </div>
 
-                {/* Adaptive Threshold */}
-                <div className="sidebar-section">
-                  <h3 className="section-title">Adaptive Threshold (Line Detection)</h3>
-                  <div className="param-control">
-                    <label>
-                      Block Size: <span className="param-value">{params.thresholdBlockSize}</span>
-                      <span className="param-hint">(larger = thicker lines)</span>
-                    </label>
-                    <input
-                      type="range"
-                      min="3"
-                      max="51"
-                      step="2"
-                      value={params.thresholdBlockSize}
-                      onChange={(e) => setParams({...params, thresholdBlockSize: parseInt(e.target.value)})}
-                    />
-                  </div>
                   <div className="param-control">
                     <label>
-                      C Constant: <span className="param-value">{params.thresholdC}</span>
-                      <span className="param-hint">(lower = more lines)</span>
+                      Margins: <span className="param-value">{printOptions.margin} mm</span>
                     </label>
                     <input
                       type="range"
                       min="0"
                       max="30"
                       step="1"
-                      value={params.thresholdC}
-                      onChange={(e) => setParams({...params, thresholdC: parseInt(e.target.value)})}
+                      value={printOptions.margin}
+                      onChange={(e) => setPrintOptions({...printOptions, margin: parseInt(e.target.value)})}
                     />
                   </div>
-                </div>
 
-                {/* Morphological Operations */}
-                <div className="sidebar-section">
-                  <div className="section-header">
-                    <label className="toggle-label">
-                      <input
-                        type="checkbox"
-                        checked={params.useMorphClose}
-                        onChange={(e) => setParams({...params, useMorphClose: e.target.checked})}
-                      />
-                      Morphological Closing (Connect Lines)
-                    </label>
-                  </div>
                   <div className="param-control">
-                    <label>
-                      Kernel Size: <span className="param-value">{params.kernelSize}</span>
-                    </label>
-                    <input
-                      type="range"
-                      min="1"
-                      max="9"
-                      step="2"
-                      value={params.kernelSize}
-                      onChange={(e) => setParams({...params, kernelSize: parseInt(e.target.value)})}
-                    />
+                    <label>Mode</label>
+                    <select
+                      className="sidebar-select"
+                      value={printOptions.mode}
+                      onChange={(e) => setPrintOptions({...printOptions, mode: e.target.value})}
+                    >
+                      <option value="layout">Single sheet</option>
+                      <option value="poster">Poster across several sheets</option>
+                    </select>
                   </div>
-                </div>
 
-                {/* Line Thickness Adjustment */}
-                <div className="sidebar-section">
-                  <h3 className="section-title">Line Thickness (Optional)</h3>
+                  {printOptions.mode === 'poster' ? (
+                    <>
+                      <div className="print-row">
+                        <div className="param-control">
+                          <label>Grid</label>
+                          <select
+                            className="sidebar-select"
+                            value={printOptions.posterGrid}
+                            onChange={(e) => setPrintOptions({...printOptions, posterGrid: parseInt(e.target.value)})}
+                          >
+                            {POSTER_GRIDS.map(grid => (
+                              <option key={grid} value={grid}>{grid} x {grid} sheets</option>
+                            ))}
+                          </select>
+                        </div>
+                        <div className="param-control">
+                          <label>
+                            Overlap: <span className="param-value">{printOptions.overlap} mm</span>
+                          </label>
+                          <input
+                            type="range"
+                            min="0"
+                            max="30"
+                            step="1"
+                            value={printOptions.overlap}
+                            onChange={(e) => setPrintOptions({...printOptions, overlap: parseInt(e.target.value)})}
+                          />
+                        </div>
+                      </div>
+
+                      <label className="toggle-label">
+                        <input
+                          type="checkbox"
+                          checked={printOptions.cropMarks}
+                          onChange={(e) => setPrintOptions({...printOptions, cropMarks: e.target.checked})}
+                        />
+                        Crop marks
+                      </label>
+
+                      <p className="convert-hint">
+                        Poster size: {Math.round(getPosterSize(printOptions).width / 10)} x {Math.round(getPosterSize(printOptions).height / 10)} cm.
+                        {' '}Tiles are numbered; line each tile up with the dashed overlap line of its neighbour.
+                        {printModal.images.length > 1 && ' Only the first selected image is printed.'}
+                        {!printModal.images[0].vector && ' This image is not line art, so it is enlarged as a bitmap.'}
+                      </p>
+                    </>
+                  ) : (
+                    <>
+                    <div className="print-row">
+                      <div className="param-control">
+                        <label>Scaling</label>
+                        <select
+                          className="sidebar-select"
+                          value={printOptions.scale}
+                          onChange={(e) => setPrintOptions({...printOptions, scale: e.target.value})}
+                        >
+                          <option value="fit">Fit to page</option>
+                          <option value="actual">Actual size</option>
+                        </select>
+                      </div>
+                      {printOptions.scale === 'actual' && (
+                        <div className="param-control">
+                          <label>DPI</label>
+                          <select
+                            className="sidebar-select"
+                            value={printOptions.dpi}
+                            onChange={(e) => setPrintOptions({...printOptions, dpi: parseInt(e.target.value)})}
+                          >
+                            {[72, 96, 150, 200, 300].map(dpi => (
+                              <option key={dpi} value={dpi}>{dpi}</option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+                    </div>
+
+                    <div className="print-row">
+                      <div className="param-control">
+                        <label>Per Sheet</label>
+                        <select
+                          className="sidebar-select"
+                          value={printOptions.perSheet}
+                          onChange={(e) => setPrintOptions({...printOptions, perSheet: parseInt(e.target.value)})}
+                        >
+                          {PER_SHEET_OPTIONS.map(count => (
+                            <option key={count} value={count}>{count}-up</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="param-control">
+                        <label>Border</label>
+                        <select
+                          className="sidebar-select"
+                          value={printOptions.border}
+                          onChange={(e) => setPrintOptions({...printOptions, border: e.target.value})}
+                        >
+                          {PRINT_BORDERS.map(border => (
+                            <option key={border.value} value={border.value}>{border.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+
+                    <div className="param-control">
+                      <label>Title Line</label>
+                      <input
+                        type="text"
+                        className="preset-name-input"
+                        placeholder="Optional title above the picture"
+                        value={printOptions.title}
+                        onChange={(e) => setPrintOptions({...printOptions, title: e.target.value})}
+                      />
+                    </div>
 
-                  {/* Erosion */}
-                  <div className="section-header">
                     <label className="toggle-label">
                       <input
                         type="checkbox"
-                        checked={params.useErosion}
-                        onChange={(e) => setParams({...params, useErosion: e.target.checked})}
+                        checked={printOptions.nameField}
+                        onChange={(e) => setPrintOptions({...printOptions, nameField: e.target.checked})}
                       />
-                      Erosion (Thin Lines)
+                      "Name: ____" field
                     </label>
-                  </div>
-                  {params.useErosion && (
-                    <div className="param-control">
-                      <label>
-                        Iterations: <span className="param-value">{params.erosionIterations}</span>
-                        <span className="param-hint">(higher = thinner)</span>
-                      </label>
-                      <input
-                        type="range"
-                        min="1"
-                        max="5"
-                        step="1"
-                        value={params.erosionIterations}
-                        onChange={(e) => setParams({...params, erosionIterations: parseInt(e.target.value)})}
-                      />
-                    </div>
+
+                    {printModal.images.length === 1 && printOptions.perSheet > 1 && (
+                      <p className="convert-hint">The picture is repeated in every slot of the sheet.</p>
+                    )}
+                    </>
                   )}
+                </div>
 
-                  {/* Dilation */}
+                <div className="print-preview" style={{ height: previewSheet.height * previewScale }}>
+                  <iframe
+                    title="Print preview"
+                    srcDoc={getPrintHtml()}
+                    style={{
+                      width: previewSheet.width,
+                      height: previewSheet.height,
+                      transform: `scale(${previewScale})`
+                    }}
+                  />
+                </div>
+              </div>
+            )}
+
+            <div className="retouch-actions">
+              <button
+                onClick={handlePrint}
+                className="btn-download-enhanced"
+                disabled={printModal.status !== 'ready'}
+              >
+                <Printer size={16} /> Print
+              </button>
+              <button
+                onClick={handleClosePrint}
+                className="btn-close-modal"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Create Book Modal */}
+      {bookModal && (
+        <div className="retouch-modal-overlay">
+          <div className="retouch-modal">
+            <div className="retouch-modal-header">
+              <h2>
+                <BookOpen size={20} />
+                {' Create Book'}
+              </h2>
+              <button onClick={() => setBookModal(null)} className="modal-close">
+                <X size={24} />
+              </button>
+            </div>
+
+            <div className="book-options">
+              <div className="param-control">
+                <label>Paper Size</label>
+                <select
+                  className="sidebar-select"
+                  value={bookOptions.pageSize}
+                  onChange={(e) => setBookOptions({...bookOptions, pageSize: e.target.value})}
+                >
+                  {Object.entries(PAGE_SIZES).map(([value, size]) => (
+                    <option key={value} value={value}>{size.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="book-toggles">
+                <label className="toggle-label">
+                  <input
+                    type="checkbox"
+                    checked={bookOptions.cover}
+                    onChange={(e) => setBookOptions({...bookOptions, cover: e.target.checked})}
+                  />
+                  Cover page
+                </label>
+                <label className="toggle-label">
+                  <input
+                    type="checkbox"
+                    checked={bookOptions.pageNumbers}
+                    onChange={(e) => setBookOptions({...bookOptions, pageNumbers: e.target.checked})}
+                  />
+                  Page numbers
+                </label>
+                <label className="toggle-label">
+                  <input
+                    type="checkbox"
+                    checked={bookOptions.blankBacks}
+                    onChange={(e) => setBookOptions({...bookOptions, blankBacks: e.target.checked})}
+                  />
+                  Blank back sides
+                </label>
+              </div>
+              {bookOptions.cover && (
+                <div className="book-cover-fields">
+                  <input
+                    type="text"
+                    className="preset-name-input"
+                    placeholder="Title"
+                    value={bookOptions.title}
+                    onChange={(e) => setBookOptions({...bookOptions, title: e.target.value})}
+                  />
+                  <input
+                    type="text"
+                    className="preset-name-input"
+                    placeholder="Author (optional)"
+                    value={bookOptions.author}
+                    onChange={(e) => setBookOptions({...bookOptions, author: e.target.value})}
+                  />
+                </div>
+              )}
+            </div>
+
+            <div className="book-body">
+              <h3>Pages ({bookPages.length})</h3>
+              {bookPages.length === 0 && (
+                <p className="book-empty">Click images below to add them to the book.</p>
+              )}
+              <ol className="book-pages">
+                {bookPages.map((image, index) => (
+                  <li key={image.id} className="book-page">
+                    <span className="book-page-number">{index + 1}</span>
+                    <img src={image.data} alt={`Page ${index + 1}`} />
+                    <span className="book-page-label">
+                      {GALLERY_ITEM_LABELS[image.type]}
+                    </span>
+                    <button
+                      className="btn-book-page"
+                      onClick={() => handleMoveBookPage(image.id, -1)}
+                      disabled={index === 0}
+                      title="Move up"
+                    >
+                      <ChevronUp size={16} />
+                    </button>
+                    <button
+                      className="btn-book-page"
+                      onClick={() => handleMoveBookPage(image.id, 1)}
+                      disabled={index === bookPages.length - 1}
+                      title="Move down"
+                    >
+                      <ChevronDown size={16} />
+                    </button>
+                    <button
+                      className="btn-book-page"
+                      onClick={() => setBookModal(prev => ({
+                        ...prev,
+                        pageIds: prev.pageIds.filter(id => id !== image.id)
+                      }))}
+                      title="Remove from book"
+                    >
+                      <X size={16} />
+                    </button>
+                  </li>
+                ))}
+              </ol>
+
+              {bookAvailable.length > 0 && (
+                <>
+                  <h3>Add from gallery</h3>
+                  <div className="book-available">
+                    {bookAvailable.map(image => (
+                      <button
+                        key={image.id}
+                        onClick={() => setBookModal(prev => ({ ...prev, pageIds: [...prev.pageIds, image.id] }))}
+                        title="Add to book"
+                      >
+                        <img src={image.data} alt={GALLERY_ITEM_LABELS[image.type]} />
+                      </button>
+                    ))}
+                  </div>
+                </>
+              )}
+            </div>
+
+            {bookModal.status === 'generating' && (
+              <div className="retouch-progress">
+                <div className="progress-bar">
+                  <div className="progress-fill" style={{ width: `${bookModal.progress}%` }} />
+                </div>
+                <p className="progress-text">Building PDF...</p>
+              </div>
+            )}
+
+            {bookModal.status === 'error' && (
+              <div className="retouch-error">
+                <p>❌ {bookModal.error}</p>
+              </div>
+            )}
+
+            <div className="retouch-actions">
+              <button
+                onClick={handleCreateBook}
+                className="btn-download-enhanced"
+                disabled={bookPages.length === 0 || bookModal.status === 'generating'}
+              >
+                <Download size={16} /> Create PDF
+              </button>
+              <button
+                onClick={() => setBookModal(null)}
+                className="btn-close-modal"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Paint by Number Modal */}
+      {pbnModal && (
+        <div className="retouch-modal-overlay">
+          <div className="retouch-modal">
+            <div className="retouch-modal-header">
+              <h2>
+                <Palette size={20} />
+                {' Paint by Number'}
+              </h2>
+              <button onClick={() => setPbnModal(null)} className="modal-close">
+                <X size={24} />
+              </button>
+            </div>
+
+            <div className="pbn-controls">
+              <div className="param-control">
+                <label>
+                  Colors: <span className="param-value">{pbnOptions.colors}</span>
+                </label>
+                <input
+                  type="range"
+                  min="4"
+                  max="24"
+                  step="1"
+                  value={pbnOptions.colors}
+                  onChange={(e) => setPbnOptions({...pbnOptions, colors: parseInt(e.target.value)})}
+                />
+              </div>
+              <div className="param-control">
+                <label>
+                  Min Region: <span className="param-value">{pbnOptions.minArea}</span>
+                  <span className="param-hint">(px, smaller merge)</span>
+                </label>
+                <input
+                  type="range"
+                  min="20"
+                  max="1000"
+                  step="10"
+                  value={pbnOptions.minArea}
+                  onChange={(e) => setPbnOptions({...pbnOptions, minArea: parseInt(e.target.value)})}
+                />
+              </div>
+              <button
+                onClick={() => handleGeneratePaintByNumber(pbnModal.image)}
+                className="btn-generate"
+                disabled={pbnModal.status === 'generating'}
+              >
+                Regenerate
+              </button>
+            </div>
+
+            {pbnModal.status === 'generating' && (
+              <div className="retouch-progress">
+                <p className="progress-text">Quantizing colors and tracing regions...</p>
+              </div>
+            )}
+
+            {pbnModal.status === 'error' && (
+              <div className="retouch-error">
+                <p>❌ {pbnModal.error}</p>
+              </div>
+            )}
+
+            {pbnModal.status === 'ready' && (
+              <div className="retouch-comparison">
+                <div className="comparison-container">
+                  <canvas ref={pbnCanvasRef} className="pbn-preview" />
                   <div className="section-header">
                     <label className="toggle-label">
                       <input
                         type="checkbox"
-                        checked={params.useDilation}
-                        onChange={(e) => setParams({...params, useDilation: e.target.checked})}
+                        checked={pbnFilled}
+                        onChange={(e) => setPbnFilled(e.target.checked)}
                       />
-                      Dilation (Thicken Lines)
+                      Preview colored result
                     </label>
                   </div>
-                  {params.useDilation && (
-                    <div className="param-control">
-                      <label>
-                        Iterations: <span className="param-value">{params.dilationIterations}</span>
-                        <span className="param-hint">(higher = thicker)</span>
-                      </label>
-                      <input
-                        type="range"
-                        min="1"
-                        max="5"
-                        step="1"
-                        value={params.dilationIterations}
-                        onChange={(e) => setParams({...params, dilationIterations: parseInt(e.target.value)})}
-                      />
-                    </div>
-                  )}
+                  <div className="pbn-legend">
+                    {pbnModal.kit.palette.map(entry => (
+                      <span key={entry.number} className="pbn-legend-item">
+                        <span className="pbn-swatch" style={{ background: entry.hex }} />
+                        {entry.number} {entry.hex.toUpperCase()}
+                      </span>
+                    ))}
+                  </div>
                 </div>
 
-                {/* Reset Button */}
-                <div className="sidebar-footer">
+                <div className="retouch-actions">
                   <button
-                    onClick={() => setParams({
-                      // Reset all to default values with all features disabled
-                      bilateralD: 9,
-                      bilateralSigmaColor: 75,
-                      bilateralSigmaSpace: 75,
-                      medianBlurKsize: 5,
-                      gaussianBlurKsize: 5,
-                      gaussianSigma: 0,
-                      thresholdBlockSize: 25,
-                      thresholdC: 10,
-                      kernelSize: 3,
-                      dilationIterations: 2,
-                      erosionIterations: 1,
-                      useBilateralFilter: false,
-                      useMedianBlur: false,
-                      useGaussianBlur: false,
-                      useMorphClose: false,
-                      useDilation: false,
-                      useErosion: false
-                    })}
-                    className="btn-reset"
+                    onClick={() => {
+                      downloadUrl(getPaintByNumberData(), `paint-by-number-${Date.now()}.png`)
+                      addLog('📥 Downloaded paint-by-number kit', 'success')
+                    }}
+                    className="btn-download-enhanced"
                   >
-                    Reset to Default
+                    <Download size={16} /> Download
+                  </button>
+                  <button
+                    onClick={() => handleOpenPrint([{ data: getPaintByNumberData() }])}
+                    className="btn-download-svg"
+                  >
+                    <Printer size={16} /> Print Kit
+                  </button>
+                  <button
+                    onClick={async () => {
+                      await addToGallery([{
+                        type: 'coloring',
+                        data: getPaintByNumberData(),
+                        ...provenanceFrom(pbnModal.image, 'paint-by-number', { params: pbnModal.options })
+                      }])
+                      addLog('✅ Added paint-by-number kit to gallery', 'success')
+                      setPbnModal(null)
+                    }}
+                    className="btn-add-gallery"
+                  >
+                    <Plus size={16} /> Add to Gallery
+                  </button>
+                  <button
+                    onClick={() => setPbnModal(null)}
+                    className="btn-close-modal"
+                  >
+                    Close
                   </button>
                 </div>
-              </>
+              </div>
             )}
+          </div>
+        </div>
+      )}
 
-            {/* Logs Tab */}
-            {sidebarTab === 'logs' && (
-              <>
-                <div className="logs-container" ref={logContentRef}>
-                  {logs.length === 0 ? (
-                    <div className="log-empty">No logs yet...</div>
+      {/* Cached AI results */}
+      {cacheBrowser && (
+        <div className="retouch-modal-overlay">
+          <div className="retouch-modal">
+            <div className="retouch-modal-header">
+              <h2>
+                <Database size={20} />
+                {' Cached AI Results'}
+              </h2>
+              <button onClick={closeCacheBrowser} className="modal-close">
+                <X size={24} />
+              </button>
+            </div>
+
+            <div className="ai-cache-summary">
+              <span>
+                {cacheBrowser.entries.length} result(s) ·{' '}
+                {formatBytes(cacheBrowser.entries.reduce((sum, entry) => sum + entry.size, 0))} of{' '}
+                {aiSettings.cacheLimitMb} MB
+              </span>
+              <label>
+                Limit
+                <select
+                  className="sidebar-select"
+                  value={aiSettings.cacheLimitMb}
+                  onChange={(e) => handleCacheLimitChange(parseInt(e.target.value))}
+                >
+                  {AI_CACHE_LIMITS.map(limit => (
+                    <option key={limit} value={limit}>{limit} MB</option>
+                  ))}
+                </select>
+              </label>
+              <button
+                onClick={handleClearAiCache}
+                className="btn-preset btn-preset-danger"
+                disabled={cacheBrowser.entries.length === 0}
+              >
+                <Trash2 size={14} /> Clear
+              </button>
+            </div>
+            <p className="param-hint ai-cache-hint">
+              Least recently used results are removed first when the cache is over its limit.
+            </p>
+
+            {cacheBrowser.status === 'loading' && <p className="ai-cache-empty">Loading...</p>}
+            {cacheBrowser.status === 'error' && <p className="ai-cache-empty">❌ {cacheBrowser.error}</p>}
+            {cacheBrowser.status === 'ready' && cacheBrowser.entries.length === 0 && (
+              <p className="ai-cache-empty">No cached AI results yet.</p>
+            )}
+            <ul className="ai-cache-list">
+              {cacheBrowser.entries.map(entry => (
+                <li key={entry.key}>
+                  {entry.url ? (
+                    <img src={entry.url} alt="Cached AI Convert result" />
                   ) : (
-                    logs.map((log, index) => (
-                      <div key={index} className={`log-entry log-${log.type}`}>
-                        <span className="log-timestamp">{log.timestamp}</span>
-                        <span className="log-message">{log.message}</span>
-                      </div>
-                    ))
+                    <div className="ai-cache-plan">{entry.plan ? describePlan(entry.plan) : 'No plan'}</div>
                   )}
-                </div>
-                <div className="sidebar-footer">
-                  <button onClick={() => setLogs([])} className="btn-clear-logs">
-                    Clear Logs
+                  <div className="ai-cache-info">
+                    <strong>{entry.kind === 'convert' ? 'AI Convert' : 'AI Retouch plan'} · {entry.provider}</strong>
+                    <span>
+                      {new Date(entry.createdAt).toLocaleString()} · {formatBytes(entry.size)} · used {entry.hits}×
+                    </span>
+                    <small title={entry.prompt}>{entry.prompt}</small>
+                  </div>
+                  <button
+                    onClick={() => handleDeleteCacheEntry(entry.key)}
+                    className="btn-preset btn-preset-danger"
+                    title="Remove from cache"
+                  >
+                    <Trash2 size={14} />
                   </button>
-                </div>
-              </>
-            )}
+                </li>
+              ))}
+            </ul>
           </div>
         </div>
       )}
@@ -1659,13 +5315,13 @@ function App() {
                 <Sparkles size={20} />
                 {retouchModal.isConvert ? ' AI Convert' : ' AI Retouch'}
               </h2>
-              <button onClick={() => setRetouchModal(null)} className="modal-close">
+              <button onClick={closeRetouchModal} className="modal-close">
                 <X size={24} />
               </button>
             </div>
 
             {/* Progress Bar */}
-            {retouchModal.status !== 'complete' && retouchModal.status !== 'error' && (
+            {!['complete', 'error', 'review', 'cached'].includes(retouchModal.status) && (
               <div className="retouch-progress">
                 <div className="progress-bar">
                   <div
@@ -1674,9 +5330,24 @@ function App() {
                   />
                 </div>
                 <p className="progress-text">
-                  {retouchModal.status === 'analyzing' && 'Analyzing with Gemini AI...'}
-                  {retouchModal.status === 'processing' && 'Applying enhancements...'}
+                  {retouchModal.status === 'queued' && 'Waiting for a free AI slot...'}
+                  {retouchModal.status === 'analyzing' && `Analyzing with ${aiProviderLabel}...`}
+                  {(retouchModal.status === 'processing' || retouchModal.status === 'applying') && 'Applying enhancements...'}
+                  {retouchModal.status === 'retrying' && `${aiProviderLabel} is busy, retrying (attempt ${retouchModal.attempt + 1})...`}
                 </p>
+                {retouchModal.status === 'retrying' && (
+                  <p className="param-hint">{retouchModal.retryError}</p>
+                )}
+                {retouchModal.jobId && JOB_MODAL_STATUSES.includes(retouchModal.status) && (
+                  <div className="retouch-actions">
+                    <button onClick={() => handleCancelJob(retouchModal.jobId)} className="btn-close-modal">
+                      Cancel Job
+                    </button>
+                    <button onClick={runRetouchInBackground} className="btn-close-modal">
+                      Run in Background
+                    </button>
+                  </div>
+                )}
               </div>
             )}
 
@@ -1684,12 +5355,118 @@ function App() {
             {retouchModal.status === 'error' && (
               <div className="retouch-error">
                 <p>❌ {retouchModal.error}</p>
-                <button onClick={() => setRetouchModal(null)} className="btn-error-close">
+                <button onClick={closeRetouchModal} className="btn-error-close">
                   Close
                 </button>
               </div>
             )}
 
+            {/* Cached result for the same image, prompt and provider */}
+            {retouchModal.status === 'cached' && (
+              <div className="retouch-cached">
+                <p>
+                  ♻️ This {retouchModal.isConvert ? 'photo was converted' : 'page was analyzed'} with the same prompt
+                  and {aiProviderLabel} before
+                  {retouchModal.cacheVariants.length > 1 && ` (${retouchModal.cacheVariants.length} variants)`}.
+                </p>
+                <select
+                  className="sidebar-select"
+                  value={retouchModal.cacheKey}
+                  onChange={(e) => setRetouchModal(prev => ({ ...prev, cacheKey: e.target.value }))}
+                >
+                  {retouchModal.cacheVariants.map((variant, index) => (
+                    <option key={variant.key} value={variant.key}>
+                      Variant {retouchModal.cacheVariants.length - index} · {new Date(variant.createdAt).toLocaleString()}
+                    </option>
+                  ))}
+                </select>
+                <div className="retouch-actions">
+                  <button onClick={handleUseCachedResult} className="btn-add-gallery">
+                    <Database size={16} /> Use Cached Result
+                  </button>
+                  <button onClick={handleGenerateVariant} className="btn-close-modal">
+                    <RefreshCw size={16} /> Generate New Variant
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Plan Review - editable checklist of operations */}
+            {retouchModal.status === 'review' && retouchModal.plan && (
+              <div className="retouch-plan">
+                {retouchModal.planSource === 'recorded' && (
+                  <p className="param-hint">Plan recorded with this image. Adjust it or apply it as it is.</p>
+                )}
+                {(retouchModal.planSource === 'keywords' || retouchModal.planSource === 'default') && (
+                  <p className="retouch-plan-warning">
+                    ⚠️ The AI reply was not a valid JSON plan, so {retouchModal.planSource === 'keywords'
+                      ? 'the operations it named are used'
+                      : 'a default plan is used'}. Check it before applying.
+                  </p>
+                )}
+                {retouchModal.planSource === 'json' && retouchModal.planWarnings?.length > 0 && (
+                  <p className="retouch-plan-warning">⚠️ Fixed up the AI plan: {retouchModal.planWarnings.join('; ')}</p>
+                )}
+                {retouchModal.plan.notes && (
+                  <p className="retouch-plan-notes">💡 {retouchModal.plan.notes}</p>
+                )}
+                <ul className="retouch-plan-list">
+                  {RETOUCH_OPERATIONS.map(operation => {
+                    const planned = retouchModal.plan.operations.find(o => o.op === operation.op)
+                    return (
+                      <li key={operation.op} className={planned ? 'active' : ''}>
+                        <label className="toggle-label">
+                          <input
+                            type="checkbox"
+                            checked={Boolean(planned)}
+                            onChange={(e) => setRetouchModal(prev => ({
+                              ...prev,
+                              plan: updatePlanOperation(prev.plan, operation.op, e.target.checked ? 2 : null)
+                            }))}
+                          />
+                          <span>
+                            {operation.label}
+                            <small>{operation.hint}</small>
+                          </span>
+                        </label>
+                        <input
+                          type="range"
+                          min={MIN_STRENGTH}
+                          max={MAX_STRENGTH}
+                          value={planned?.strength ?? 2}
+                          disabled={!planned}
+                          onChange={(e) => setRetouchModal(prev => ({
+                            ...prev,
+                            plan: updatePlanOperation(prev.plan, operation.op, parseInt(e.target.value))
+                          }))}
+                        />
+                        <span className="param-value">{planned ? planned.strength : '–'}</span>
+                      </li>
+                    )
+                  })}
+                </ul>
+                <div className="retouch-actions">
+                  <button
+                    onClick={handleApplyRetouchPlan}
+                    className="btn-add-gallery"
+                    disabled={retouchModal.plan.operations.length === 0}
+                  >
+                    <Sparkles size={16} /> Apply Plan
+                  </button>
+                  <button onClick={closeRetouchModal} className="btn-close-modal">
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {retouchModal.prompt && (
+              <details className="retouch-prompt" open={retouchModal.isConvert}>
+                <summary>Prompt sent</summary>
+                <p>{retouchModal.prompt}</p>
+              </details>
+            )}
+
             {/* Complete State - Before/After Comparison */}
             {retouchModal.status === 'complete' && retouchModal.enhanced && (
               <div className="retouch-comparison">
@@ -1718,17 +5495,30 @@ function App() {
                     <Download size={16} /> Download Enhanced
                   </button>
                   <button
-                    onClick={() => {
+                    onClick={() => handleDownloadSvg(retouchModal.enhanced)}
+                    className="btn-download-svg"
+                  >
+                    <PenTool size={16} /> Download SVG
+                  </button>
+                  <button
+                    onClick={async () => {
                       // Add to gallery
-                      setGallery(prev => [{
-                        id: Date.now(),
-                        data: retouchModal.enhanced,
+                      await addToGallery([{
                         type: 'coloring',
-                        timestamp: Date.now()
-                      }, ...prev])
+                        data: retouchModal.enhanced,
+                        ...provenanceFrom(
+                          retouchModal.source,
+                          retouchModal.isConvert ? 'ai-convert' : 'ai-retouch',
+                          {
+                            prompt: retouchModal.prompt,
+                            ...(retouchModal.plan && { params: { plan: retouchModal.plan } })
+                          }
+                        )
+                      }])
                       addLog(retouchModal.isConvert
                         ? '✅ Added converted coloring book to gallery'
                         : '✅ Added enhanced version to gallery', 'success')
+                      if (retouchModal.jobId) aiQueueRef.current.dismiss(retouchModal.jobId)
                       setRetouchModal(null)
                     }}
                     className="btn-add-gallery"
@@ -1736,7 +5526,7 @@ function App() {
                     <Plus size={16} /> Add to Gallery
                   </button>
                   <button
-                    onClick={() => setRetouchModal(null)}
+                    onClick={closeRetouchModal}
                     className="btn-close-modal"
                   >
                     Close
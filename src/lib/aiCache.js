@@ -0,0 +1,122 @@
+// Cache of AI replies in IndexedDB, keyed by a hash of the input image together
+// with the prompt and the provider settings that shape the answer. Each request
+// can have several variants, stored as "<request hash>:<variant id>". Convert
+// entries hold the generated image as a Blob, analyze entries the reply text.
+// Least recently used entries are evicted once the cache outgrows its limit.
+import { AI_CACHE_STORE, openDatabase, requestToPromise, transactionDone } from './db.js'
+
+export const AI_CACHE_LIMITS = [25, 50, 100, 250, 500] // MB
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('')
+
+// 53-bit string hash, for pages served over plain http where crypto.subtle is missing
+const fallbackHash = (bytes) => {
+  let h1 = 0xdeadbeef
+  let h2 = 0x41c6ce57
+  for (let i = 0; i < bytes.length; i++) {
+    h1 = Math.imul(h1 ^ bytes[i], 2654435761)
+    h2 = Math.imul(h2 ^ bytes[i], 1597334677)
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+  return `cyrb53-${(4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16)}-${bytes.length}`
+}
+
+/**
+ * Cache key for an AI request.
+ *
+ * @param {Blob} image - Input image.
+ * @param {object} request - Everything else that changes the answer, e.g.
+ *   { kind, prompt, provider, model, endpoint }.
+ * @returns {Promise<string>} Hex digest.
+ */
+export const hashAiRequest = async (image, request) => {
+  const header = new TextEncoder().encode(`${JSON.stringify(request)}\n`)
+  const body = new Uint8Array(await image.arrayBuffer())
+  const bytes = new Uint8Array(header.length + body.length)
+  bytes.set(header)
+  bytes.set(body, header.length)
+
+  if (!globalThis.crypto?.subtle) return fallbackHash(bytes)
+  return toHex(await crypto.subtle.digest('SHA-256', bytes))
+}
+
+// Approximate stored size of an entry in bytes
+const entrySize = ({ blob, text }) => (blob?.size || 0) + (text?.length || 0) * 2
+
+// Cached entry for a key (marking it as used), or null
+export const readAiCache = async (key) => {
+  const db = await openDatabase()
+  const tx = db.transaction(AI_CACHE_STORE, 'readwrite')
+  const store = tx.objectStore(AI_CACHE_STORE)
+  const entry = await requestToPromise(store.get(key))
+  if (!entry) return null
+
+  const used = { ...entry, lastUsed: Date.now(), hits: (entry.hits || 0) + 1 }
+  store.put(used)
+  await transactionDone(tx)
+  return used
+}
+
+// Cached variants of a request (see hashAiRequest), newest first, without
+// counting them as used
+export const listAiCacheVariants = async (requestKey) => {
+  const db = await openDatabase()
+  const range = IDBKeyRange.bound(`${requestKey}:`, `${requestKey}:\uffff`)
+  const entries = await requestToPromise(
+    db.transaction(AI_CACHE_STORE, 'readonly').objectStore(AI_CACHE_STORE).getAll(range)
+  )
+  return entries.sort((a, b) => b.createdAt - a.createdAt)
+}
+
+// Store a new variant for entry.requestKey, keeping earlier ones. entry holds
+// kind, blob or text, and descriptive fields such as provider and prompt.
+// Resolves to the new entry's key.
+export const writeAiCache = async (entry) => {
+  const now = Date.now()
+  const key = `${entry.requestKey}:${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`
+  const db = await openDatabase()
+  const tx = db.transaction(AI_CACHE_STORE, 'readwrite')
+  tx.objectStore(AI_CACHE_STORE).put({ ...entry, key, size: entrySize(entry), createdAt: now, lastUsed: now, hits: 0 })
+  await transactionDone(tx)
+  return key
+}
+
+// All entries, most recently used first
+export const listAiCache = async () => {
+  const db = await openDatabase()
+  const entries = await requestToPromise(
+    db.transaction(AI_CACHE_STORE, 'readonly').objectStore(AI_CACHE_STORE).getAll()
+  )
+  return entries.sort((a, b) => b.lastUsed - a.lastUsed)
+}
+
+export const deleteAiCacheEntries = async (keys) => {
+  const db = await openDatabase()
+  const tx = db.transaction(AI_CACHE_STORE, 'readwrite')
+  const store = tx.objectStore(AI_CACHE_STORE)
+  for (const key of keys) store.delete(key)
+  await transactionDone(tx)
+}
+
+export const clearAiCache = async () => {
+  const db = await openDatabase()
+  const tx = db.transaction(AI_CACHE_STORE, 'readwrite')
+  tx.objectStore(AI_CACHE_STORE).clear()
+  await transactionDone(tx)
+}
+
+// Drop least recently used entries until the cache fits in limitBytes.
+// Resolves to the number of entries removed.
+export const evictAiCache = async (limitBytes) => {
+  const entries = await listAiCache()
+  let total = entries.reduce((sum, entry) => sum + entry.size, 0)
+  const evicted = []
+  for (let i = entries.length - 1; i >= 0 && total > limitBytes; i--) {
+    total -= entries[i].size
+    evicted.push(entries[i].key)
+  }
+  if (evicted.length > 0) await deleteAiCacheEntries(evicted)
+  return evicted.length
+}
@@ -0,0 +1,164 @@
+// AI back ends behind one interface. Every provider has two operations:
+//   convert({ image, prompt, signal }) -> data URL of the generated image (image-to-image)
+//   analyze({ image, prompt, signal }) -> the model's text reply about the image
+// where image is a Blob and signal an optional AbortSignal. Pick one with
+// createAiProvider(provider, config).
+import { blobToBase64, blobToDataUrl } from './imageUtils.js'
+
+export const AI_PROVIDERS = [
+  { value: 'gemini', label: 'Google Gemini' },
+  { value: 'openai', label: 'OpenAI-compatible' },
+  { value: 'custom', label: 'Self-hosted endpoint' }
+]
+
+// Per-provider settings. The Gemini key is kept separately (it predates providers).
+export const DEFAULT_AI_SETTINGS = {
+  provider: 'gemini',
+  concurrency: 2, // AI jobs running at once
+  cacheLimitMb: 100, // Cached AI results kept in IndexedDB
+  gemini: {
+    imageModel: 'gemini-2.5-flash-image',
+    analyzeModel: 'gemini-2.0-flash-exp'
+  },
+  openai: {
+    baseUrl: 'https://api.openai.com/v1',
+    apiKey: '',
+    imageModel: 'gpt-image-1',
+    analyzeModel: 'gpt-4o-mini'
+  },
+  // POST {baseUrl}/convert and {baseUrl}/analyze, see README
+  custom: {
+    baseUrl: 'http://localhost:8000',
+    apiKey: ''
+  }
+}
+
+const trimSlash = (url) => url.replace(/\/+$/, '')
+
+const authHeaders = (apiKey) => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+
+// Statuses worth retrying: timeouts, rate limits and temporary server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504]
+
+// fetch + JSON, with the response body in the error message. HTTP errors carry
+// `status`, `retryable` and, when the server sent Retry-After, `retryAfter` (ms).
+const requestJson = async (label, url, options) => {
+  const response = await fetch(url, options)
+  if (!response.ok) {
+    const text = await response.text().catch(() => '')
+    const error = new Error(`${label} error: ${response.status}${text ? ` - ${text.slice(0, 300)}` : ''}`)
+    error.status = response.status
+    error.retryable = RETRYABLE_STATUSES.includes(response.status)
+    const retryAfter = parseFloat(response.headers.get('Retry-After'))
+    if (Number.isFinite(retryAfter)) error.retryAfter = retryAfter * 1000
+    throw error
+  }
+  return response.json()
+}
+
+const createGeminiProvider = ({ apiKey, imageModel, analyzeModel }) => {
+  const generate = (label, model, prompt, inlineData, signal) => requestJson(
+    label,
+    `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ contents: [{ parts: [{ text: prompt }, { inlineData }] }] }),
+      signal
+    }
+  )
+
+  return {
+    convert: async ({ image, prompt, signal }) => {
+      const data = await generate('Gemini Image API', imageModel, prompt, await blobToBase64(image), signal)
+      const part = (data.candidates?.[0]?.content?.parts || []).find(p => p.inlineData)
+      if (!part) throw new Error('No image generated from Gemini API')
+      return `data:${part.inlineData.mimeType || 'image/png'};base64,${part.inlineData.data}`
+    },
+    analyze: async ({ image, prompt, signal }) => {
+      const data = await generate('Gemini API', analyzeModel, prompt, await blobToBase64(image), signal)
+      return data.candidates?.[0]?.content?.parts?.[0]?.text || ''
+    }
+  }
+}
+
+// OpenAI's /images/edits and /chat/completions, or any server that mirrors them
+const createOpenAiProvider = ({ baseUrl, apiKey, imageModel, analyzeModel }) => ({
+  convert: async ({ image, prompt, signal }) => {
+    const form = new FormData()
+    form.append('model', imageModel)
+    form.append('prompt', prompt)
+    form.append('image', image, `image.${(image.type || 'image/png').split('/')[1]}`)
+
+    const data = await requestJson('Images API', `${trimSlash(baseUrl)}/images/edits`, {
+      method: 'POST',
+      headers: authHeaders(apiKey),
+      body: form,
+      signal
+    })
+    const result = data.data?.[0]
+    if (result?.b64_json) return `data:image/png;base64,${result.b64_json}`
+    if (result?.url) return blobToDataUrl(await (await fetch(result.url, { signal })).blob())
+    throw new Error('No image returned by the images endpoint')
+  },
+  analyze: async ({ image, prompt, signal }) => {
+    const data = await requestJson('Chat API', `${trimSlash(baseUrl)}/chat/completions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeaders(apiKey) },
+      body: JSON.stringify({
+        model: analyzeModel,
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt },
+            { type: 'image_url', image_url: { url: await blobToDataUrl(image) } }
+          ]
+        }]
+      }),
+      signal
+    })
+    return data.choices?.[0]?.message?.content || ''
+  }
+})
+
+// Minimal JSON contract for self-hosted servers (e.g. a Stable Diffusion or
+// ComfyUI wrapper): { prompt, image: { mimeType, data } } in, and
+// { image: { mimeType, data } } or { text } out, data being base64
+const createCustomProvider = ({ baseUrl, apiKey }) => {
+  const post = async (path, prompt, image, signal) => requestJson('AI server', `${trimSlash(baseUrl)}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders(apiKey) },
+    body: JSON.stringify({ prompt, image: await blobToBase64(image) }),
+    signal
+  })
+
+  return {
+    convert: async ({ image, prompt, signal }) => {
+      const data = await post('/convert', prompt, image, signal)
+      if (!data.image?.data) throw new Error('No image returned by the AI server')
+      return `data:${data.image.mimeType || 'image/png'};base64,${data.image.data}`
+    },
+    analyze: async ({ image, prompt, signal }) => {
+      const data = await post('/analyze', prompt, image, signal)
+      return data.text || ''
+    }
+  }
+}
+
+// What still has to be filled in before the provider can be used, or null
+export const getMissingAiConfig = (provider, config) => {
+  if (provider === 'gemini') {
+    return config.apiKey ? null : 'Gemini API key not found. Please add your API key in Settings.'
+  }
+  if (!config.baseUrl) return 'AI server URL not set. Please add it in Settings.'
+  if (provider === 'openai' && !config.apiKey && config.baseUrl.includes('api.openai.com')) {
+    return 'OpenAI API key not found. Please add your API key in Settings.'
+  }
+  return null
+}
+
+export const createAiProvider = (provider, config) => {
+  if (provider === 'openai') return createOpenAiProvider(config)
+  if (provider === 'custom') return createCustomProvider(config)
+  return createGeminiProvider(config)
+}
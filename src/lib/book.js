@@ -0,0 +1,143 @@
+// Multi-page coloring book PDF built from gallery images, entirely in the browser
+import { createPdfDocument, wrapText } from './pdf.js'
+import { canvasToBlob, loadImage } from './imageUtils.js'
+
+// Page sizes in PDF points
+export const PAGE_SIZES = {
+  a4: { label: 'A4', width: 595.28, height: 841.89 },
+  letter: { label: 'US Letter', width: 612, height: 792 }
+}
+
+export const DEFAULT_BOOK_OPTIONS = {
+  pageSize: 'a4',
+  cover: true,
+  title: 'My Coloring Book',
+  author: '',
+  pageNumbers: true,
+  blankBacks: false
+}
+
+const MARGIN = 36 // 0.5 inch
+const FOOTER = 24 // Room for the page number
+const MAX_DPI = 300 // Images are downscaled past this print resolution
+
+// Flatten a canvas onto white and encode it for the PDF. Lossless zlib when
+// CompressionStream is available (line art compresses very well), JPEG otherwise.
+const encodeCanvas = async (canvas) => {
+  const { width, height } = canvas
+
+  if (typeof CompressionStream === 'undefined') {
+    const jpeg = await canvasToBlob(canvas, 'image/jpeg', 0.92)
+    return { width, height, data: new Uint8Array(await jpeg.arrayBuffer()), filter: 'DCTDecode' }
+  }
+
+  const rgba = canvas.getContext('2d').getImageData(0, 0, width, height).data
+  const rgb = new Uint8Array(width * height * 3)
+  for (let i = 0, j = 0; i < rgba.length; i += 4, j += 3) {
+    rgb[j] = rgba[i]
+    rgb[j + 1] = rgba[i + 1]
+    rgb[j + 2] = rgba[i + 2]
+  }
+  const stream = new Blob([rgb]).stream().pipeThrough(new CompressionStream('deflate'))
+  const data = new Uint8Array(await new Response(stream).arrayBuffer())
+  return { width, height, data, filter: 'FlateDecode' }
+}
+
+// Render an image into a box, rotating landscape images on portrait boxes
+// (and vice versa) when that makes them larger, and capping the resolution
+const renderForBox = (img, boxWidth, boxHeight) => {
+  const sourceWidth = img.naturalWidth || img.width
+  const sourceHeight = img.naturalHeight || img.height
+  const rotate = (sourceWidth > sourceHeight) !== (boxWidth > boxHeight)
+  const width = rotate ? sourceHeight : sourceWidth
+  const height = rotate ? sourceWidth : sourceHeight
+
+  // Size on the page in points, then pixels at no more than MAX_DPI
+  const fit = Math.min(boxWidth / width, boxHeight / height)
+  const placedWidth = width * fit
+  const placedHeight = height * fit
+  const scale = Math.min(1, (placedWidth / 72) * MAX_DPI / width)
+
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(width * scale))
+  canvas.height = Math.max(1, Math.round(height * scale))
+  const ctx = canvas.getContext('2d')
+  ctx.fillStyle = 'white'
+  ctx.fillRect(0, 0, canvas.width, canvas.height)
+  if (rotate) {
+    ctx.translate(canvas.width, 0)
+    ctx.rotate(Math.PI / 2)
+    ctx.drawImage(img, 0, 0, canvas.height, canvas.width)
+  } else {
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
+  }
+  return { canvas, placedWidth, placedHeight }
+}
+
+const drawCover = (page, { title, author }) => {
+  const { width, height } = page
+  const maxWidth = width - MARGIN * 4
+
+  page.rect(MARGIN, MARGIN, width - MARGIN * 2, height - MARGIN * 2, { lineWidth: 3 })
+  page.rect(MARGIN + 8, MARGIN + 8, width - MARGIN * 2 - 16, height - MARGIN * 2 - 16, { lineWidth: 1 })
+
+  const titleSize = 36
+  const lines = wrapText(title || 'My Coloring Book', titleSize, maxWidth, true)
+  let y = height * 0.6 + ((lines.length - 1) * titleSize * 1.2) / 2
+  for (const line of lines) {
+    page.text(line, width / 2, y, { size: titleSize, bold: true, align: 'center' })
+    y -= titleSize * 1.2
+  }
+
+  if (author) {
+    for (const line of wrapText(`by ${author}`, 18, maxWidth)) {
+      y -= 10
+      page.text(line, width / 2, y, { size: 18, align: 'center', gray: 0.3 })
+      y -= 18 * 1.2
+    }
+  }
+}
+
+// Build the book from gallery items ({ data }) in order. Resolves to a PDF Blob.
+// onProgress(done, total) is called after each image page.
+export const createColoringBookPdf = async (images, options = DEFAULT_BOOK_OPTIONS, onProgress = () => {}) => {
+  const { width, height } = PAGE_SIZES[options.pageSize] || PAGE_SIZES.a4
+  const pdf = createPdfDocument()
+  const addBlankBack = () => {
+    if (options.blankBacks) pdf.addPage(width, height)
+  }
+
+  if (options.cover) {
+    drawCover(pdf.addPage(width, height), options)
+    addBlankBack()
+  }
+
+  const footer = options.pageNumbers ? FOOTER : 0
+  const boxWidth = width - MARGIN * 2
+  const boxHeight = height - MARGIN * 2 - footer
+
+  for (const [index, image] of images.entries()) {
+    const img = await loadImage(image.data)
+    const { canvas, placedWidth, placedHeight } = renderForBox(img, boxWidth, boxHeight)
+    const handle = pdf.addImage(await encodeCanvas(canvas))
+
+    const page = pdf.addPage(width, height)
+    page.image(
+      handle,
+      MARGIN + (boxWidth - placedWidth) / 2,
+      MARGIN + footer + (boxHeight - placedHeight) / 2,
+      placedWidth,
+      placedHeight
+    )
+    if (options.pageNumbers) {
+      page.text(String(index + 1), width / 2, MARGIN, { size: 10, align: 'center', gray: 0.4 })
+    }
+    addBlankBack()
+
+    onProgress(index + 1, images.length)
+    // Yield so the progress indicator can repaint between pages
+    await new Promise(resolve => setTimeout(resolve, 0))
+  }
+
+  return pdf.toBlob()
+}
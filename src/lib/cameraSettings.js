@@ -0,0 +1,96 @@
+// Camera mirror / orientation / resolution settings: getUserMedia constraints,
+// the resolutions a camera offers, and the frame area drawn for each orientation
+
+export const DEFAULT_CAMERA_OPTIONS = {
+  mirror: false, // Flip horizontally, for selfie cameras
+  orientation: 'landscape', // 'landscape' | 'portrait'
+  resolution: 'auto' // 'auto' or 'WIDTHxHEIGHT' (landscape numbers)
+}
+
+// Common capture sizes, largest first; landscape width x height
+const STANDARD_RESOLUTIONS = [
+  [3840, 2160],
+  [2560, 1440],
+  [1920, 1080],
+  [1280, 960],
+  [1280, 720],
+  [1024, 768],
+  [960, 540],
+  [800, 600],
+  [640, 480],
+  [640, 360],
+  [320, 240]
+]
+
+// Portrait from a landscape-only camera is a centred 3:4 crop (close to letter/A4 pages)
+const PORTRAIT_RATIO = 3 / 4
+
+export const parseResolution = (resolution) => {
+  const [width, height] = resolution.split('x').map(Number)
+  return { width, height }
+}
+
+// Resolutions within the maximum size reported by MediaStreamTrack.getCapabilities().
+// Cameras that report nothing get the whole list.
+export const getResolutionChoices = (capabilities) => {
+  const maxWidth = capabilities?.width?.max
+  const maxHeight = capabilities?.height?.max
+  if (!maxWidth || !maxHeight) return STANDARD_RESOLUTIONS.map(([width, height]) => `${width}x${height}`)
+
+  // Portrait-native cameras (phones) report the long side as the height
+  const longSide = Math.max(maxWidth, maxHeight)
+  const shortSide = Math.min(maxWidth, maxHeight)
+  return STANDARD_RESOLUTIONS
+    .filter(([width, height]) => width <= longSide && height <= shortSide)
+    .map(([width, height]) => `${width}x${height}`)
+}
+
+// Video constraints for getUserMedia. An explicit resolution is requested
+// exactly, so an unsupported choice fails with an OverconstrainedError
+// instead of silently falling back.
+export const buildVideoConstraints = (deviceId, { orientation, resolution }) => {
+  const portrait = orientation === 'portrait'
+  const video = { deviceId: { exact: deviceId } }
+
+  if (resolution === 'auto') {
+    video.width = { ideal: portrait ? 720 : 1280 }
+    video.height = { ideal: portrait ? 1280 : 720 }
+    video.aspectRatio = { ideal: portrait ? 9 / 16 : 16 / 9 }
+  } else {
+    const { width, height } = parseResolution(resolution)
+    video.width = { exact: width }
+    video.height = { exact: height }
+  }
+  return { video }
+}
+
+// Source rectangle of the video frame to draw: the whole frame, or a centred
+// crop when the camera delivers landscape but portrait was asked for
+export const getFrameRect = (videoWidth, videoHeight, orientation) => {
+  if (orientation !== 'portrait' || videoHeight >= videoWidth) {
+    return { x: 0, y: 0, width: videoWidth, height: videoHeight }
+  }
+  const width = Math.round(videoHeight * PORTRAIT_RATIO)
+  return { x: Math.round((videoWidth - width) / 2), y: 0, width, height: videoHeight }
+}
+
+// Draw a video frame onto a canvas sized to getFrameRect, mirrored if asked
+export const drawVideoFrame = (ctx, video, rect, mirror) => {
+  const { width, height } = ctx.canvas
+  if (mirror) ctx.setTransform(-1, 0, 0, 1, width, 0)
+  ctx.drawImage(video, rect.x, rect.y, rect.width, rect.height, 0, 0, width, height)
+  if (mirror) ctx.setTransform(1, 0, 0, 1, 0, 0)
+}
+
+// Human-readable reason for a getUserMedia failure
+export const describeCameraError = (err, { orientation, resolution }) => {
+  if (err.name === 'OverconstrainedError') {
+    const wanted = resolution === 'auto' ? orientation : `${resolution.replace('x', '×')} ${orientation}`
+    const constraint = err.constraint ? ` (${err.constraint} not supported)` : ''
+    return `This camera can't provide ${wanted}${constraint}. Pick another resolution or "Auto".`
+  }
+  if (err.name === 'NotAllowedError') return 'Camera permission was denied.'
+  if (err.name === 'NotReadableError') return 'The camera is in use by another application.'
+  if (err.name === 'NotFoundError') return 'The selected camera was not found.'
+  return err.message
+}
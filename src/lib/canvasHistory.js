@@ -0,0 +1,36 @@
+// Undo/redo for a 2D canvas context, kept as ImageData snapshots.
+// onChange({ canUndo, canRedo }) fires whenever undo/redo availability changes.
+const HISTORY_LIMIT = 25
+
+export const createCanvasHistory = (ctx, onChange, limit = HISTORY_LIMIT) => {
+  const { width, height } = ctx.canvas
+  const undoStack = []
+  const redoStack = []
+
+  const notify = () => onChange?.({ canUndo: undoStack.length > 0, canRedo: redoStack.length > 0 })
+  const snapshot = () => ctx.getImageData(0, 0, width, height)
+
+  // Call before changing the canvas
+  const checkpoint = () => {
+    undoStack.push(snapshot())
+    if (undoStack.length > limit) undoStack.shift()
+    redoStack.length = 0
+    notify()
+  }
+
+  // Returns true when the canvas changed
+  const step = (from, to) => {
+    if (from.length === 0) return false
+    to.push(snapshot())
+    ctx.putImageData(from.pop(), 0, 0)
+    notify()
+    return true
+  }
+
+  return {
+    checkpoint,
+    undo: () => step(undoStack, redoStack),
+    redo: () => step(redoStack, undoStack),
+    notify
+  }
+}
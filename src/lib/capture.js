@@ -0,0 +1,77 @@
+// Webcam capture helpers: countdown and burst options, sharpness scoring for
+// burst frames and stillness detection for auto-capture.
+
+export const CAPTURE_DELAYS = [0, 3, 5, 10] // seconds
+export const BURST_SIZES = [1, 3, 5, 8] // frames, 1 = burst off
+export const BURST_INTERVAL = 120 // ms between burst frames
+
+export const DEFAULT_CAPTURE_OPTIONS = {
+  delay: 0,
+  burst: 1,
+  autoCapture: false,
+  stillSeconds: 2,
+  recordSideBySide: false // Recordings include the original next to the coloring view
+}
+
+// Average change per pixel (0-255) below which the scene counts as still;
+// a few levels above typical webcam sensor noise
+export const STILL_THRESHOLD = 3
+
+const MOTION_WIDTH = 64
+const MOTION_HEIGHT = 48
+
+// Sharpness as the variance of the Laplacian of an RGBA Mat: blurred,
+// motion-smeared or mid-blink frames score lower
+export const frameSharpness = (src, cv) => {
+  const gray = new cv.Mat()
+  const laplacian = new cv.Mat()
+  const mean = new cv.Mat()
+  const stddev = new cv.Mat()
+  try {
+    cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY)
+    cv.Laplacian(gray, laplacian, cv.CV_64F)
+    cv.meanStdDev(laplacian, mean, stddev)
+    return stddev.data64F[0] ** 2
+  } finally {
+    gray.delete()
+    laplacian.delete()
+    mean.delete()
+    stddev.delete()
+  }
+}
+
+// Compares each frame with the previous one on a small grayscale thumbnail.
+// measure(source) returns the mean absolute difference, or Infinity for the first frame.
+export const createMotionMeter = () => {
+  const canvas = document.createElement('canvas')
+  canvas.width = MOTION_WIDTH
+  canvas.height = MOTION_HEIGHT
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  let previous = null
+
+  const measure = (source) => {
+    ctx.drawImage(source, 0, 0, MOTION_WIDTH, MOTION_HEIGHT)
+    const { data } = ctx.getImageData(0, 0, MOTION_WIDTH, MOTION_HEIGHT)
+    const current = new Uint8Array(MOTION_WIDTH * MOTION_HEIGHT)
+    for (let i = 0; i < current.length; i++) {
+      const offset = i * 4
+      current[i] = (data[offset] * 299 + data[offset + 1] * 587 + data[offset + 2] * 114) / 1000
+    }
+
+    let motion = Infinity
+    if (previous) {
+      let total = 0
+      for (let i = 0; i < current.length; i++) total += Math.abs(current[i] - previous[i])
+      motion = total / current.length
+    }
+    previous = current
+    return motion
+  }
+
+  return {
+    measure,
+    reset: () => {
+      previous = null
+    }
+  }
+}
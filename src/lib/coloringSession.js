@@ -0,0 +1,138 @@
+// Digital coloring on a coloring page. The line art stays on its own layer and
+// is multiplied over a paint layer, so fills and brush strokes never cover the
+// black lines. Fill regions are computed from the line art, not from the paint.
+import { floodFillMask } from './floodFill.js'
+import { canvasToBlob } from './imageUtils.js'
+import { createCanvasHistory } from './canvasHistory.js'
+
+// Crayon-box colors offered in the palette
+export const COLORING_PALETTE = [
+  '#e53935', '#ff6b35', '#fdd835', '#7cb342', '#2e7d32', '#00acc1', '#1e88e5', '#3949ab',
+  '#8e24aa', '#ec407a', '#f8bbd0', '#8d6e63', '#5d4037', '#ffcc80', '#9e9e9e', '#212121'
+]
+
+const hexToRgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16)
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+}
+
+// canvas: visible <canvas>; image: loaded coloring page (<img> or canvas).
+// onHistoryChange({ canUndo, canRedo }) fires whenever undo/redo availability changes.
+export const createColoringSession = (canvas, image, { onHistoryChange } = {}) => {
+  const width = image.naturalWidth || image.width
+  const height = image.naturalHeight || image.height
+  canvas.width = width
+  canvas.height = height
+  const ctx = canvas.getContext('2d')
+
+  // Line layer on white, read once for fill boundaries
+  const lineCanvas = document.createElement('canvas')
+  lineCanvas.width = width
+  lineCanvas.height = height
+  const lineCtx = lineCanvas.getContext('2d', { willReadFrequently: true })
+  lineCtx.fillStyle = 'white'
+  lineCtx.fillRect(0, 0, width, height)
+  lineCtx.drawImage(image, 0, 0, width, height)
+  const lineData = lineCtx.getImageData(0, 0, width, height)
+
+  const paintCanvas = document.createElement('canvas')
+  paintCanvas.width = width
+  paintCanvas.height = height
+  const paintCtx = paintCanvas.getContext('2d', { willReadFrequently: true })
+
+  const history = createCanvasHistory(paintCtx, onHistoryChange)
+  let stroke = null
+
+  const render = () => {
+    ctx.globalCompositeOperation = 'source-over'
+    ctx.fillStyle = 'white'
+    ctx.fillRect(0, 0, width, height)
+    ctx.drawImage(paintCanvas, 0, 0)
+    ctx.globalCompositeOperation = 'multiply'
+    ctx.drawImage(lineCanvas, 0, 0)
+    ctx.globalCompositeOperation = 'source-over'
+  }
+
+  // Map a pointer event to canvas pixels (the canvas is scaled by CSS)
+  const toCanvasPoint = (event) => {
+    const rect = canvas.getBoundingClientRect()
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * width,
+      y: ((event.clientY - rect.top) / rect.height) * height
+    }
+  }
+
+  const fill = ({ x, y }, color, tolerance) => {
+    const mask = floodFillMask(lineData, x, y, tolerance)
+    history.checkpoint()
+
+    const [r, g, b] = hexToRgb(color)
+    const paint = paintCtx.getImageData(0, 0, width, height)
+    for (let i = 0; i < mask.length; i++) {
+      if (!mask[i]) continue
+      const offset = i * 4
+      paint.data[offset] = r
+      paint.data[offset + 1] = g
+      paint.data[offset + 2] = b
+      paint.data[offset + 3] = 255
+    }
+    paintCtx.putImageData(paint, 0, 0)
+    render()
+  }
+
+  // Brush or eraser stroke: start, extend with each pointer move, then end
+  const startStroke = (point, { color, size, erase }) => {
+    history.checkpoint()
+    stroke = point
+    paintCtx.globalCompositeOperation = erase ? 'destination-out' : 'source-over'
+    paintCtx.strokeStyle = color
+    paintCtx.fillStyle = color
+    paintCtx.lineWidth = size
+    paintCtx.lineCap = 'round'
+    paintCtx.lineJoin = 'round'
+
+    // A tap leaves a dot
+    paintCtx.beginPath()
+    paintCtx.arc(point.x, point.y, size / 2, 0, Math.PI * 2)
+    paintCtx.fill()
+    render()
+  }
+
+  const continueStroke = (point) => {
+    if (!stroke) return
+    paintCtx.beginPath()
+    paintCtx.moveTo(stroke.x, stroke.y)
+    paintCtx.lineTo(point.x, point.y)
+    paintCtx.stroke()
+    stroke = point
+    render()
+  }
+
+  const endStroke = () => {
+    stroke = null
+    paintCtx.globalCompositeOperation = 'source-over'
+  }
+
+  const undo = () => {
+    if (history.undo()) render()
+  }
+
+  const redo = () => {
+    if (history.redo()) render()
+  }
+
+  render()
+  history.notify()
+
+  return {
+    toCanvasPoint,
+    fill,
+    startStroke,
+    continueStroke,
+    endStroke,
+    undo,
+    redo,
+    isStroking: () => stroke !== null,
+    toBlob: () => canvasToBlob(canvas)
+  }
+}
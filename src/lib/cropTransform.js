@@ -0,0 +1,129 @@
+// Crop / rotate / straighten / flip for photos before conversion. Crop
+// rectangles are normalized (0-1) to the transformed image, so they survive
+// re-rendering the preview at a different resolution.
+
+// ratio is width / height in pixels; null means free, 'original' keeps the photo's ratio
+export const ASPECT_PRESETS = [
+  { value: 'free', label: 'Free', ratio: null },
+  { value: 'original', label: 'Original', ratio: 'original' },
+  { value: 'page', label: 'Page (portrait)', ratio: 210 / 297 },
+  { value: 'page-landscape', label: 'Page (landscape)', ratio: 297 / 210 },
+  { value: 'square', label: 'Square', ratio: 1 }
+]
+
+export const DEFAULT_TRANSFORM = {
+  rotation: 0, // quarter turns clockwise, 0-3
+  straighten: 0, // degrees, -15 to 15
+  flipH: false,
+  flipV: false
+}
+
+export const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 }
+
+const MIN_CROP = 0.05 // Smallest crop side, as a fraction of the image
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+// Size of the image after the transform; straightening enlarges the bounding box
+export const getTransformedSize = (width, height, { rotation, straighten }) => {
+  const angle = (rotation * 90 + straighten) * Math.PI / 180
+  const cos = Math.abs(Math.cos(angle))
+  const sin = Math.abs(Math.sin(angle))
+  return {
+    width: Math.round(width * cos + height * sin),
+    height: Math.round(width * sin + height * cos)
+  }
+}
+
+// Draw the transformed image (uncropped) on a new canvas, on white so the
+// corners uncovered by straightening come out blank. maxSize limits the
+// longer side, for previews.
+export const renderTransformed = (img, transform, maxSize = Infinity) => {
+  const sourceWidth = img.naturalWidth || img.width
+  const sourceHeight = img.naturalHeight || img.height
+  const size = getTransformedSize(sourceWidth, sourceHeight, transform)
+  const scale = Math.min(1, maxSize / Math.max(size.width, size.height))
+
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(size.width * scale))
+  canvas.height = Math.max(1, Math.round(size.height * scale))
+  const ctx = canvas.getContext('2d')
+  ctx.fillStyle = 'white'
+  ctx.fillRect(0, 0, canvas.width, canvas.height)
+  ctx.translate(canvas.width / 2, canvas.height / 2)
+  ctx.rotate((transform.rotation * 90 + transform.straighten) * Math.PI / 180)
+  ctx.scale(transform.flipH ? -scale : scale, transform.flipV ? -scale : scale)
+  ctx.drawImage(img, -sourceWidth / 2, -sourceHeight / 2, sourceWidth, sourceHeight)
+  return canvas
+}
+
+// Width / height of a crop rect in normalized units for a pixel ratio
+export const normalizedAspect = (ratio, width, height) => (ratio ? ratio * height / width : null)
+
+// Largest centred crop with the given pixel ratio (or the whole image for free)
+export const aspectCrop = (ratio, width, height) => {
+  const aspect = normalizedAspect(ratio, width, height)
+  if (!aspect) return FULL_CROP
+  const cropWidth = aspect >= 1 ? 1 : aspect
+  const cropHeight = aspect >= 1 ? 1 / aspect : 1
+  return { x: (1 - cropWidth) / 2, y: (1 - cropHeight) / 2, width: cropWidth, height: cropHeight }
+}
+
+// New crop after dragging `handle` ('move', 'nw', 'ne', 'sw' or 'se') by
+// (dx, dy) normalized units from `rect`. aspect is the locked normalized
+// width / height, or null.
+export const dragCrop = (rect, handle, dx, dy, aspect) => {
+  if (handle === 'move') {
+    return {
+      ...rect,
+      x: clamp(rect.x + dx, 0, 1 - rect.width),
+      y: clamp(rect.y + dy, 0, 1 - rect.height)
+    }
+  }
+
+  // The opposite corner stays put
+  const west = handle.includes('w')
+  const north = handle.includes('n')
+  const anchorX = west ? rect.x + rect.width : rect.x
+  const anchorY = north ? rect.y + rect.height : rect.y
+  const maxWidth = west ? anchorX : 1 - anchorX
+  const maxHeight = north ? anchorY : 1 - anchorY
+
+  let width = clamp(rect.width + (west ? -dx : dx), MIN_CROP, maxWidth)
+  let height = clamp(rect.height + (north ? -dy : dy), MIN_CROP, maxHeight)
+  if (aspect) {
+    // Follow the larger movement, then shrink to fit the space left
+    if (Math.abs(dx) >= Math.abs(dy)) height = width / aspect
+    else width = height * aspect
+    if (height > maxHeight) {
+      height = maxHeight
+      width = height * aspect
+    }
+    if (width > maxWidth) {
+      width = maxWidth
+      height = width / aspect
+    }
+  }
+
+  return {
+    x: west ? anchorX - width : anchorX,
+    y: north ? anchorY - height : anchorY,
+    width,
+    height
+  }
+}
+
+// Full-resolution result: the transformed image cut to the crop rect
+export const applyCropTransform = (img, transform, crop) => {
+  const transformed = renderTransformed(img, transform)
+  const x = Math.round(crop.x * transformed.width)
+  const y = Math.round(crop.y * transformed.height)
+  const width = Math.max(1, Math.round(crop.width * transformed.width))
+  const height = Math.max(1, Math.round(crop.height * transformed.height))
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  canvas.getContext('2d').drawImage(transformed, x, y, width, height, 0, 0, width, height)
+  return canvas
+}
@@ -0,0 +1,99 @@
+// Shared IndexedDB connection. Every object store the app uses is created here
+// so version upgrades stay in one place.
+const DB_NAME = 'image2coloring'
+const DB_VERSION = 2
+
+export const GALLERY_STORE = 'gallery'
+export const AI_CACHE_STORE = 'aiCache' // since version 2
+
+let dbPromise = null
+
+export const isIndexedDbSupported = () => typeof indexedDB !== 'undefined'
+
+// Wrap an IDBRequest in a promise
+export const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+// Resolve once a transaction commits (or reject with its error, e.g. QuotaExceededError)
+export const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve()
+  tx.onerror = () => reject(tx.error)
+  tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'))
+})
+
+export const openDatabase = () => {
+  if (dbPromise) return dbPromise
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(GALLERY_STORE)) {
+        const store = db.createObjectStore(GALLERY_STORE, { keyPath: 'id' })
+        store.createIndex('timestamp', 'timestamp')
+      }
+      if (!db.objectStoreNames.contains(AI_CACHE_STORE)) {
+        const store = db.createObjectStore(AI_CACHE_STORE, { keyPath: 'key' })
+        store.createIndex('lastUsed', 'lastUsed')
+      }
+    }
+
+    request.onsuccess = () => {
+      const db = request.result
+      // Another tab upgraded the schema; drop this connection so it isn't blocked
+      db.onversionchange = () => {
+        db.close()
+        dbPromise = null
+      }
+      resolve(db)
+    }
+    request.onerror = () => {
+      dbPromise = null
+      reject(request.error)
+    }
+    request.onblocked = () => {
+      dbPromise = null
+      reject(new Error('Database upgrade blocked by another open tab'))
+    }
+  })
+  return dbPromise
+}
+
+export const isQuotaError = (err) =>
+  err?.name === 'QuotaExceededError' || err?.code === 22 || err?.inner?.name === 'QuotaExceededError'
+
+// { usage, quota } in bytes, or null when the browser can't tell
+export const getStorageEstimate = async () => {
+  if (!navigator.storage?.estimate) return null
+  try {
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate()
+    return { usage, quota }
+  } catch {
+    return null
+  }
+}
+
+// Ask the browser not to evict our data under storage pressure
+export const requestPersistentStorage = async () => {
+  if (!navigator.storage?.persist) return false
+  try {
+    return (await navigator.storage.persisted()) || (await navigator.storage.persist())
+  } catch {
+    return false
+  }
+}
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`
+  const units = ['KB', 'MB', 'GB', 'TB']
+  let value = bytes / 1024
+  let unit = 0
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024
+    unit++
+  }
+  return `${value < 10 ? value.toFixed(1) : Math.round(value)} ${units[unit]}`
+}
@@ -0,0 +1,78 @@
+// Scanline flood fill over RGBA pixel data, used by the coloring mode.
+// Works on plain { data, width, height } objects so it runs anywhere.
+
+// Pixels darker than this are line cores; the fill never grows into them
+const LINE_LUMINANCE = 96
+
+const luminance = (data, offset) =>
+  (data[offset] * 299 + data[offset + 1] * 587 + data[offset + 2] * 114) / 1000
+
+// Mask (1 = inside) of the region connected to (x, y) whose colors are within
+// `tolerance` (0-255 per channel) of the seed pixel. `expand` grows the region
+// by that many pixels into anti-aliased line edges so no pale halo is left.
+export const floodFillMask = ({ data, width, height }, x, y, tolerance = 32, expand = 1) => {
+  const mask = new Uint8Array(width * height)
+  x = Math.floor(x)
+  y = Math.floor(y)
+  if (x < 0 || y < 0 || x >= width || y >= height) return mask
+
+  const seed = (y * width + x) * 4
+  const r = data[seed]
+  const g = data[seed + 1]
+  const b = data[seed + 2]
+  const matches = (index) => {
+    const offset = index * 4
+    return !mask[index] &&
+      Math.abs(data[offset] - r) <= tolerance &&
+      Math.abs(data[offset + 1] - g) <= tolerance &&
+      Math.abs(data[offset + 2] - b) <= tolerance
+  }
+
+  const stack = [x, y]
+  while (stack.length > 0) {
+    const sy = stack.pop()
+    const sx = stack.pop()
+    const row = sy * width
+    if (!matches(row + sx)) continue
+
+    // Walk left and right to the ends of this run
+    let left = sx
+    while (left > 0 && matches(row + left - 1)) left--
+    let right = sx
+    while (right < width - 1 && matches(row + right + 1)) right++
+
+    for (let px = left; px <= right; px++) mask[row + px] = 1
+
+    // Queue the start of every matching run above and below
+    for (const ny of [sy - 1, sy + 1]) {
+      if (ny < 0 || ny >= height) continue
+      const nrow = ny * width
+      let inRun = false
+      for (let px = left; px <= right; px++) {
+        if (matches(nrow + px)) {
+          if (!inRun) stack.push(px, ny)
+          inRun = true
+        } else {
+          inRun = false
+        }
+      }
+    }
+  }
+
+  for (let pass = 0; pass < expand; pass++) {
+    const grown = []
+    for (let py = 0; py < height; py++) {
+      for (let px = 0; px < width; px++) {
+        const index = py * width + px
+        if (mask[index] || luminance(data, index * 4) < LINE_LUMINANCE) continue
+        if ((px > 0 && mask[index - 1]) || (px < width - 1 && mask[index + 1]) ||
+            (py > 0 && mask[index - width]) || (py < height - 1 && mask[index + width])) {
+          grown.push(index)
+        }
+      }
+    }
+    for (const index of grown) mask[index] = 1
+  }
+
+  return mask
+}
@@ -0,0 +1,58 @@
+// Main-thread side of lineArt.worker.js: hands frames to the worker as
+// transferable ImageBitmaps and drops new frames while one is in flight
+
+export const isWorkerSupported = () =>
+  typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof createImageBitmap === 'function'
+
+export const createLineArtWorker = ({ onReady, onFrame, onError }) => {
+  const worker = new Worker(new URL('./lineArt.worker.js', import.meta.url), { type: 'module' })
+  let ready = false
+  let busy = false
+
+  worker.onmessage = (event) => {
+    const { type, bitmap, message, fatal } = event.data
+
+    if (type === 'ready') {
+      ready = true
+      onReady?.()
+    } else if (type === 'frame') {
+      busy = false
+      onFrame(bitmap)
+    } else if (type === 'error') {
+      busy = false
+      if (fatal) ready = false
+      onError?.(message, fatal)
+    }
+  }
+
+  worker.onerror = (event) => {
+    busy = false
+    ready = false
+    onError?.(event.message || 'Worker failed to start', true)
+  }
+
+  // Send a frame (video, canvas or image) for processing.
+  // Resolves to false if the frame was dropped because the worker is busy.
+  const submit = async (source, params) => {
+    if (!ready || busy) return false
+    busy = true
+
+    try {
+      const bitmap = await createImageBitmap(source)
+      worker.postMessage({ type: 'frame', bitmap, params }, [bitmap])
+      return true
+    } catch (err) {
+      busy = false
+      onError?.(err.message, false)
+      return false
+    }
+  }
+
+  return {
+    submit,
+    isReady: () => ready,
+    terminate: () => worker.terminate()
+  }
+}
@@ -0,0 +1,62 @@
+// Gallery persistence. Items are stored with their image as a Blob; the `data`
+// field used for display is an object URL that only lives in memory.
+import { GALLERY_STORE, openDatabase, requestToPromise, transactionDone } from './db.js'
+
+// Display names for item types
+export const GALLERY_ITEM_LABELS = {
+  original: 'Original',
+  coloring: 'Coloring Book',
+  video: 'Video'
+}
+
+// Still pictures, as opposed to recordings: printable and usable as book pages or AI input
+export const isImageItem = (item) => item.type !== 'video'
+
+// Strip in-memory fields before writing to IndexedDB
+const toRecord = ({ data, unsaved, ...record }) => record
+
+// Attach an object URL to a stored record so <img> can display it
+export const toGalleryItem = (record) => ({
+  ...record,
+  data: URL.createObjectURL(record.blob)
+})
+
+export const releaseGalleryItems = (items) => {
+  for (const item of items) {
+    if (item.data?.startsWith('blob:')) URL.revokeObjectURL(item.data)
+  }
+}
+
+// All stored items, newest first
+export const loadGalleryItems = async () => {
+  const db = await openDatabase()
+  const records = await requestToPromise(
+    db.transaction(GALLERY_STORE, 'readonly').objectStore(GALLERY_STORE).getAll()
+  )
+  return records
+    .filter(record => record.blob instanceof Blob)
+    .sort((a, b) => b.timestamp - a.timestamp)
+}
+
+export const saveGalleryItems = async (items) => {
+  const db = await openDatabase()
+  const tx = db.transaction(GALLERY_STORE, 'readwrite')
+  const store = tx.objectStore(GALLERY_STORE)
+  for (const item of items) store.put(toRecord(item))
+  await transactionDone(tx)
+}
+
+export const deleteGalleryItems = async (ids) => {
+  const db = await openDatabase()
+  const tx = db.transaction(GALLERY_STORE, 'readwrite')
+  const store = tx.objectStore(GALLERY_STORE)
+  for (const id of ids) store.delete(id)
+  await transactionDone(tx)
+}
+
+export const clearGalleryStore = async () => {
+  const db = await openDatabase()
+  const tx = db.transaction(GALLERY_STORE, 'readwrite')
+  tx.objectStore(GALLERY_STORE).clear()
+  await transactionDone(tx)
+}
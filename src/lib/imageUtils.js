@@ -0,0 +1,80 @@
+// Browser helpers for moving images between Blobs, data URLs, <img>, canvas and OpenCV
+import { renderLineArt } from './lineArt.js'
+
+// Largest side used when converting photos, roughly the webcam resolution so
+// slider values behave the same on uploads as on the live view
+export const CONVERT_MAX_SIZE = 1280
+
+// Paint by number works per pixel in JS, so it runs on a smaller copy
+export const PBN_MAX_SIZE = 900
+
+// Load a data/object URL into an HTMLImageElement
+export const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image()
+  img.onload = () => resolve(img)
+  img.onerror = () => reject(new Error('Failed to load image'))
+  img.src = src
+})
+
+// Draw an image onto a new canvas, downscaling so neither side exceeds maxSize
+export const imageToCanvas = (img, maxSize = Infinity) => {
+  const sourceWidth = img.naturalWidth || img.videoWidth || img.width
+  const sourceHeight = img.naturalHeight || img.videoHeight || img.height
+  const scale = Math.min(1, maxSize / Math.max(sourceWidth, sourceHeight))
+
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(sourceWidth * scale)
+  canvas.height = Math.round(sourceHeight * scale)
+  canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height)
+  return canvas
+}
+
+// Run the line-art pipeline on a canvas and draw the result onto another canvas
+export const renderLineArtToCanvas = (source, target, params, cv = window.cv) => {
+  const src = cv.imread(source)
+  let dst = null
+  try {
+    dst = renderLineArt(src, params, cv)
+    cv.imshow(target, dst)
+  } finally {
+    src.delete()
+    dst?.delete()
+  }
+}
+
+export const canvasToBlob = (canvas, type = 'image/png', quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(
+    blob => (blob ? resolve(blob) : reject(new Error('Failed to encode canvas'))),
+    type,
+    quality
+  )
+})
+
+export const dataUrlToBlob = async (dataUrl) => (await fetch(dataUrl)).blob()
+
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.onerror = () => reject(reader.error || new Error('Failed to read image'))
+  reader.readAsDataURL(blob)
+})
+
+// Base64 payload and mime type for APIs that take inline image data
+export const blobToBase64 = async (blob) => {
+  const dataUrl = await blobToDataUrl(blob)
+  return { mimeType: blob.type || 'image/png', data: dataUrl.split(',')[1] }
+}
+
+// File extension for a saved image, e.g. image/jpeg -> jpg
+export const extensionForMimeType = (type) => ({
+  'image/jpeg': 'jpg',
+  'image/svg+xml': 'svg'
+}[type] || type?.split('/')[1] || 'png')
+
+// Trigger a browser download for a data or object URL
+export const downloadUrl = (url, filename) => {
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.click()
+}
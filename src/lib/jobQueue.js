@@ -0,0 +1,153 @@
+// Background queue for AI jobs: runs up to `concurrency` jobs at once, retries
+// rate-limit and server errors with exponential backoff, and lets any job be
+// cancelled through its AbortController. Framework-free; the app mirrors the
+// job list into React state through onChange.
+//
+// Job statuses: queued -> running -> (retrying -> running)* -> done | error | cancelled
+
+export const MAX_CONCURRENCY = 4
+export const DEFAULT_RETRIES = 3
+const BASE_DELAY = 2000 // ms before the first retry, doubled each time
+const MAX_DELAY = 60000
+
+export const ACTIVE_JOB_STATUSES = ['queued', 'running', 'retrying']
+
+export const isJobActive = (job) => ACTIVE_JOB_STATUSES.includes(job.status)
+
+// Backoff before retry `attempt` (1-based): 2s, 4s, 8s... with up to 20% jitter.
+// A server-sent Retry-After wins when it is longer.
+export const getRetryDelay = (attempt, error) => {
+  const backoff = Math.min(MAX_DELAY, BASE_DELAY * 2 ** (attempt - 1))
+  const delay = backoff + Math.random() * backoff * 0.2
+  return Math.max(delay, Math.min(MAX_DELAY, error?.retryAfter || 0))
+}
+
+// Resolves after `ms`, or rejects as soon as the signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    signal.removeEventListener('abort', onAbort)
+    resolve()
+  }, ms)
+  const onAbort = () => {
+    clearTimeout(timer)
+    reject(signal.reason)
+  }
+  signal.addEventListener('abort', onAbort, { once: true })
+})
+
+const isAbort = (error, signal) => signal.aborted || error?.name === 'AbortError'
+
+/**
+ * @param {object} options
+ * @param {number} [options.concurrency] - Jobs running at once.
+ * @param {number} [options.retries] - Retries per job after the first attempt.
+ * @param {(jobs: object[]) => void} [options.onChange] - Called with a fresh copy
+ *   of the job list after every change.
+ */
+export const createJobQueue = ({ concurrency = 2, retries = DEFAULT_RETRIES, onChange = () => {} } = {}) => {
+  let jobs = []
+  let limit = concurrency
+  let nextId = 1
+  const controllers = new Map()
+  const runners = new Map()
+
+  const notify = () => onChange(jobs.map(job => ({ ...job })))
+
+  const update = (id, changes) => {
+    jobs = jobs.map(job => (job.id === id ? { ...job, ...changes } : job))
+    notify()
+  }
+
+  const find = (id) => jobs.find(job => job.id === id)
+
+  const execute = async (job, run) => {
+    const controller = controllers.get(job.id)
+    const { signal } = controller
+    const report = (progress, stage) => {
+      if (!signal.aborted) update(job.id, { progress, ...(stage && { stage }) })
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      update(job.id, { status: 'running', attempt, retryAt: null })
+      try {
+        const result = await run({ signal, report, attempt })
+        if (signal.aborted) throw signal.reason
+        update(job.id, { status: 'done', progress: 100, result, finishedAt: Date.now() })
+        return
+      } catch (error) {
+        if (isAbort(error, signal)) {
+          update(job.id, { status: 'cancelled', finishedAt: Date.now() })
+          return
+        }
+        if (!error?.retryable || attempt >= retries) {
+          update(job.id, { status: 'error', error: error?.message || String(error), finishedAt: Date.now() })
+          return
+        }
+        const delay = getRetryDelay(attempt + 1, error)
+        update(job.id, { status: 'retrying', error: error.message, retryAt: Date.now() + delay })
+        try {
+          await sleep(delay, signal)
+        } catch {
+          update(job.id, { status: 'cancelled', finishedAt: Date.now() })
+          return
+        }
+      }
+    }
+  }
+
+  // Start queued jobs while there are free slots
+  const pump = () => {
+    let running = jobs.filter(job => job.status === 'running' || job.status === 'retrying').length
+    for (const job of jobs) {
+      if (running >= limit) break
+      if (job.status !== 'queued') continue
+      running++
+      const run = runners.get(job.id)
+      runners.delete(job.id)
+      execute(job, run).finally(() => {
+        controllers.delete(job.id)
+        pump()
+      })
+    }
+  }
+
+  return {
+    // Queue a job. run({ signal, report, attempt }) does the work and resolves
+    // to the job's result; report(progress, stage) updates its progress (0-100).
+    // meta is stored on the job as-is. Returns the job id.
+    add: (run, meta = {}) => {
+      const id = `job-${nextId++}`
+      controllers.set(id, new AbortController())
+      runners.set(id, run)
+      jobs = [...jobs, { id, status: 'queued', progress: 0, stage: null, attempt: 0, createdAt: Date.now(), ...meta }]
+      notify()
+      pump()
+      return id
+    },
+
+    cancel: (id) => {
+      const job = find(id)
+      if (!job || !isJobActive(job)) return
+      if (job.status === 'queued') {
+        runners.delete(id)
+        controllers.delete(id)
+        update(id, { status: 'cancelled', finishedAt: Date.now() })
+        return
+      }
+      controllers.get(id)?.abort(new DOMException('Job cancelled', 'AbortError'))
+    },
+
+    // Forget finished jobs (all of them when no id is given)
+    dismiss: (id) => {
+      jobs = jobs.filter(job => isJobActive(job) || (id !== undefined && job.id !== id))
+      notify()
+    },
+
+    setConcurrency: (value) => {
+      limit = Math.max(1, Math.min(MAX_CONCURRENCY, value))
+      pump()
+    },
+
+    get: find
+  }
+}
@@ -0,0 +1,288 @@
+// Line-art pipeline shared by the live view, uploads and offline scripts.
+//
+// Everything here works on OpenCV Mats only - no React, no DOM canvas - so the
+// same code runs in the browser, in a worker, or in Node with opencv wasm.
+
+// Line detectors selectable in the sidebar
+export const LINE_METHODS = [
+  { value: 'adaptive', label: 'Adaptive Threshold', hint: 'Balanced default for most photos' },
+  { value: 'canny', label: 'Canny Edges', hint: 'Clean outlines, good for buildings and objects' },
+  { value: 'sobel', label: 'Sobel Magnitude', hint: 'Strong gradients only, bold silhouettes' },
+  { value: 'laplacian', label: 'Laplacian Magnitude', hint: 'Fine detail such as fur and hair' },
+  { value: 'xdog', label: 'XDoG (Pen Drawing)', hint: 'Soft, hand-inked look for faces and pets' }
+]
+
+// Default sidebar parameters (all optional filters disabled)
+export const DEFAULT_PARAMS = {
+  // Line detection method (see LINE_METHODS)
+  lineMethod: 'adaptive',
+  // Bilateral filter
+  bilateralD: 9,
+  bilateralSigmaColor: 75,
+  bilateralSigmaSpace: 75,
+  // Median Blur
+  medianBlurKsize: 5,
+  // Gaussian Blur
+  gaussianBlurKsize: 5,
+  gaussianSigma: 0,
+  // Adaptive threshold
+  thresholdBlockSize: 25,
+  thresholdC: 10,
+  // Canny
+  cannyLow: 50,
+  cannyHigh: 150,
+  // Sobel / Laplacian magnitude
+  edgeKsize: 3,
+  edgeThreshold: 40,
+  // XDoG
+  xdogSigma: 0.8,
+  xdogK: 1.6,
+  xdogP: 20,
+  xdogEpsilon: 0.1,
+  xdogPhi: 10,
+  // Morphological operations
+  kernelSize: 3,
+  dilationIterations: 2,
+  erosionIterations: 1,
+  // Processing toggles - all disabled by default
+  useBilateralFilter: false,
+  useMedianBlur: false,
+  useGaussianBlur: false,
+  useMorphClose: false,
+  useDilation: false,
+  useErosion: false
+}
+
+// Slider bounds of each numeric parameter; steps of 2 from an odd minimum keep
+// kernel sizes odd. Imported presets are clamped to these too.
+export const PARAM_RANGES = {
+  bilateralD: { min: 3, max: 15, step: 2 },
+  bilateralSigmaColor: { min: 10, max: 150, step: 5 },
+  bilateralSigmaSpace: { min: 10, max: 150, step: 5 },
+  medianBlurKsize: { min: 3, max: 15, step: 2 },
+  gaussianBlurKsize: { min: 3, max: 15, step: 2 },
+  gaussianSigma: { min: 0, max: 10, step: 0.5 },
+  thresholdBlockSize: { min: 3, max: 51, step: 2 },
+  thresholdC: { min: 0, max: 30, step: 1 },
+  cannyLow: { min: 0, max: 255, step: 5 },
+  cannyHigh: { min: 0, max: 255, step: 5 },
+  edgeKsize: { min: 1, max: 7, step: 2 },
+  edgeThreshold: { min: 5, max: 200, step: 5 },
+  xdogSigma: { min: 0.3, max: 3, step: 0.1 },
+  xdogK: { min: 1.1, max: 3, step: 0.1 },
+  xdogP: { min: 1, max: 50, step: 1 },
+  xdogEpsilon: { min: -0.2, max: 1, step: 0.05 },
+  xdogPhi: { min: 1, max: 100, step: 1 },
+  kernelSize: { min: 1, max: 9, step: 2 },
+  dilationIterations: { min: 1, max: 5, step: 1 },
+  erosionIterations: { min: 1, max: 5, step: 1 }
+}
+
+// OpenCV kernel sizes must be odd
+const toOdd = (value) => (value % 2 === 0 ? value + 1 : value)
+
+// Convert any 1/3/4 channel Mat to a new grayscale Mat
+export const toGray = (src, cv = globalThis.cv) => {
+  const gray = new cv.Mat()
+  const channels = src.channels()
+  if (channels === 4) {
+    cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY)
+  } else if (channels === 3) {
+    cv.cvtColor(src, gray, cv.COLOR_RGB2GRAY)
+  } else {
+    src.copyTo(gray)
+  }
+  return gray
+}
+
+// Optional noise reduction filters, applied in sidebar order
+const reduceNoise = (gray, params, cv) => {
+  let processed = gray.clone()
+
+  // Bilateral filter - reduces noise but keeps edges sharp
+  if (params.useBilateralFilter) {
+    const bilateral = new cv.Mat()
+    cv.bilateralFilter(
+      processed,
+      bilateral,
+      params.bilateralD,
+      params.bilateralSigmaColor,
+      params.bilateralSigmaSpace
+    )
+    processed.delete()
+    processed = bilateral
+  }
+
+  // Median Blur - removes salt-and-pepper noise
+  if (params.useMedianBlur) {
+    const median = new cv.Mat()
+    cv.medianBlur(processed, median, toOdd(params.medianBlurKsize))
+    processed.delete()
+    processed = median
+  }
+
+  // Gaussian Blur - smooth noise reduction
+  if (params.useGaussianBlur) {
+    const gaussian = new cv.Mat()
+    const ksize = toOdd(params.gaussianBlurKsize)
+    cv.GaussianBlur(processed, gaussian, new cv.Size(ksize, ksize), params.gaussianSigma)
+    processed.delete()
+    processed = gaussian
+  }
+
+  return processed
+}
+
+// Closing, erosion and dilation on the thresholded image
+const refineLines = (binary, params, cv) => {
+  const kernel = cv.getStructuringElement(
+    cv.MORPH_ELLIPSE,
+    new cv.Size(params.kernelSize, params.kernelSize)
+  )
+
+  let result = new cv.Mat()
+  if (params.useMorphClose) {
+    cv.morphologyEx(binary, result, cv.MORPH_CLOSE, kernel)
+  } else {
+    binary.copyTo(result)
+  }
+
+  if (params.useErosion) {
+    const eroded = new cv.Mat()
+    cv.erode(result, eroded, kernel, new cv.Point(-1, -1), params.erosionIterations)
+    result.delete()
+    result = eroded
+  }
+
+  if (params.useDilation) {
+    const dilated = new cv.Mat()
+    cv.dilate(result, dilated, kernel, new cv.Point(-1, -1), params.dilationIterations)
+    result.delete()
+    result = dilated
+  }
+
+  kernel.delete()
+  return result
+}
+
+// Adaptive threshold for coloring book effect (blockSize must be odd and >= 3)
+const detectAdaptive = (gray, params, cv) => {
+  const lines = new cv.Mat()
+  cv.adaptiveThreshold(
+    gray,
+    lines,
+    255,
+    cv.ADAPTIVE_THRESH_GAUSSIAN_C,
+    cv.THRESH_BINARY,
+    Math.max(3, toOdd(params.thresholdBlockSize)),
+    params.thresholdC
+  )
+  return lines
+}
+
+// Canny gives white edges on black, invert to black lines on white
+const detectCanny = (gray, params, cv) => {
+  const edges = new cv.Mat()
+  const lines = new cv.Mat()
+  cv.Canny(gray, edges, params.cannyLow, params.cannyHigh)
+  cv.bitwise_not(edges, lines)
+  edges.delete()
+  return lines
+}
+
+// Threshold an 8-bit gradient magnitude so strong edges become black lines
+const magnitudeToLines = (magnitude, params, cv) => {
+  const lines = new cv.Mat()
+  cv.threshold(magnitude, lines, params.edgeThreshold, 255, cv.THRESH_BINARY_INV)
+  return lines
+}
+
+const detectSobel = (gray, params, cv) => {
+  const ksize = toOdd(params.edgeKsize)
+  const dx = new cv.Mat()
+  const dy = new cv.Mat()
+  const magnitude = new cv.Mat()
+  const magnitude8 = new cv.Mat()
+  cv.Sobel(gray, dx, cv.CV_32F, 1, 0, ksize)
+  cv.Sobel(gray, dy, cv.CV_32F, 0, 1, ksize)
+  cv.magnitude(dx, dy, magnitude)
+  cv.convertScaleAbs(magnitude, magnitude8)
+  const lines = magnitudeToLines(magnitude8, params, cv)
+  dx.delete()
+  dy.delete()
+  magnitude.delete()
+  magnitude8.delete()
+  return lines
+}
+
+const detectLaplacian = (gray, params, cv) => {
+  const laplacian = new cv.Mat()
+  const magnitude8 = new cv.Mat()
+  cv.Laplacian(gray, laplacian, cv.CV_16S, toOdd(params.edgeKsize))
+  cv.convertScaleAbs(laplacian, magnitude8)
+  const lines = magnitudeToLines(magnitude8, params, cv)
+  laplacian.delete()
+  magnitude8.delete()
+  return lines
+}
+
+// Extended Difference of Gaussians (Winnemoller et al.) for a pen-drawn look:
+// S = (1 + p) * G(sigma) - p * G(k * sigma), soft-thresholded with tanh
+const detectXDoG = (gray, params, cv) => {
+  const normalized = new cv.Mat()
+  const narrow = new cv.Mat()
+  const wide = new cv.Mat()
+  const sharpened = new cv.Mat()
+  gray.convertTo(normalized, cv.CV_32F, 1 / 255)
+  cv.GaussianBlur(normalized, narrow, new cv.Size(0, 0), params.xdogSigma)
+  cv.GaussianBlur(normalized, wide, new cv.Size(0, 0), params.xdogSigma * params.xdogK)
+  cv.addWeighted(narrow, 1 + params.xdogP, wide, -params.xdogP, 0, sharpened)
+
+  const lines = new cv.Mat(gray.rows, gray.cols, cv.CV_8UC1)
+  const input = sharpened.data32F
+  const output = lines.data
+  for (let i = 0; i < input.length; i++) {
+    const value = input[i] >= params.xdogEpsilon
+      ? 1
+      : 1 + Math.tanh(params.xdogPhi * (input[i] - params.xdogEpsilon))
+    output[i] = Math.max(0, Math.min(255, Math.round(value * 255)))
+  }
+
+  normalized.delete()
+  narrow.delete()
+  wide.delete()
+  sharpened.delete()
+  return lines
+}
+
+const DETECTORS = {
+  adaptive: detectAdaptive,
+  canny: detectCanny,
+  sobel: detectSobel,
+  laplacian: detectLaplacian,
+  xdog: detectXDoG
+}
+
+/**
+ * Render coloring-book line art from a source image.
+ *
+ * @param {cv.Mat} src - RGBA, RGB or grayscale image. Not modified.
+ * @param {object} params - Same shape as the sidebar `params` state.
+ * @param {object} [cv] - OpenCV module, defaults to the global `cv`.
+ * @returns {cv.Mat} New single-channel Mat, black lines on white. Caller deletes it.
+ */
+export const renderLineArt = (src, params = DEFAULT_PARAMS, cv = globalThis.cv) => {
+  const settings = { ...DEFAULT_PARAMS, ...params }
+
+  const gray = toGray(src, cv)
+  const blurred = reduceNoise(gray, settings, cv)
+  gray.delete()
+
+  const detect = DETECTORS[settings.lineMethod] || detectAdaptive
+  const lines = detect(blurred, settings, cv)
+  blurred.delete()
+
+  const result = refineLines(lines, settings, cv)
+  lines.delete()
+  return result
+}
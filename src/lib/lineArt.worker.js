@@ -0,0 +1,98 @@
+// Web Worker that runs the line-art pipeline off the main thread.
+//
+// Protocol:
+//   in:  { type: 'frame', bitmap: ImageBitmap, params }   (bitmap is transferred)
+//   out: { type: 'ready' }
+//        { type: 'frame', bitmap: ImageBitmap }            (bitmap is transferred)
+//        { type: 'error', message, fatal }
+import { renderLineArt } from './lineArt.js'
+
+// Keep in sync with the <script> tag in index.html
+const OPENCV_URL = 'https://cdn.jsdelivr.net/npm/opencv.js@1.2.1/opencv.js'
+const OPENCV_TIMEOUT = 20000
+const OPENCV_DOWNLOAD_TIMEOUT = 60000
+
+let cv = null
+let canvas = null
+let ctx = null
+
+const loadOpenCV = async () => {
+  // This is a module worker (it imports lineArt.js), where importScripts is not
+  // available, so fetch the script and evaluate it in global scope
+  let code
+  try {
+    const response = await fetch(OPENCV_URL, { signal: AbortSignal.timeout(OPENCV_DOWNLOAD_TIMEOUT) })
+    if (!response.ok) {
+      throw new Error(`Failed to download OpenCV.js (${response.status})`)
+    }
+    code = await response.text()
+  } catch (err) {
+    if (err.name === 'TimeoutError') throw new Error('Failed to download OpenCV.js (timed out)')
+    throw err
+  }
+  ;(0, eval)(code)
+
+  // Wait for the wasm runtime to finish initializing
+  const started = Date.now()
+  while (!self.cv?.Mat) {
+    if (Date.now() - started > OPENCV_TIMEOUT) {
+      throw new Error('OpenCV.js failed to initialize in worker')
+    }
+    await new Promise(resolve => setTimeout(resolve, 100))
+  }
+  return self.cv
+}
+
+const processFrame = (bitmap, params) => {
+  const { width, height } = bitmap
+
+  // Reuse one OffscreenCanvas for every frame
+  if (!canvas || canvas.width !== width || canvas.height !== height) {
+    canvas = new OffscreenCanvas(width, height)
+    ctx = canvas.getContext('2d', { willReadFrequently: true })
+  }
+
+  ctx.drawImage(bitmap, 0, 0)
+  bitmap.close()
+
+  const src = cv.matFromImageData(ctx.getImageData(0, 0, width, height))
+  const rgba = new cv.Mat()
+  let dst = null
+  try {
+    dst = renderLineArt(src, params, cv)
+    cv.cvtColor(dst, rgba, cv.COLOR_GRAY2RGBA)
+    ctx.putImageData(new ImageData(new Uint8ClampedArray(rgba.data), width, height), 0, 0)
+  } finally {
+    src.delete()
+    dst?.delete()
+    rgba.delete()
+  }
+
+  return canvas.transferToImageBitmap()
+}
+
+self.onmessage = (event) => {
+  const { type, bitmap, params } = event.data
+  if (type !== 'frame') return
+
+  if (!cv) {
+    bitmap?.close()
+    return
+  }
+
+  try {
+    const result = processFrame(bitmap, params)
+    self.postMessage({ type: 'frame', bitmap: result }, [result])
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message || String(err), fatal: false })
+  }
+}
+
+loadOpenCV()
+  .then(loaded => {
+    cv = loaded
+    self.postMessage({ type: 'ready' })
+  })
+  .catch(err => {
+    self.postMessage({ type: 'error', message: err.message || String(err), fatal: true })
+  })
@@ -0,0 +1,164 @@
+// Touch-up editor for line art: black pen, white eraser, straight lines and
+// removing stray specks, with undo. Works on a single flattened canvas
+// (black lines on white), so what you see is exactly what gets saved.
+import { floodFillMask } from './floodFill.js'
+import { canvasToBlob } from './imageUtils.js'
+import { createCanvasHistory } from './canvasHistory.js'
+
+const MIN_ZOOM = 0.1
+const MAX_ZOOM = 16
+
+// Pixels darker than this count as ink when removing blobs
+const INK_LUMINANCE = 128
+
+// View transform for a canvas of `width` x `height` shown inside a viewport:
+// { zoom, x, y } where x/y is the canvas' top-left corner in viewport pixels.
+// Fits the whole canvas (never enlarging past 100%) and centres it.
+export const fitView = (width, height, viewportWidth, viewportHeight) => {
+  const zoom = Math.min(viewportWidth / width, viewportHeight / height, 1)
+  return {
+    zoom,
+    x: (viewportWidth - width * zoom) / 2,
+    y: (viewportHeight - height * zoom) / 2
+  }
+}
+
+// Zoom by `factor`, keeping the viewport point (cx, cy) fixed
+export const zoomView = (view, factor, cx, cy) => {
+  const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.zoom * factor))
+  const ratio = zoom / view.zoom
+  return {
+    zoom,
+    x: cx - (cx - view.x) * ratio,
+    y: cy - (cy - view.y) * ratio
+  }
+}
+
+// canvas: visible <canvas>; image: loaded coloring page (<img> or canvas).
+// onHistoryChange({ canUndo, canRedo }) fires whenever undo/redo availability changes.
+export const createLineArtEditor = (canvas, image, { onHistoryChange } = {}) => {
+  const width = image.naturalWidth || image.width
+  const height = image.naturalHeight || image.height
+  canvas.width = width
+  canvas.height = height
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  ctx.fillStyle = 'white'
+  ctx.fillRect(0, 0, width, height)
+  ctx.drawImage(image, 0, 0, width, height)
+
+  const history = createCanvasHistory(ctx, onHistoryChange)
+  let stroke = null // { tool, start, last, base }
+
+  // Map a pointer event to canvas pixels (the canvas is zoomed by CSS)
+  const toCanvasPoint = (event) => {
+    const rect = canvas.getBoundingClientRect()
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * width,
+      y: ((event.clientY - rect.top) / rect.height) * height
+    }
+  }
+
+  // tool: 'pen' | 'eraser' | 'line'; size in canvas pixels
+  const startStroke = (point, { tool, size }) => {
+    history.checkpoint()
+    const color = tool === 'eraser' ? 'white' : 'black'
+    ctx.strokeStyle = color
+    ctx.fillStyle = color
+    ctx.lineWidth = size
+    ctx.lineCap = 'round'
+    ctx.lineJoin = 'round'
+
+    if (tool === 'line') {
+      // Redrawn from this snapshot on every move until the pointer is released
+      stroke = { tool, start: point, base: ctx.getImageData(0, 0, width, height) }
+      return
+    }
+
+    ctx.beginPath()
+    ctx.arc(point.x, point.y, size / 2, 0, Math.PI * 2)
+    ctx.fill()
+    stroke = { tool, last: point }
+  }
+
+  const continueStroke = (point) => {
+    if (!stroke) return
+    ctx.beginPath()
+    if (stroke.tool === 'line') {
+      ctx.putImageData(stroke.base, 0, 0)
+      ctx.moveTo(stroke.start.x, stroke.start.y)
+    } else {
+      ctx.moveTo(stroke.last.x, stroke.last.y)
+      stroke.last = point
+    }
+    ctx.lineTo(point.x, point.y)
+    ctx.stroke()
+  }
+
+  const endStroke = () => {
+    stroke = null
+  }
+
+  // Erase the connected patch of ink nearest to `point` within `radius`
+  // pixels. Returns false when there is no ink there.
+  const removeBlob = (point, radius) => {
+    const imageData = ctx.getImageData(0, 0, width, height)
+    const { data } = imageData
+
+    // Two-tone copy so the fill follows the ink regardless of its exact shade
+    const ink = new Uint8ClampedArray(data.length)
+    for (let i = 0; i < data.length; i += 4) {
+      const value = (data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000 < INK_LUMINANCE ? 0 : 255
+      ink[i] = value
+      ink[i + 1] = value
+      ink[i + 2] = value
+      ink[i + 3] = 255
+    }
+
+    // Nearest ink pixel, so small specks don't need a pixel-perfect click
+    const cx = Math.floor(point.x)
+    const cy = Math.floor(point.y)
+    let seed = null
+    let best = Infinity
+    const r = Math.ceil(radius)
+    for (let y = Math.max(0, cy - r); y <= Math.min(height - 1, cy + r); y++) {
+      for (let x = Math.max(0, cx - r); x <= Math.min(width - 1, cx + r); x++) {
+        const distance = (x - cx) ** 2 + (y - cy) ** 2
+        if (distance < best && distance <= r * r && ink[(y * width + x) * 4] === 0) {
+          best = distance
+          seed = { x, y }
+        }
+      }
+    }
+    if (!seed) return false
+
+    // Grow two pixels past the ink to take the anti-aliased edge with it
+    const mask = floodFillMask({ data: ink, width, height }, seed.x, seed.y, 0, 2)
+    history.checkpoint()
+    for (let i = 0; i < mask.length; i++) {
+      if (!mask[i]) continue
+      const offset = i * 4
+      data[offset] = 255
+      data[offset + 1] = 255
+      data[offset + 2] = 255
+      data[offset + 3] = 255
+    }
+    ctx.putImageData(imageData, 0, 0)
+    return true
+  }
+
+  history.notify()
+
+  return {
+    width,
+    height,
+    toCanvasPoint,
+    startStroke,
+    continueStroke,
+    endStroke,
+    removeBlob,
+    undo: history.undo,
+    redo: history.redo,
+    isStroking: () => stroke !== null,
+    toBlob: () => canvasToBlob(canvas)
+  }
+}
@@ -0,0 +1,428 @@
+// Paint-by-number generation from a color photo.
+//
+// Works on plain RGBA buffers ({ data, width, height }, e.g. ImageData) so it
+// runs anywhere: quantize with k-means, merge tiny regions and slivers too thin
+// for a number into their neighbors, then find a label point deep inside each region.
+
+export const DEFAULT_PBN_OPTIONS = {
+  colors: 12, // Palette size for k-means
+  minArea: 80, // Regions smaller than this many pixels are merged into a neighbor
+  iterations: 12, // k-means iterations
+  seed: 1 // Deterministic sampling, so the same photo gives the same kit
+}
+
+const MAX_KMEANS_SAMPLES = 20000
+const MAX_MERGE_PASSES = 8
+const MIN_LABEL_RADIUS = 3 // px from the region's edge needed to print its number
+
+// Small deterministic PRNG (mulberry32)
+const createRandom = (seed) => {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+const distanceSq = (r, g, b, center) => {
+  const dr = r - center[0]
+  const dg = g - center[1]
+  const db = b - center[2]
+  return dr * dr + dg * dg + db * db
+}
+
+export const toHex = ([r, g, b]) =>
+  `#${[r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`
+
+// k-means++ on a pixel sample, returns cluster centers as [r, g, b]
+const kMeans = (data, pixelCount, k, iterations, random) => {
+  const sampleCount = Math.min(pixelCount, MAX_KMEANS_SAMPLES)
+  const samples = new Float32Array(sampleCount * 3)
+  for (let i = 0; i < sampleCount; i++) {
+    const p = (pixelCount <= MAX_KMEANS_SAMPLES ? i : Math.floor(random() * pixelCount)) * 4
+    samples[i * 3] = data[p]
+    samples[i * 3 + 1] = data[p + 1]
+    samples[i * 3 + 2] = data[p + 2]
+  }
+
+  // k-means++ seeding
+  const centers = []
+  const first = Math.floor(random() * sampleCount) * 3
+  centers.push([samples[first], samples[first + 1], samples[first + 2]])
+  const nearest = new Float32Array(sampleCount).fill(Infinity)
+  while (centers.length < k) {
+    const last = centers[centers.length - 1]
+    let total = 0
+    for (let i = 0; i < sampleCount; i++) {
+      const d = distanceSq(samples[i * 3], samples[i * 3 + 1], samples[i * 3 + 2], last)
+      if (d < nearest[i]) nearest[i] = d
+      total += nearest[i]
+    }
+    if (total === 0) break // Fewer distinct colors than k
+    let target = random() * total
+    let chosen = sampleCount - 1
+    for (let i = 0; i < sampleCount; i++) {
+      target -= nearest[i]
+      if (target <= 0) {
+        chosen = i
+        break
+      }
+    }
+    centers.push([samples[chosen * 3], samples[chosen * 3 + 1], samples[chosen * 3 + 2]])
+  }
+
+  // Lloyd iterations
+  const sums = new Float64Array(centers.length * 4)
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    sums.fill(0)
+    for (let i = 0; i < sampleCount; i++) {
+      const r = samples[i * 3]
+      const g = samples[i * 3 + 1]
+      const b = samples[i * 3 + 2]
+      let best = 0
+      let bestDistance = Infinity
+      for (let c = 0; c < centers.length; c++) {
+        const d = distanceSq(r, g, b, centers[c])
+        if (d < bestDistance) {
+          bestDistance = d
+          best = c
+        }
+      }
+      sums[best * 4] += r
+      sums[best * 4 + 1] += g
+      sums[best * 4 + 2] += b
+      sums[best * 4 + 3]++
+    }
+    for (let c = 0; c < centers.length; c++) {
+      const count = sums[c * 4 + 3]
+      if (count > 0) {
+        centers[c] = [sums[c * 4] / count, sums[c * 4 + 1] / count, sums[c * 4 + 2] / count]
+      }
+    }
+  }
+
+  return centers
+}
+
+// Map every pixel to its nearest center
+const assignColors = (data, pixelCount, centers) => {
+  const colorMap = new Uint8Array(pixelCount)
+  for (let i = 0; i < pixelCount; i++) {
+    const r = data[i * 4]
+    const g = data[i * 4 + 1]
+    const b = data[i * 4 + 2]
+    let best = 0
+    let bestDistance = Infinity
+    for (let c = 0; c < centers.length; c++) {
+      const d = distanceSq(r, g, b, centers[c])
+      if (d < bestDistance) {
+        bestDistance = d
+        best = c
+      }
+    }
+    colorMap[i] = best
+  }
+  return colorMap
+}
+
+// 4-connected components of equal color; returns labels and per-region size/color
+const labelRegions = (colorMap, width, height) => {
+  const labels = new Int32Array(width * height).fill(-1)
+  const sizes = []
+  const colors = []
+  const queue = new Int32Array(width * height)
+
+  for (let start = 0; start < labels.length; start++) {
+    if (labels[start] !== -1) continue
+    const region = sizes.length
+    const color = colorMap[start]
+    let head = 0
+    let tail = 0
+    queue[tail++] = start
+    labels[start] = region
+
+    while (head < tail) {
+      const index = queue[head++]
+      const x = index % width
+      const neighbors = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        index >= width ? index - width : -1,
+        index < labels.length - width ? index + width : -1
+      ]
+      for (const neighbor of neighbors) {
+        if (neighbor !== -1 && labels[neighbor] === -1 && colorMap[neighbor] === color) {
+          labels[neighbor] = region
+          queue[tail++] = neighbor
+        }
+      }
+    }
+
+    sizes.push(tail)
+    colors.push(color)
+  }
+
+  return { labels, sizes, colors }
+}
+
+// Recolor each small region (isSmall(region) is true) with the color of the neighbor
+// it shares the longest border with. Returns true if anything changed.
+const mergeSmallRegions = (colorMap, width, { labels, colors }, isSmall) => {
+  const borders = new Map() // small region -> Map(neighbor region -> shared edge count)
+
+  const count = (region, neighbor) => {
+    if (region === neighbor || !isSmall(region)) return
+    let counts = borders.get(region)
+    if (!counts) {
+      counts = new Map()
+      borders.set(region, counts)
+    }
+    counts.set(neighbor, (counts.get(neighbor) || 0) + 1)
+  }
+
+  for (let i = 0; i < labels.length; i++) {
+    const x = i % width
+    if (x < width - 1) {
+      count(labels[i], labels[i + 1])
+      count(labels[i + 1], labels[i])
+    }
+    if (i + width < labels.length) {
+      count(labels[i], labels[i + width])
+      count(labels[i + width], labels[i])
+    }
+  }
+  if (borders.size === 0) return false
+
+  // Prefer merging into large neighbors so specks don't chain into each other
+  const newColors = colors.slice()
+  for (const [region, counts] of borders) {
+    let target = -1
+    let bestScore = -1
+    for (const [neighbor, edges] of counts) {
+      const score = edges + (isSmall(neighbor) ? 0 : labels.length)
+      if (score > bestScore) {
+        bestScore = score
+        target = neighbor
+      }
+    }
+    if (target !== -1) newColors[region] = colors[target]
+  }
+
+  for (let i = 0; i < labels.length; i++) {
+    colorMap[i] = newColors[labels[i]]
+  }
+  return true
+}
+
+// Two-pass chamfer (3-4) distance to the nearest region boundary
+const boundaryDistance = (labels, width, height) => {
+  const INF = 1e9
+  const distance = new Float32Array(width * height)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x
+      const label = labels[i]
+      const onEdge = x === 0 || y === 0 || x === width - 1 || y === height - 1 ||
+        labels[i - 1] !== label || labels[i + 1] !== label ||
+        labels[i - width] !== label || labels[i + width] !== label
+      distance[i] = onEdge ? 0 : INF
+    }
+  }
+
+  for (let y = 1; y < height; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x
+      distance[i] = Math.min(
+        distance[i],
+        distance[i - 1] + 3,
+        distance[i - width] + 3,
+        distance[i - width - 1] + 4,
+        distance[i - width + 1] + 4
+      )
+    }
+  }
+  for (let y = height - 2; y >= 0; y--) {
+    for (let x = width - 2; x > 0; x--) {
+      const i = y * width + x
+      distance[i] = Math.min(
+        distance[i],
+        distance[i + 1] + 3,
+        distance[i + width] + 3,
+        distance[i + width + 1] + 4,
+        distance[i + width - 1] + 4
+      )
+    }
+  }
+
+  for (let i = 0; i < distance.length; i++) distance[i] /= 3
+  return distance
+}
+
+// Label point per region: the pixel farthest from any boundary
+const findLabelPoints = (labels, regionCount, width, height) => {
+  const distance = boundaryDistance(labels, width, height)
+  const best = Array.from({ length: regionCount }, () => ({ index: -1, radius: -1 }))
+  for (let i = 0; i < labels.length; i++) {
+    const entry = best[labels[i]]
+    if (distance[i] > entry.radius) {
+      entry.radius = distance[i]
+      entry.index = i
+    }
+  }
+  return best
+}
+
+/**
+ * Build a paint-by-number kit from an RGBA image.
+ *
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image
+ * @param {object} [options] - See DEFAULT_PBN_OPTIONS.
+ * @returns {{width, height, labels: Int32Array, palette: Array, regions: Array}}
+ *   palette entries are { number, rgb, hex, area }, numbered by area (1 = most used);
+ *   regions are { number, x, y, radius } with (x, y) the point farthest from the edges.
+ */
+export const generatePaintByNumber = (image, options = {}) => {
+  const settings = { ...DEFAULT_PBN_OPTIONS, ...options }
+  const { data, width, height } = image
+  const pixelCount = width * height
+  const random = createRandom(settings.seed)
+
+  const centers = kMeans(data, pixelCount, Math.max(2, settings.colors), settings.iterations, random)
+  const colorMap = assignColors(data, pixelCount, centers)
+
+  let regions = labelRegions(colorMap, width, height)
+  for (let pass = 0; pass < MAX_MERGE_PASSES; pass++) {
+    const { sizes } = regions
+    if (!mergeSmallRegions(colorMap, width, regions, region => sizes[region] < settings.minArea)) break
+    regions = labelRegions(colorMap, width, height)
+  }
+
+  // Slivers too thin to hold a number are merged too, so every region is labeled
+  let best = findLabelPoints(regions.labels, regions.sizes.length, width, height)
+  for (let pass = 0; pass < MAX_MERGE_PASSES; pass++) {
+    const points = best
+    if (!mergeSmallRegions(colorMap, width, regions, region => points[region].radius < MIN_LABEL_RADIUS)) break
+    regions = labelRegions(colorMap, width, height)
+    best = findLabelPoints(regions.labels, regions.sizes.length, width, height)
+  }
+  const { labels, sizes, colors } = regions
+
+  // Number the colors that survived merging, most used first
+  const areaByColor = new Array(centers.length).fill(0)
+  sizes.forEach((size, region) => {
+    areaByColor[colors[region]] += size
+  })
+  const used = centers
+    .map((rgb, index) => ({ index, rgb: rgb.map(Math.round), area: areaByColor[index] }))
+    .filter(entry => entry.area > 0)
+    .sort((a, b) => b.area - a.area)
+  const numberByColor = new Map(used.map((entry, i) => [entry.index, i + 1]))
+  const palette = used.map((entry, i) => ({
+    number: i + 1,
+    rgb: entry.rgb,
+    hex: toHex(entry.rgb),
+    area: entry.area
+  }))
+
+  return {
+    width,
+    height,
+    labels,
+    palette,
+    regions: best.map((entry, region) => ({
+      number: numberByColor.get(colors[region]),
+      x: entry.index % width,
+      y: Math.floor(entry.index / width),
+      radius: entry.radius
+    }))
+  }
+}
+
+/**
+ * Draw the printable page (outlines + numbers) or a filled color preview.
+ * Works with any 2D context (canvas or OffscreenCanvas) sized to the kit.
+ */
+export const drawPaintByNumber = (ctx, kit, { filled = false, outlineColor = [60, 60, 60] } = {}) => {
+  const { width, height, labels, palette, regions } = kit
+  const imageData = ctx.createImageData(width, height)
+  const out = imageData.data
+  const rgbByNumber = new Map(palette.map(entry => [entry.number, entry.rgb]))
+
+  for (let i = 0; i < labels.length; i++) {
+    const x = i % width
+    const label = labels[i]
+    const isOutline = (x < width - 1 && labels[i + 1] !== label) ||
+      (i + width < labels.length && labels[i + width] !== label)
+    const rgb = isOutline
+      ? outlineColor
+      : filled ? rgbByNumber.get(regions[label].number) : [255, 255, 255]
+    out[i * 4] = rgb[0]
+    out[i * 4 + 1] = rgb[1]
+    out[i * 4 + 2] = rgb[2]
+    out[i * 4 + 3] = 255
+  }
+  ctx.putImageData(imageData, 0, 0)
+
+  if (filled) return
+
+  // Numbers sized to fit the region (thin slivers were merged away in generation)
+  ctx.fillStyle = '#555'
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  for (const region of regions) {
+    const fontSize = Math.max(7, Math.min(22, Math.round(region.radius * 1.2)))
+    ctx.font = `${fontSize}px sans-serif`
+    ctx.fillText(String(region.number), region.x + 0.5, region.y + 0.5)
+  }
+}
+
+// Height in px that drawLegend needs for this palette at the given width
+export const measureLegend = (palette, width, { swatch = 28, gap = 12 } = {}) => {
+  const columnWidth = swatch + 110
+  const columns = Math.max(1, Math.floor((width - gap) / (columnWidth + gap)))
+  const rows = Math.ceil(palette.length / columns)
+  return gap * 2 + 24 + rows * (swatch + gap)
+}
+
+// Draw a color legend (swatch, number, hex) into the box starting at (x, y)
+export const drawLegend = (ctx, palette, x, y, width, { swatch = 28, gap = 12 } = {}) => {
+  const columnWidth = swatch + 110
+  const columns = Math.max(1, Math.floor((width - gap) / (columnWidth + gap)))
+
+  ctx.fillStyle = '#fff'
+  ctx.fillRect(x, y, width, measureLegend(palette, width, { swatch, gap }))
+  ctx.fillStyle = '#222'
+  ctx.textAlign = 'left'
+  ctx.textBaseline = 'middle'
+  ctx.font = 'bold 16px sans-serif'
+  ctx.fillText('Color Legend', x + gap, y + gap + 10)
+
+  ctx.font = '13px sans-serif'
+  palette.forEach((entry, i) => {
+    const cx = x + gap + (i % columns) * (columnWidth + gap)
+    const cy = y + gap * 2 + 24 + Math.floor(i / columns) * (swatch + gap)
+    ctx.fillStyle = entry.hex
+    ctx.fillRect(cx, cy, swatch, swatch)
+    ctx.strokeStyle = '#333'
+    ctx.lineWidth = 1
+    ctx.strokeRect(cx + 0.5, cy + 0.5, swatch - 1, swatch - 1)
+    ctx.fillStyle = '#222'
+    ctx.fillText(`${entry.number}  ${entry.hex.toUpperCase()}`, cx + swatch + 8, cy + swatch / 2)
+  })
+}
+
+// Size a canvas and draw the complete printable kit: page with the legend below it.
+// With filled = true only the colored preview is drawn.
+export const renderPaintByNumberKit = (canvas, kit, { filled = false } = {}) => {
+  canvas.width = kit.width
+  canvas.height = kit.height + (filled ? 0 : measureLegend(kit.palette, kit.width))
+  const ctx = canvas.getContext('2d')
+  drawPaintByNumber(ctx, kit, { filled })
+  if (!filled) {
+    drawLegend(ctx, kit.palette, 0, kit.height, kit.width)
+  }
+  return canvas
+}
@@ -0,0 +1,168 @@
+// Minimal PDF writer: pages with raster images, Helvetica text and rectangles.
+// Enough for printable coloring books without pulling in a PDF library.
+// Coordinates are PDF points (1/72 inch) with the origin at the bottom-left.
+
+// Advance widths (1/1000 em) of the standard Helvetica fonts for ASCII 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+]
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+]
+const DEFAULT_WIDTH = 556
+
+// Text is written with WinAnsiEncoding, which matches Latin-1 for the
+// characters we allow; anything else becomes '?'
+const toLatin1 = (text) => Array.from(String(text), ch => (ch.charCodeAt(0) <= 0xff ? ch : '?')).join('')
+
+export const measureText = (text, size, bold = false) => {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS
+  let total = 0
+  for (const ch of toLatin1(text)) {
+    const code = ch.charCodeAt(0)
+    total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH
+  }
+  return (total * size) / 1000
+}
+
+// Break text into lines no wider than maxWidth (long words are kept whole)
+export const wrapText = (text, size, maxWidth, bold = false) => {
+  const lines = []
+  let line = ''
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word
+    if (line && measureText(candidate, size, bold) > maxWidth) {
+      lines.push(line)
+      line = word
+    } else {
+      line = candidate
+    }
+  }
+  if (line) lines.push(line)
+  return lines
+}
+
+const escapeString = (text) => toLatin1(text).replace(/[\\()]/g, '\\$&').replace(/[\x80-\xff\r\n]/g,
+  ch => `\\${ch.charCodeAt(0).toString(8).padStart(3, '0')}`)
+
+const num = (value) => Number(value.toFixed(2)).toString()
+
+export const createPdfDocument = () => {
+  const encoder = new TextEncoder()
+  // Object 1 is the catalog, 2 the page tree, 3/4 the fonts
+  const objects = [null, null, null, null]
+  const pageIds = []
+
+  const addObject = (dictionary, stream = null) => {
+    objects.push({ dictionary, stream })
+    return objects.length
+  }
+
+  // Register an image; data is RGB bytes compressed with zlib ('FlateDecode')
+  // or a JPEG file ('DCTDecode'). Returns a handle for page.image().
+  const addImage = ({ width, height, data, filter }) => {
+    const id = addObject(
+      `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /${filter} /Length ${data.length} >>`,
+      data
+    )
+    return { id, name: `Im${id}`, width, height }
+  }
+
+  const addPage = (width, height) => {
+    const ops = []
+    const images = new Map()
+
+    const page = {
+      width,
+      height,
+      // Draw an image handle scaled into the box at (x, y)
+      image: (handle, x, y, w, h) => {
+        images.set(handle.name, handle.id)
+        ops.push(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${num(y)} cm /${handle.name} Do Q`)
+        return page
+      },
+      // align: 'left' | 'center' | 'right' relative to x
+      text: (text, x, y, { size = 12, bold = false, align = 'left', gray = 0 } = {}) => {
+        const offset = align === 'left' ? 0 : measureText(text, size, bold) / (align === 'center' ? 2 : 1)
+        ops.push(`BT ${num(gray)} g /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(x - offset)} ${num(y)} Td (${escapeString(text)}) Tj ET`)
+        return page
+      },
+      rect: (x, y, w, h, { lineWidth = 1, gray = 0 } = {}) => {
+        ops.push(`q ${num(gray)} G ${num(lineWidth)} w ${num(x)} ${num(y)} ${num(w)} ${num(h)} re S Q`)
+        return page
+      },
+      line: (x1, y1, x2, y2, { lineWidth = 1, gray = 0, dash = null } = {}) => {
+        const dashOp = dash ? `[${dash.map(num).join(' ')}] 0 d ` : ''
+        ops.push(`q ${num(gray)} G ${num(lineWidth)} w ${dashOp}${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S Q`)
+        return page
+      }
+    }
+
+    // The page dictionary is written when the document is serialized
+    objects.push({ page: { width, height, ops, images } })
+    pageIds.push(objects.length)
+    return page
+  }
+
+  const toBlob = () => {
+    const chunks = []
+    const offsets = []
+    let length = 0
+    const write = (part) => {
+      const bytes = typeof part === 'string' ? encoder.encode(part) : part
+      chunks.push(bytes)
+      length += bytes.length
+    }
+
+    objects[0] = { dictionary: '<< /Type /Catalog /Pages 2 0 R >>' }
+    objects[1] = { dictionary: `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>` }
+    objects[2] = { dictionary: '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>' }
+    objects[3] = { dictionary: '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>' }
+
+    // Each page needs a content stream object; append them after everything else
+    const serialized = [...objects]
+    for (const id of pageIds) {
+      const { width, height, ops, images } = objects[id - 1].page
+      const content = encoder.encode(ops.join('\n'))
+      serialized.push({ dictionary: `<< /Length ${content.length} >>`, stream: content })
+      const xObjects = [...images].map(([name, imageId]) => `/${name} ${imageId} 0 R`).join(' ')
+      serialized[id - 1] = {
+        dictionary: `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> /XObject << ${xObjects} >> >> ` +
+          `/Contents ${serialized.length} 0 R >>`
+      }
+    }
+
+    write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n')
+    serialized.forEach((object, index) => {
+      offsets.push(length)
+      write(`${index + 1} 0 obj\n${object.dictionary}\n`)
+      if (object.stream) {
+        write('stream\n')
+        write(object.stream)
+        write('\nendstream\n')
+      }
+      write('endobj\n')
+    })
+
+    const xrefOffset = length
+    write(`xref\n0 ${serialized.length + 1}\n0000000000 65535 f \n`)
+    for (const offset of offsets) write(`${String(offset).padStart(10, '0')} 00000 n \n`)
+    write(`trailer\n<< /Size ${serialized.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`)
+
+    return new Blob(chunks, { type: 'application/pdf' })
+  }
+
+  return { addImage, addPage, toBlob, pageCount: () => pageIds.length }
+}
@@ -0,0 +1,175 @@
+// Named parameter presets: built-in tunings plus user presets kept in localStorage,
+// exportable as JSON so a team can share identical settings.
+import { DEFAULT_PARAMS, LINE_METHODS, PARAM_RANGES } from './lineArt.js'
+
+const STORAGE_KEY = 'line_art_presets'
+const EXPORT_FORMAT = 'image2coloring-presets'
+const EXPORT_VERSION = 1
+
+// Note: on black-on-white line art erosion grows the dark lines and dilation shrinks them
+export const BUILT_IN_PRESETS = [
+  {
+    id: 'builtin-default',
+    name: 'Default',
+    builtIn: true,
+    params: DEFAULT_PARAMS
+  },
+  {
+    id: 'builtin-pets',
+    name: 'Pets',
+    builtIn: true,
+    params: {
+      ...DEFAULT_PARAMS,
+      lineMethod: 'xdog',
+      useBilateralFilter: true,
+      bilateralD: 9,
+      bilateralSigmaColor: 60,
+      bilateralSigmaSpace: 60,
+      xdogSigma: 1.2,
+      xdogK: 1.6,
+      xdogP: 25,
+      xdogEpsilon: 0.15,
+      xdogPhi: 15
+    }
+  },
+  {
+    id: 'builtin-faces-thick',
+    name: 'Faces – thick lines',
+    builtIn: true,
+    params: {
+      ...DEFAULT_PARAMS,
+      lineMethod: 'adaptive',
+      useBilateralFilter: true,
+      bilateralD: 9,
+      bilateralSigmaColor: 90,
+      bilateralSigmaSpace: 90,
+      useMedianBlur: true,
+      medianBlurKsize: 7,
+      thresholdBlockSize: 31,
+      thresholdC: 12,
+      useMorphClose: true,
+      kernelSize: 3,
+      useErosion: true,
+      erosionIterations: 1
+    }
+  },
+  {
+    id: 'builtin-architecture',
+    name: 'Architecture',
+    builtIn: true,
+    params: {
+      ...DEFAULT_PARAMS,
+      lineMethod: 'canny',
+      useGaussianBlur: true,
+      gaussianBlurKsize: 5,
+      gaussianSigma: 1,
+      cannyLow: 60,
+      cannyHigh: 170,
+      useErosion: true,
+      erosionIterations: 1,
+      kernelSize: 3
+    }
+  }
+]
+
+// Clamp a number into its slider range; odd-only ranges (kernel sizes) snap to odd
+const clampParam = (value, { min, max, step }) => {
+  const clamped = Math.min(max, Math.max(min, value))
+  return step === 2 ? min + Math.round((clamped - min) / 2) * 2 : clamped
+}
+
+// Keep only known parameter keys with the right type and range, filling gaps
+// from the defaults
+export const sanitizeParams = (params) => {
+  const clean = { ...DEFAULT_PARAMS }
+  if (!params || typeof params !== 'object') return clean
+
+  for (const [key, fallback] of Object.entries(DEFAULT_PARAMS)) {
+    const value = params[key]
+    if (typeof value !== typeof fallback) continue
+    if (typeof value === 'number' && !Number.isFinite(value)) continue
+    clean[key] = PARAM_RANGES[key] ? clampParam(value, PARAM_RANGES[key]) : value
+  }
+  if (!LINE_METHODS.some(method => method.value === clean.lineMethod)) {
+    clean.lineMethod = DEFAULT_PARAMS.lineMethod
+  }
+  return clean
+}
+
+export const paramsEqual = (a, b) =>
+  Object.keys(DEFAULT_PARAMS).every(key => a[key] === b[key])
+
+export const createPresetId = () =>
+  `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`
+
+// User presets from localStorage (corrupt entries are dropped)
+export const loadUserPresets = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]')
+    if (!Array.isArray(stored)) return []
+    return stored
+      .filter(preset => preset && typeof preset.name === 'string' && preset.name.trim())
+      .map(preset => ({
+        id: typeof preset.id === 'string' ? preset.id : createPresetId(),
+        name: preset.name.trim(),
+        params: sanitizeParams(preset.params)
+      }))
+  } catch {
+    return []
+  }
+}
+
+export const saveUserPresets = (presets) => {
+  localStorage.setItem(
+    STORAGE_KEY,
+    JSON.stringify(presets.map(({ id, name, params }) => ({ id, name, params })))
+  )
+}
+
+// JSON document for sharing presets between machines
+export const exportPresets = (presets) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  presets: presets.map(({ name, params }) => ({ name, params }))
+}, null, 2)
+
+// Parse an exported file; throws with a readable message if it isn't one
+export const parsePresetFile = (text) => {
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch {
+    throw new Error('File is not valid JSON')
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed?.presets
+  if (!Array.isArray(list)) {
+    throw new Error('No presets found in file')
+  }
+  if (parsed.format && parsed.format !== EXPORT_FORMAT) {
+    throw new Error(`Unknown preset format: ${parsed.format}`)
+  }
+
+  const presets = list
+    .filter(preset => preset && typeof preset.name === 'string' && preset.name.trim())
+    .map(preset => ({ name: preset.name.trim(), params: sanitizeParams(preset.params) }))
+  if (presets.length === 0) {
+    throw new Error('No valid presets found in file')
+  }
+  return presets
+}
+
+// Merge imported presets into the user list, replacing presets with the same name
+export const mergePresets = (existing, imported) => {
+  const merged = [...existing]
+  for (const preset of imported) {
+    const index = merged.findIndex(p => p.name.toLowerCase() === preset.name.toLowerCase())
+    if (index === -1) {
+      merged.push({ id: createPresetId(), ...preset })
+    } else {
+      merged[index] = { ...merged[index], params: preset.params }
+    }
+  }
+  return merged
+}
@@ -0,0 +1,340 @@
+// Print setup: builds a print-ready HTML document (paper size, orientation,
+// margins, scaling, N-up, caption, border, or a poster tiled across several
+// sheets) and prints it through a hidden iframe so pop-up blockers don't interfere.
+import { PAGE_SIZES } from './book.js'
+
+const MM_PER_POINT = 25.4 / 72
+const MM_PER_INCH = 25.4
+
+export const PRINT_BORDERS = [
+  { value: 'none', label: 'None' },
+  { value: 'simple', label: 'Simple' },
+  { value: 'double', label: 'Double' },
+  { value: 'dashed', label: 'Dashed' },
+  { value: 'rounded', label: 'Rounded' }
+]
+
+export const PER_SHEET_OPTIONS = [1, 2, 4]
+
+export const POSTER_GRIDS = [2, 3]
+
+// Crop marks and tile numbers sit in the margin, so posters need at least this much
+const POSTER_MIN_MARGIN = 8 // mm
+const CROP_MARK_LENGTH = 5 // mm
+
+export const DEFAULT_PRINT_OPTIONS = {
+  paper: 'a4', // key of PAGE_SIZES
+  orientation: 'portrait',
+  margin: 10, // mm
+  scale: 'fit', // 'fit' | 'actual'
+  dpi: 150, // used by 'actual'
+  perSheet: 1,
+  title: '',
+  nameField: false,
+  border: 'none',
+  mode: 'layout', // 'layout' | 'poster'
+  posterGrid: 2, // tiles per side
+  overlap: 10, // mm shared by neighbouring tiles
+  cropMarks: true
+}
+
+const BORDER_STYLES = {
+  none: 'none',
+  simple: '0.6mm solid #000',
+  double: '1.6mm double #000',
+  dashed: '0.6mm dashed #000',
+  rounded: '0.8mm solid #000'
+}
+
+const mm = (value) => `${Number(value.toFixed(2))}mm`
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// Sheet size in millimetres after applying the orientation
+export const getSheetSize = ({ paper, orientation }) => {
+  const size = PAGE_SIZES[paper] || PAGE_SIZES.a4
+  const short = Math.min(size.width, size.height) * MM_PER_POINT
+  const long = Math.max(size.width, size.height) * MM_PER_POINT
+  return orientation === 'landscape'
+    ? { width: long, height: short }
+    : { width: short, height: long }
+}
+
+// Columns x rows for the N-up layout; two images split the longer side
+const getGrid = (perSheet, { width, height }) => {
+  if (perSheet === 4) return { columns: 2, rows: 2 }
+  if (perSheet === 2) return width > height ? { columns: 2, rows: 1 } : { columns: 1, rows: 2 }
+  return { columns: 1, rows: 1 }
+}
+
+// Images are [{ data, width, height }] with pixel dimensions. A single image
+// is repeated in every cell of an N-up sheet; several images fill the cells in order.
+export const buildPrintDocument = (images, options = DEFAULT_PRINT_OPTIONS) => {
+  const sheet = getSheetSize(options)
+  const { columns, rows } = getGrid(options.perSheet, sheet)
+  const cellsPerSheet = columns * rows
+  const count = images.length === 1 ? cellsPerSheet : images.length
+  const small = cellsPerSheet > 1
+
+  const cells = Array.from({ length: count }, (_, index) => {
+    const image = images[index % images.length]
+    const size = options.scale === 'actual'
+      ? ` style="width: ${mm((image.width / options.dpi) * MM_PER_INCH)}; height: ${mm((image.height / options.dpi) * MM_PER_INCH)}"`
+      : ''
+    return `
+      <div class="cell">
+        ${options.title ? `<div class="title">${escapeHtml(options.title)}</div>` : ''}
+        <div class="image"><img src="${image.data}"${size} /></div>
+        ${options.nameField ? '<div class="name">Name: <span></span></div>' : ''}
+      </div>`
+  })
+
+  const sheets = []
+  for (let i = 0; i < cells.length; i += cellsPerSheet) {
+    sheets.push(`<div class="sheet">${cells.slice(i, i + cellsPerSheet).join('')}</div>`)
+  }
+
+  return printDocument(options.title || 'Coloring Page', sheet, `
+      .sheet {
+        /* A hair under the paper height so rounding never spills onto an extra page */
+        width: ${mm(sheet.width)};
+        height: ${mm(sheet.height - 0.5)};
+        padding: ${options.margin}mm;
+        display: grid;
+        grid-template-columns: repeat(${columns}, 1fr);
+        grid-template-rows: repeat(${rows}, 1fr);
+        gap: ${small ? 6 : 0}mm;
+        overflow: hidden;
+        page-break-after: always;
+        break-after: page;
+      }
+      .sheet:last-child {
+        page-break-after: auto;
+        break-after: auto;
+      }
+      .cell {
+        display: flex;
+        flex-direction: column;
+        min-width: 0;
+        min-height: 0;
+        border: ${BORDER_STYLES[options.border] || 'none'};
+        border-radius: ${options.border === 'rounded' ? 6 : 0}mm;
+        padding: ${options.border === 'none' ? 0 : 4}mm;
+      }
+      .title {
+        text-align: center;
+        font-size: ${small ? 12 : 20}pt;
+        font-weight: bold;
+        margin-bottom: 3mm;
+      }
+      .image {
+        flex: 1;
+        min-height: 0;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        overflow: hidden;
+      }
+      .image img {
+        display: block;
+        max-width: 100%;
+        max-height: 100%;
+      }
+      .image img[style] {
+        max-width: none;
+        max-height: none;
+        flex-shrink: 0;
+      }
+      .name {
+        display: flex;
+        align-items: flex-end;
+        gap: 2mm;
+        margin-top: 3mm;
+        font-size: ${small ? 10 : 14}pt;
+      }
+      .name span {
+        flex: 1;
+        max-width: 90mm;
+        border-bottom: 0.3mm solid #000;
+      }
+    `, sheets.join(''))
+}
+
+// Poster size in millimetres: the grid of printable areas minus the overlaps
+export const getPosterSize = (options) => {
+  const tile = getTileSize(options)
+  const grid = options.posterGrid
+  return {
+    width: grid * tile.width - (grid - 1) * options.overlap,
+    height: grid * tile.height - (grid - 1) * options.overlap
+  }
+}
+
+const getTileSize = (options) => {
+  const sheet = getSheetSize(options)
+  const margin = Math.max(options.margin, POSTER_MIN_MARGIN)
+  return { width: sheet.width - margin * 2, height: sheet.height - margin * 2, margin }
+}
+
+// Crop marks just outside the four corners of a tile
+const cropMarks = (x, y, width, height) => {
+  const gap = 1
+  const marks = []
+  for (const [cx, cy, dx, dy] of [[x, y, -1, -1], [x + width, y, 1, -1], [x, y + height, -1, 1], [x + width, y + height, 1, 1]]) {
+    const hx = dx < 0 ? cx - gap - CROP_MARK_LENGTH : cx + gap
+    const vy = dy < 0 ? cy - gap - CROP_MARK_LENGTH : cy + gap
+    marks.push(`<div class="mark" style="left: ${mm(hx)}; top: ${mm(cy)}; width: ${mm(CROP_MARK_LENGTH)}; height: 0"></div>`)
+    marks.push(`<div class="mark" style="left: ${mm(cx)}; top: ${mm(vy)}; width: 0; height: ${mm(CROP_MARK_LENGTH)}"></div>`)
+  }
+  return marks.join('')
+}
+
+// One image enlarged across a grid of sheets. image is { data, width, height, vector? };
+// a vector (SVG URL) is preferred so the lines stay sharp at poster size.
+export const buildPosterDocument = (image, options = DEFAULT_PRINT_OPTIONS) => {
+  const sheet = getSheetSize(options)
+  const tile = getTileSize(options)
+  const poster = getPosterSize(options)
+  const grid = options.posterGrid
+  const overlap = options.overlap
+
+  // Fit the picture into the poster, centred
+  const fit = Math.min(poster.width / image.width, poster.height / image.height)
+  const drawWidth = image.width * fit
+  const drawHeight = image.height * fit
+  const offsetX = (poster.width - drawWidth) / 2
+  const offsetY = (poster.height - drawHeight) / 2
+
+  const sheets = []
+  for (let row = 0; row < grid; row++) {
+    for (let column = 0; column < grid; column++) {
+      const left = offsetX - column * (tile.width - overlap)
+      const top = offsetY - row * (tile.height - overlap)
+      const number = row * grid + column + 1
+
+      sheets.push(`
+        <div class="sheet">
+          <div class="tile" style="left: ${mm(tile.margin)}; top: ${mm(tile.margin)}; width: ${mm(tile.width)}; height: ${mm(tile.height)}">
+            <img src="${image.vector || image.data}" style="left: ${mm(left)}; top: ${mm(top)}; width: ${mm(drawWidth)}; height: ${mm(drawHeight)}" />
+            ${overlap > 0 && column < grid - 1 ? `<div class="overlap right" style="width: ${mm(overlap)}"></div>` : ''}
+            ${overlap > 0 && row < grid - 1 ? `<div class="overlap bottom" style="height: ${mm(overlap)}"></div>` : ''}
+          </div>
+          ${options.cropMarks ? cropMarks(tile.margin, tile.margin, tile.width, tile.height) : ''}
+          <div class="label" style="left: ${mm(tile.margin)}; top: ${mm(tile.margin - 5.5)}">
+            Tile ${number} of ${grid * grid} · row ${row + 1}, column ${column + 1}
+          </div>
+        </div>`)
+    }
+  }
+
+  return printDocument('Poster', sheet, `
+      .sheet {
+        position: relative;
+        width: ${mm(sheet.width)};
+        height: ${mm(sheet.height - 0.5)};
+        overflow: hidden;
+        page-break-after: always;
+        break-after: page;
+      }
+      .sheet:last-child {
+        page-break-after: auto;
+        break-after: auto;
+      }
+      .tile {
+        position: absolute;
+        overflow: hidden;
+      }
+      .tile img {
+        position: absolute;
+        display: block;
+      }
+      /* Strip covered by the next tile; line the next tile's edge up with the dashed line */
+      .overlap {
+        position: absolute;
+        background: rgba(0, 0, 0, 0.04);
+      }
+      .overlap.right {
+        top: 0;
+        right: 0;
+        bottom: 0;
+        border-left: 0.3mm dashed #888;
+      }
+      .overlap.bottom {
+        left: 0;
+        right: 0;
+        bottom: 0;
+        border-top: 0.3mm dashed #888;
+      }
+      .mark {
+        position: absolute;
+        border-top: 0.2mm solid #000;
+        border-left: 0.2mm solid #000;
+      }
+      .label {
+        position: absolute;
+        font-size: 8pt;
+        color: #555;
+        white-space: nowrap;
+      }
+    `, sheets.join(''))
+}
+
+// Shared HTML shell; css is placed after the page and body defaults
+const printDocument = (title, sheet, css, body) => `<!DOCTYPE html>
+<html>
+  <head>
+    <title>${escapeHtml(title)}</title>
+    <style>
+      @page {
+        size: ${mm(sheet.width)} ${mm(sheet.height)};
+        margin: 0;
+      }
+      * {
+        box-sizing: border-box;
+      }
+      html, body {
+        margin: 0;
+        padding: 0;
+        background: white;
+        font-family: Arial, Helvetica, sans-serif;
+        -webkit-print-color-adjust: exact;
+        print-color-adjust: exact;
+      }
+${css.replace(/^\n/, '').trimEnd()}
+    </style>
+  </head>
+  <body>${body}</body>
+</html>`
+
+// Print an HTML document from a hidden iframe. Resolves once the print
+// dialog has been handed to the browser.
+export const printHtml = (html) => new Promise((resolve, reject) => {
+  const frame = document.createElement('iframe')
+  frame.setAttribute('aria-hidden', 'true')
+  // Zero-sized but not display:none, which some browsers refuse to print
+  frame.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0; visibility: hidden;'
+
+  const cleanup = () => setTimeout(() => frame.remove(), 1000)
+
+  frame.onload = async () => {
+    try {
+      const win = frame.contentWindow
+      // Wait for every image to decode (failed images still print as blanks)
+      await Promise.all(Array.from(win.document.images, img => img.decode().catch(() => {})))
+      win.addEventListener('afterprint', cleanup, { once: true })
+      win.focus()
+      win.print()
+      resolve()
+    } catch (err) {
+      frame.remove()
+      reject(err)
+    }
+  }
+
+  frame.srcdoc = html
+  document.body.appendChild(frame)
+})
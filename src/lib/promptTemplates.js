@@ -0,0 +1,118 @@
+// AI Convert prompt templates: built-in wordings plus user templates kept in
+// localStorage. Templates may use {subject}, {age_group}, {line_weight} and
+// {background}, which are filled in from the sidebar before the prompt is sent.
+
+const STORAGE_KEY = 'prompt_templates'
+
+// Variables a template can use. Options are picked by value; `text` is what
+// ends up in the prompt.
+export const PROMPT_VARIABLES = [
+  {
+    name: 'subject',
+    label: 'Subject',
+    placeholder: 'e.g. a puppy, my daughter, a castle'
+  },
+  {
+    name: 'age_group',
+    label: 'Age group',
+    options: [
+      { value: 'toddlers', label: 'Toddlers (2-4)', text: 'toddlers aged 2-4, with a few large, simple shapes and no small details' },
+      { value: 'kids', label: 'Kids (5-8)', text: 'kids aged 5-8' },
+      { value: 'older-kids', label: 'Older kids (9-12)', text: 'older kids aged 9-12, with more detail and smaller areas to color' },
+      { value: 'adults', label: 'Adults', text: 'adults, with intricate detail and patterns' }
+    ]
+  },
+  {
+    name: 'line_weight',
+    label: 'Line weight',
+    options: [
+      { value: 'thin', label: 'Thin', text: 'thin' },
+      { value: 'medium', label: 'Medium', text: 'medium-weight' },
+      { value: 'thick', label: 'Thick', text: 'thick' },
+      { value: 'extra-thick', label: 'Extra thick', text: 'extra thick, marker-like' }
+    ]
+  },
+  {
+    name: 'background',
+    label: 'Background',
+    options: [
+      { value: 'white', label: 'Plain white', text: 'Remove the background completely (replace with pure white)' },
+      { value: 'simple', label: 'Simple scene', text: 'Replace the background with a simple outlined scene that suits the subject' },
+      { value: 'keep', label: 'Keep, simplified', text: 'Keep the background but simplify it to a few clean outlines' }
+    ]
+  }
+]
+
+export const DEFAULT_PROMPT_VARIABLES = {
+  subject: 'the main subject',
+  age_group: 'kids',
+  line_weight: 'thick',
+  background: 'white'
+}
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'builtin-coloring-book',
+    name: 'Coloring book',
+    builtIn: true,
+    text: 'Transform this image into a bold black-and-white cartoon coloring book page for {age_group}. The subject is {subject}. {background}. Create {line_weight}, continuous black outlines around the main subject with clear edges. The result should look like a professional coloring book page with simple, bold lines on a white background - perfect for printing and coloring.'
+  },
+  {
+    id: 'builtin-cartoon',
+    name: 'Cartoon character',
+    builtIn: true,
+    text: 'Redraw {subject} from this photo as a friendly cartoon character for a coloring book for {age_group}. Exaggerate the expression slightly and keep the pose. {background}. Use {line_weight} black outlines only - no shading, no gray, no filled areas.'
+  },
+  {
+    id: 'builtin-pattern',
+    name: 'Pattern fill',
+    builtIn: true,
+    text: 'Turn {subject} in this image into a black-and-white coloring page for {age_group}. Keep the outline recognisable and fill the inside with decorative patterns (swirls, flowers, geometric shapes) to color. {background}. Use {line_weight} black lines on pure white, no shading.'
+  }
+]
+
+// Fill the variables into a template; unknown {names} are left as they are
+export const renderPrompt = (text, values = DEFAULT_PROMPT_VARIABLES) =>
+  text.replace(/\{(\w+)\}/g, (match, name) => {
+    const variable = PROMPT_VARIABLES.find(v => v.name === name)
+    if (!variable) return match
+    const value = values[name] ?? DEFAULT_PROMPT_VARIABLES[name]
+    if (variable.options) {
+      const option = variable.options.find(o => o.value === value) ||
+        variable.options.find(o => o.value === DEFAULT_PROMPT_VARIABLES[name])
+      return option.text
+    }
+    return String(value).trim() || DEFAULT_PROMPT_VARIABLES[name]
+  })
+
+// Variables a template refers to, so the sidebar only shows the relevant ones
+export const getTemplateVariables = (text) =>
+  PROMPT_VARIABLES.filter(variable => text.includes(`{${variable.name}}`))
+
+export const createTemplateId = () =>
+  `template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`
+
+// User templates from localStorage (corrupt entries are dropped)
+export const loadUserTemplates = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]')
+    if (!Array.isArray(stored)) return []
+    return stored
+      .filter(template => template && typeof template.name === 'string' && template.name.trim() &&
+        typeof template.text === 'string')
+      .map(template => ({
+        id: typeof template.id === 'string' ? template.id : createTemplateId(),
+        name: template.name.trim(),
+        text: template.text
+      }))
+  } catch {
+    return []
+  }
+}
+
+export const saveUserTemplates = (templates) => {
+  localStorage.setItem(
+    STORAGE_KEY,
+    JSON.stringify(templates.map(({ id, name, text }) => ({ id, name, text })))
+  )
+}
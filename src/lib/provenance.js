@@ -0,0 +1,69 @@
+// Provenance of generated gallery items: which original they came from, which
+// pipeline made them and the settings or prompt that were used.
+//
+// Fields stored on a gallery item (all optional, originals have none):
+//   sourceId    id of the item it was made from (an original, or a coloring page for AI retouch)
+//   originalId  id of the original photo at the root of the chain
+//   pipeline    one of PIPELINES below
+//   params      line-art parameter snapshot (live/opencv), paint-by-number options
+//               or { plan } for AI retouch (see retouchPlan.js)
+//   prompt      AI prompt that was sent
+import { LINE_METHODS } from './lineArt.js'
+import { describePlan } from './retouchPlan.js'
+
+export const PIPELINES = {
+  live: 'Live camera',
+  opencv: 'OpenCV convert',
+  'ai-convert': 'AI convert',
+  'ai-retouch': 'AI retouch',
+  'paint-by-number': 'Paint by number',
+  colored: 'Colored in app',
+  'touch-up': 'Touched up',
+  crop: 'Cropped'
+}
+
+// Pipelines that "Regenerate from original" can re-run
+const REGENERABLE = ['live', 'opencv', 'ai-convert', 'ai-retouch', 'paint-by-number']
+
+export const canRegenerate = (item) => REGENERABLE.includes(item.pipeline)
+
+// Root original of an item (the item itself for originals)
+export const getOriginalId = (item) =>
+  item.type === 'original' ? item.id : item.originalId ?? item.sourceId ?? null
+
+// Provenance fields for a new item made from `source`
+export const provenanceFrom = (source, pipeline, extra = {}) => ({
+  sourceId: source?.id ?? null,
+  originalId: source ? getOriginalId(source) : null,
+  pipeline,
+  ...extra
+})
+
+// One-line summary for tooltips
+export const describeProvenance = (item) => {
+  if (item.type === 'original') {
+    const origin = item.uploaded
+      ? 'Uploaded photo'
+      : item.videoFrame
+        ? `Frame from ${item.videoFrame.name} at ${item.videoFrame.time.toFixed(2)}s`
+        : 'Captured from camera'
+    return item.pipeline === 'crop' ? `${origin} · cropped copy` : origin
+  }
+  if (item.type === 'video') return item.sideBySide ? 'Live recording · side by side' : 'Live recording'
+  if (!item.pipeline) return 'Coloring book'
+
+  const parts = [PIPELINES[item.pipeline] || item.pipeline]
+  if (item.params?.lineMethod) {
+    parts.push(LINE_METHODS.find(method => method.value === item.params.lineMethod)?.label || item.params.lineMethod)
+  }
+  if (item.pipeline === 'paint-by-number' && item.params?.colors) {
+    parts.push(`${item.params.colors} colors`)
+  }
+  if (item.pipeline === 'ai-retouch' && item.params?.plan) {
+    parts.push(describePlan(item.params.plan))
+  }
+  if (item.prompt) {
+    parts.push(`"${item.prompt.length > 60 ? `${item.prompt.slice(0, 57)}...` : item.prompt}"`)
+  }
+  return parts.join(' · ')
+}
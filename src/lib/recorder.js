@@ -0,0 +1,82 @@
+// Records the live coloring-book canvas (optionally side by side with the
+// original) to WebM with MediaRecorder
+
+const RECORD_FPS = 30
+const VIDEO_BITS_PER_SECOND = 4000000
+
+const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+
+export const isRecordingSupported = () =>
+  typeof MediaRecorder !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' &&
+  typeof HTMLCanvasElement.prototype.captureStream === 'function'
+
+// processed / original: live canvases. Returns { start(), stop() }; stop()
+// resolves to { blob, duration } with duration in milliseconds.
+export const createCanvasRecorder = ({ processed, original, sideBySide = false }) => {
+  let source = processed
+  let frameId = null
+
+  if (sideBySide) {
+    // Composite canvas redrawn every animation frame: original left, coloring right
+    source = document.createElement('canvas')
+    source.width = original.width + processed.width
+    source.height = Math.max(original.height, processed.height)
+    const ctx = source.getContext('2d')
+
+    const draw = () => {
+      ctx.fillStyle = 'white'
+      ctx.fillRect(0, 0, source.width, source.height)
+      ctx.drawImage(original, 0, 0)
+      ctx.drawImage(processed, original.width, 0)
+      frameId = requestAnimationFrame(draw)
+    }
+    draw()
+  }
+
+  const stream = source.captureStream(RECORD_FPS)
+  const mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || ''
+  const recorder = new MediaRecorder(stream, {
+    ...(mimeType && { mimeType }),
+    videoBitsPerSecond: VIDEO_BITS_PER_SECOND
+  })
+  const chunks = []
+  let startedAt = 0
+
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) chunks.push(event.data)
+  }
+
+  const release = () => {
+    if (frameId !== null) cancelAnimationFrame(frameId)
+    stream.getTracks().forEach(track => track.stop())
+  }
+
+  const start = () => {
+    startedAt = performance.now()
+    // Collect data every second so a long recording isn't one huge chunk
+    recorder.start(1000)
+  }
+
+  const stop = () => new Promise((resolve, reject) => {
+    recorder.onstop = () => {
+      release()
+      // Drop the codecs parameter so the type maps to a .webm extension
+      const type = (recorder.mimeType || mimeType || 'video/webm').split(';')[0]
+      resolve({ blob: new Blob(chunks, { type }), duration: performance.now() - startedAt })
+    }
+    recorder.onerror = (event) => {
+      release()
+      reject(event.error || new Error('Recording failed'))
+    }
+    recorder.stop()
+  })
+
+  return { start, stop }
+}
+
+// 65000 -> "1:05"
+export const formatDuration = (ms) => {
+  const seconds = Math.floor(ms / 1000)
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
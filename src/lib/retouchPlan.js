@@ -0,0 +1,276 @@
+// AI Retouch plans: the model answers with a JSON plan of operations and
+// strengths, which is validated, shown for review and mapped onto OpenCV.
+//
+// Like lineArt.js, applyRetouchPlan works on Mats only so it runs anywhere.
+
+// Every operation the model may ask for, in the order they are applied.
+// Strength is 1 (subtle) to 5 (strong).
+export const RETOUCH_OPERATIONS = [
+  { op: 'denoise', label: 'Denoise', hint: 'Median blur to remove grain' },
+  { op: 'edge_detect', label: 'Re-trace edges', hint: 'Redraw the lines from edges (for shaded or photo-like pages)' },
+  { op: 'sharpen', label: 'Sharpen', hint: 'Unsharp mask so faint lines survive thresholding' },
+  { op: 'remove_specks', label: 'Remove specks', hint: 'Drop small isolated dots' },
+  { op: 'connect_lines', label: 'Connect lines', hint: 'Close small gaps in outlines' },
+  { op: 'bold_lines', label: 'Bold lines', hint: 'Make lines thicker' },
+  { op: 'thin_lines', label: 'Thin lines', hint: 'Make lines thinner' },
+  { op: 'smooth_edges', label: 'Smooth edges', hint: 'Round off jagged line edges' }
+]
+
+export const MIN_STRENGTH = 1
+export const MAX_STRENGTH = 5
+const DEFAULT_STRENGTH = 2
+
+// JSON Schema the model is asked to follow; validateRetouchPlan checks against it
+export const RETOUCH_PLAN_SCHEMA = {
+  type: 'object',
+  required: ['operations'],
+  properties: {
+    operations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['op', 'strength'],
+        properties: {
+          op: { type: 'string', enum: RETOUCH_OPERATIONS.map(operation => operation.op) },
+          strength: { type: 'integer', minimum: MIN_STRENGTH, maximum: MAX_STRENGTH }
+        }
+      }
+    },
+    notes: { type: 'string' }
+  }
+}
+
+export const DEFAULT_RETOUCH_PROMPT = `Analyze this coloring book line art image. Identify issues like broken lines, noise, specks, uneven line thickness or jagged edges, and plan fixes. Reply with only JSON matching this schema, no other text:
+${JSON.stringify(RETOUCH_PLAN_SCHEMA)}
+Operations: ${RETOUCH_OPERATIONS.map(operation => `${operation.op} (${operation.hint.toLowerCase()})`).join(', ')}. Strength is ${MIN_STRENGTH} (subtle) to ${MAX_STRENGTH} (strong). Only include operations the image needs; never both bold_lines and thin_lines.`
+
+// Used when the reply has nothing usable
+export const DEFAULT_RETOUCH_PLAN = {
+  operations: [
+    { op: 'denoise', strength: DEFAULT_STRENGTH },
+    { op: 'sharpen', strength: DEFAULT_STRENGTH }
+  ],
+  notes: ''
+}
+
+// Check a parsed reply against RETOUCH_PLAN_SCHEMA. Returns the problems found
+// (empty when valid).
+export const validateRetouchPlan = (plan) => {
+  const errors = []
+  const itemSchema = RETOUCH_PLAN_SCHEMA.properties.operations.items.properties
+
+  if (!plan || typeof plan !== 'object' || Array.isArray(plan)) {
+    return ['plan is not an object']
+  }
+  if (!Array.isArray(plan.operations)) {
+    return ['"operations" must be an array']
+  }
+  if (plan.notes !== undefined && typeof plan.notes !== 'string') {
+    errors.push('"notes" must be a string')
+  }
+  plan.operations.forEach((operation, index) => {
+    if (!operation || typeof operation !== 'object') {
+      errors.push(`operation ${index + 1} is not an object`)
+      return
+    }
+    if (!itemSchema.op.enum.includes(operation.op)) {
+      errors.push(`operation ${index + 1}: unknown op "${operation.op}"`)
+    }
+    const { strength } = operation
+    if (!Number.isInteger(strength) || strength < itemSchema.strength.minimum || strength > itemSchema.strength.maximum) {
+      errors.push(`operation ${index + 1}: strength must be an integer ${MIN_STRENGTH}-${MAX_STRENGTH}`)
+    }
+  })
+  return errors
+}
+
+// Keep known operations once each (first wins), with strengths clamped
+const normalizePlan = (plan) => {
+  const operations = []
+  for (const operation of plan.operations || []) {
+    if (!RETOUCH_OPERATIONS.some(known => known.op === operation?.op)) continue
+    if (operations.some(existing => existing.op === operation.op)) continue
+    const strength = Math.round(Number(operation.strength))
+    operations.push({
+      op: operation.op,
+      strength: Number.isFinite(strength)
+        ? Math.min(MAX_STRENGTH, Math.max(MIN_STRENGTH, strength))
+        : DEFAULT_STRENGTH
+    })
+  }
+  return { operations, notes: typeof plan.notes === 'string' ? plan.notes : '' }
+}
+
+// Turn an operation on (with a strength) or off (strength null), keeping the
+// apply order. bold_lines and thin_lines exclude each other.
+export const updatePlanOperation = (plan, op, strength) => {
+  const opposite = { bold_lines: 'thin_lines', thin_lines: 'bold_lines' }[op]
+  const kept = plan.operations.filter(operation => operation.op !== op && operation.op !== (strength === null ? null : opposite))
+  const operations = strength === null ? kept : [...kept, { op, strength }]
+  const order = RETOUCH_OPERATIONS.map(operation => operation.op)
+  return { ...plan, operations: operations.sort((a, b) => order.indexOf(a.op) - order.indexOf(b.op)) }
+}
+
+// Short summary such as "denoise 2, connect_lines 3"
+export const describePlan = (plan) =>
+  plan.operations.map(operation => `${operation.op} ${operation.strength}`).join(', ')
+
+// First {...} block of a reply, ignoring ```json fences and chatter around it
+const extractJson = (text) => {
+  const start = text.indexOf('{')
+  const end = text.lastIndexOf('}')
+  return start !== -1 && end > start ? text.slice(start, end + 1) : null
+}
+
+/**
+ * Turn a model reply into a plan.
+ *
+ * @param {string} text - Raw reply text.
+ * @returns {{ plan: object, source: 'json'|'keywords'|'default', warnings: string[] }}
+ *   source says how the plan was obtained: valid (or repaired) JSON, operation
+ *   names found in plain text, or DEFAULT_RETOUCH_PLAN.
+ */
+export const parseRetouchPlan = (text = '') => {
+  const json = extractJson(text)
+  if (json) {
+    try {
+      const parsed = JSON.parse(json)
+      const warnings = validateRetouchPlan(parsed)
+      const plan = normalizePlan(parsed)
+      if (plan.operations.length > 0) return { plan, source: 'json', warnings }
+      warnings.push('no usable operations in plan')
+      return { plan: DEFAULT_RETOUCH_PLAN, source: 'default', warnings }
+    } catch {
+      // Not JSON after all, fall through to keyword matching
+    }
+  }
+
+  // Older prompts reply with comma-separated keywords
+  const lower = text.toLowerCase()
+  const operations = RETOUCH_OPERATIONS
+    .filter(operation => lower.includes(operation.op))
+    .map(operation => ({ op: operation.op, strength: DEFAULT_STRENGTH }))
+  if (operations.length > 0) {
+    return { plan: { operations, notes: '' }, source: 'keywords', warnings: ['reply was not JSON, matched operation names instead'] }
+  }
+  return { plan: DEFAULT_RETOUCH_PLAN, source: 'default', warnings: ['reply had no plan, using the default'] }
+}
+
+const ellipse = (size, cv) =>
+  cv.getStructuringElement(cv.MORPH_ELLIPSE, new cv.Size(size, size))
+
+// Replace `mat` with the result of `fn(mat, out)`
+const step = (mat, fn, cv) => {
+  const out = new cv.Mat()
+  fn(mat, out)
+  mat.delete()
+  return out
+}
+
+// Black lines on white -> white lines on black and back, for morphology
+const invert = (mat, cv) => step(mat, (src, dst) => cv.bitwise_not(src, dst), cv)
+
+// Remove dark connected blobs smaller than minArea pixels
+const removeSpecks = (binary, minArea, cv) => {
+  const lines = new cv.Mat()
+  cv.bitwise_not(binary, lines)
+  const labels = new cv.Mat()
+  const stats = new cv.Mat()
+  const centroids = new cv.Mat()
+  const count = cv.connectedComponentsWithStats(lines, labels, stats, centroids, 8, cv.CV_32S)
+
+  const small = new Uint8Array(count)
+  for (let label = 1; label < count; label++) {
+    small[label] = stats.intPtr(label, cv.CC_STAT_AREA)[0] < minArea ? 1 : 0
+  }
+  const result = binary.clone()
+  const labelData = labels.data32S
+  for (let i = 0; i < labelData.length; i++) {
+    if (small[labelData[i]]) result.data[i] = 255
+  }
+
+  lines.delete()
+  labels.delete()
+  stats.delete()
+  centroids.delete()
+  binary.delete()
+  return result
+}
+
+/**
+ * Apply a retouch plan to line art.
+ *
+ * @param {cv.Mat} src - RGBA, RGB or grayscale image. Not modified.
+ * @param {{ operations: { op: string, strength: number }[] }} plan
+ * @param {object} [cv] - OpenCV module, defaults to the global `cv`.
+ * @returns {cv.Mat} New single-channel Mat, black lines on white. Caller deletes it.
+ */
+export const applyRetouchPlan = (src, plan, cv = globalThis.cv) => {
+  const strengths = Object.fromEntries(plan.operations.map(operation => [operation.op, operation.strength]))
+  const has = (op) => strengths[op] !== undefined
+
+  let mat = new cv.Mat()
+  if (src.channels() === 4) cv.cvtColor(src, mat, cv.COLOR_RGBA2GRAY)
+  else if (src.channels() === 3) cv.cvtColor(src, mat, cv.COLOR_RGB2GRAY)
+  else src.copyTo(mat)
+
+  if (has('denoise')) {
+    const ksize = strengths.denoise >= 4 ? 5 : 3
+    mat = step(mat, (input, out) => cv.medianBlur(input, out, ksize), cv)
+  }
+
+  if (has('edge_detect')) {
+    // Stronger = lower thresholds = more detail kept
+    const low = 90 - strengths.edge_detect * 12
+    const kernel = ellipse(3, cv)
+    mat = step(mat, (input, out) => cv.bilateralFilter(input, out, 9, 75, 75), cv)
+    mat = step(mat, (input, out) => cv.Canny(input, out, low, low * 2.5), cv)
+    // Canny edges are one pixel wide; give them some weight before going back to black on white
+    mat = step(mat, (input, out) => cv.dilate(input, out, kernel), cv)
+    mat = invert(mat, cv)
+    kernel.delete()
+  }
+
+  if (has('sharpen')) {
+    const amount = strengths.sharpen * 0.5
+    const blurred = new cv.Mat()
+    cv.GaussianBlur(mat, blurred, new cv.Size(0, 0), 2)
+    mat = step(mat, (input, out) => cv.addWeighted(input, 1 + amount, blurred, -amount, 0, out), cv)
+    blurred.delete()
+  }
+
+  // Everything below works on clean black and white
+  mat = step(mat, (input, out) => cv.threshold(input, out, 0, 255, cv.THRESH_BINARY | cv.THRESH_OTSU), cv)
+
+  if (has('remove_specks')) {
+    mat = removeSpecks(mat, strengths.remove_specks * strengths.remove_specks * 4, cv)
+  }
+
+  // Morphology runs on white-on-black lines, where dilate grows the lines
+  mat = invert(mat, cv)
+
+  if (has('connect_lines')) {
+    const kernel = ellipse(strengths.connect_lines * 2 + 1, cv)
+    mat = step(mat, (input, out) => cv.morphologyEx(input, out, cv.MORPH_CLOSE, kernel), cv)
+    kernel.delete()
+  }
+
+  if (has('bold_lines')) {
+    const kernel = ellipse(3, cv)
+    mat = step(mat, (input, out) => cv.dilate(input, out, kernel, new cv.Point(-1, -1), strengths.bold_lines), cv)
+    kernel.delete()
+  } else if (has('thin_lines')) {
+    // A 2x2 kernel takes one pixel per pass, so normal lines survive even at full strength
+    const kernel = cv.Mat.ones(2, 2, cv.CV_8U)
+    mat = step(mat, (input, out) => cv.erode(input, out, kernel, new cv.Point(-1, -1), Math.ceil(strengths.thin_lines / 3)), cv)
+    kernel.delete()
+  }
+
+  if (has('smooth_edges')) {
+    const ksize = strengths.smooth_edges * 2 + 1
+    mat = step(mat, (input, out) => cv.GaussianBlur(input, out, new cv.Size(ksize, ksize), 0), cv)
+    mat = step(mat, (input, out) => cv.threshold(input, out, 127, 255, cv.THRESH_BINARY), cv)
+  }
+
+  return invert(mat, cv)
+}
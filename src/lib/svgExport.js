@@ -0,0 +1,347 @@
+// Vector export: trace binary line art into a clean, printable SVG.
+//
+// Two styles are supported:
+//   fill   - outer/inner contours of the ink as one even-odd filled path
+//            (faithful to the raster, including line thickness)
+//   stroke - the ink is thinned to a 1px skeleton and traced into open
+//            centerline paths drawn with a uniform stroke width
+// Like lineArt.js this only needs an OpenCV Mat, no DOM.
+import { toGray } from './lineArt.js'
+
+export const DEFAULT_SVG_OPTIONS = {
+  mode: 'fill',
+  lineWeight: 2, // Stroke width in px (fill mode: extra outline, 1 = as traced)
+  tolerance: 1.5, // Ramer-Douglas-Peucker simplification in px, higher = smaller file
+  smooth: true, // Fit Catmull-Rom curves through the simplified points
+  minArea: 6 // Ignore specks smaller than this many pixels
+}
+
+// Orthogonal neighbors first so walks step through every pixel of a staircase
+const NEIGHBOR_OFFSETS = [
+  [0, -1], [1, 0], [0, 1], [-1, 0],
+  [1, -1], [1, 1], [-1, 1], [-1, -1]
+]
+
+// Clockwise ring used to count how many separate branches meet at a pixel
+const RING_OFFSETS = [
+  [0, -1], [1, -1], [1, 0], [1, 1],
+  [0, 1], [-1, 1], [-1, 0], [-1, -1]
+]
+
+// Perpendicular distance from p to the segment a-b
+const segmentDistance = (p, a, b) => {
+  const dx = b[0] - a[0]
+  const dy = b[1] - a[1]
+  const lengthSq = dx * dx + dy * dy
+  if (lengthSq === 0) return Math.hypot(p[0] - a[0], p[1] - a[1])
+  const t = Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq))
+  return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy))
+}
+
+// Ramer-Douglas-Peucker polyline simplification (iterative to avoid deep recursion)
+export const simplifyPolyline = (points, tolerance) => {
+  if (points.length < 3 || tolerance <= 0) return points
+
+  const keep = new Uint8Array(points.length)
+  keep[0] = 1
+  keep[points.length - 1] = 1
+  const stack = [[0, points.length - 1]]
+
+  while (stack.length > 0) {
+    const [start, end] = stack.pop()
+    let maxDistance = 0
+    let index = -1
+    for (let i = start + 1; i < end; i++) {
+      const distance = segmentDistance(points[i], points[start], points[end])
+      if (distance > maxDistance) {
+        maxDistance = distance
+        index = i
+      }
+    }
+    if (index !== -1 && maxDistance > tolerance) {
+      keep[index] = 1
+      stack.push([start, index], [index, end])
+    }
+  }
+
+  return points.filter((_, i) => keep[i])
+}
+
+const fmt = (value) => Number(value.toFixed(1))
+
+// Build SVG path data, optionally as smooth Catmull-Rom curves
+export const pointsToPathData = (points, closed, smooth) => {
+  if (points.length === 0) return ''
+  const [first] = points
+  let d = `M${fmt(first[0])} ${fmt(first[1])}`
+
+  if (!smooth || points.length < 3) {
+    for (let i = 1; i < points.length; i++) {
+      d += `L${fmt(points[i][0])} ${fmt(points[i][1])}`
+    }
+    return closed ? `${d}Z` : d
+  }
+
+  const count = points.length
+  const at = (i) => closed
+    ? points[(i + count) % count]
+    : points[Math.max(0, Math.min(count - 1, i))]
+  const segments = closed ? count : count - 1
+
+  for (let i = 0; i < segments; i++) {
+    const p0 = at(i - 1)
+    const p1 = at(i)
+    const p2 = at(i + 1)
+    const p3 = at(i + 2)
+    const c1x = p1[0] + (p2[0] - p0[0]) / 6
+    const c1y = p1[1] + (p2[1] - p0[1]) / 6
+    const c2x = p2[0] - (p3[0] - p1[0]) / 6
+    const c2y = p2[1] - (p3[1] - p1[1]) / 6
+    d += `C${fmt(c1x)} ${fmt(c1y)} ${fmt(c2x)} ${fmt(c2y)} ${fmt(p2[0])} ${fmt(p2[1])}`
+  }
+  return closed ? `${d}Z` : d
+}
+
+// Ink mask: 1 where the line art is dark
+const inkMask = (src, cv) => {
+  const gray = toGray(src, cv)
+  const ink = new cv.Mat()
+  cv.threshold(gray, ink, 128, 255, cv.THRESH_BINARY_INV)
+  gray.delete()
+  return ink
+}
+
+// Closed contour paths (outer boundaries and holes) for fill mode
+const traceContours = (ink, options, cv) => {
+  const contours = new cv.MatVector()
+  const hierarchy = new cv.Mat()
+  cv.findContours(ink, contours, hierarchy, cv.RETR_CCOMP, cv.CHAIN_APPROX_NONE)
+
+  const paths = []
+  for (let i = 0; i < contours.size(); i++) {
+    const contour = contours.get(i)
+    if (Math.abs(cv.contourArea(contour)) >= options.minArea) {
+      const raw = contour.data32S
+      const points = []
+      for (let j = 0; j < raw.length; j += 2) {
+        points.push([raw[j] + 0.5, raw[j + 1] + 0.5])
+      }
+      // Close the ring for RDP so the seam point is kept
+      const simplified = simplifyPolyline([...points, points[0]], options.tolerance).slice(0, -1)
+      if (simplified.length >= 3) {
+        paths.push(pointsToPathData(simplified, true, options.smooth))
+      }
+    }
+    contour.delete()
+  }
+
+  contours.delete()
+  hierarchy.delete()
+  return paths
+}
+
+// Zhang-Suen thinning of a 0/1 mask, in place
+const thin = (mask, width, height) => {
+  const toRemove = []
+  let changed = true
+
+  const pixel = (x, y) => (x < 0 || y < 0 || x >= width || y >= height ? 0 : mask[y * width + x])
+
+  while (changed) {
+    changed = false
+    for (let pass = 0; pass < 2; pass++) {
+      toRemove.length = 0
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          if (!mask[y * width + x]) continue
+          const p2 = pixel(x, y - 1)
+          const p3 = pixel(x + 1, y - 1)
+          const p4 = pixel(x + 1, y)
+          const p5 = pixel(x + 1, y + 1)
+          const p6 = pixel(x, y + 1)
+          const p7 = pixel(x - 1, y + 1)
+          const p8 = pixel(x - 1, y)
+          const p9 = pixel(x - 1, y - 1)
+          const neighbors = p2 + p3 + p4 + p5 + p6 + p7 + p8 + p9
+          if (neighbors < 2 || neighbors > 6) continue
+
+          const sequence = [p2, p3, p4, p5, p6, p7, p8, p9, p2]
+          let transitions = 0
+          for (let i = 0; i < 8; i++) {
+            if (sequence[i] === 0 && sequence[i + 1] === 1) transitions++
+          }
+          if (transitions !== 1) continue
+
+          if (pass === 0 ? (p2 * p4 * p6 === 0 && p4 * p6 * p8 === 0)
+            : (p2 * p4 * p8 === 0 && p2 * p6 * p8 === 0)) {
+            toRemove.push(y * width + x)
+          }
+        }
+      }
+      for (const index of toRemove) mask[index] = 0
+      if (toRemove.length > 0) changed = true
+    }
+  }
+}
+
+// Walk a thinned mask into polylines, splitting at endpoints and junctions
+const traceSkeleton = (mask, width, height) => {
+  const neighborsOf = (index) => {
+    const x = index % width
+    const y = (index - x) / width
+    const result = []
+    for (const [dx, dy] of NEIGHBOR_OFFSETS) {
+      const nx = x + dx
+      const ny = y + dy
+      if (nx >= 0 && ny >= 0 && nx < width && ny < height && mask[ny * width + nx]) {
+        result.push(ny * width + nx)
+      }
+    }
+    return result
+  }
+  const toPoint = (index) => [(index % width) + 0.5, Math.floor(index / width) + 0.5]
+
+  // Number of 0 -> 1 transitions around the pixel: 1 = endpoint, 2 = line, 3+ = junction
+  const branchesOf = (index) => {
+    const x = index % width
+    const y = (index - x) / width
+    const ring = RING_OFFSETS.map(([dx, dy]) => {
+      const nx = x + dx
+      const ny = y + dy
+      return nx >= 0 && ny >= 0 && nx < width && ny < height ? mask[ny * width + nx] : 0
+    })
+    let transitions = 0
+    for (let i = 0; i < 8; i++) {
+      if (ring[i] === 0 && ring[(i + 1) % 8] === 1) transitions++
+    }
+    return transitions
+  }
+
+  const isNode = new Uint8Array(mask.length)
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i] && branchesOf(i) !== 2) isNode[i] = 1
+  }
+
+  const visited = new Uint8Array(mask.length)
+  const nodeLinks = new Set()
+  const polylines = []
+
+  const walk = (start, next) => {
+    const path = [start]
+    let previous = start
+    let current = next
+    while (true) {
+      path.push(current)
+      if (isNode[current] || visited[current]) break
+      visited[current] = 1
+      const candidates = neighborsOf(current).filter(n => n !== previous && (!visited[n] || isNode[n]))
+      if (candidates.length === 0) break
+      previous = current
+      current = candidates[0]
+    }
+    return path
+  }
+
+  // Open paths between endpoints/junctions
+  for (let i = 0; i < mask.length; i++) {
+    if (!isNode[i]) continue
+    visited[i] = 1
+    for (const neighbor of neighborsOf(i)) {
+      if (isNode[neighbor]) {
+        const key = Math.min(i, neighbor) * mask.length + Math.max(i, neighbor)
+        if (nodeLinks.has(key)) continue
+        nodeLinks.add(key)
+        polylines.push({ points: [toPoint(i), toPoint(neighbor)], closed: false })
+      } else if (!visited[neighbor]) {
+        polylines.push({ points: walk(i, neighbor).map(toPoint), closed: false })
+      }
+    }
+    // An isolated dot still deserves a mark
+    if (neighborsOf(i).length === 0) {
+      polylines.push({ points: [toPoint(i), toPoint(i)], closed: false })
+    }
+  }
+
+  // Remaining pixels belong to closed loops with no junctions
+  for (let i = 0; i < mask.length; i++) {
+    if (!mask[i] || visited[i]) continue
+    visited[i] = 1
+    const [next] = neighborsOf(i)
+    // walk() never steps back onto the visited start, so every point is distinct
+    polylines.push({ points: walk(i, next).map(toPoint), closed: true })
+  }
+
+  return polylines
+}
+
+// Erase ink blobs smaller than minArea so they don't become stray strokes
+const removeSpecks = (ink, minArea, cv) => {
+  const contours = new cv.MatVector()
+  const hierarchy = new cv.Mat()
+  cv.findContours(ink, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE)
+  for (let i = 0; i < contours.size(); i++) {
+    const contour = contours.get(i)
+    if (cv.contourArea(contour) < minArea) {
+      cv.drawContours(ink, contours, i, new cv.Scalar(0), cv.FILLED)
+    }
+    contour.delete()
+  }
+  contours.delete()
+  hierarchy.delete()
+}
+
+// Open centerline paths for stroke mode
+const traceCenterlines = (ink, options, cv) => {
+  removeSpecks(ink, options.minArea, cv)
+  const { cols: width, rows: height } = ink
+  const mask = new Uint8Array(width * height)
+  for (let i = 0; i < mask.length; i++) mask[i] = ink.data[i] ? 1 : 0
+
+  thin(mask, width, height)
+
+  const paths = []
+  for (const { points, closed } of traceSkeleton(mask, width, height)) {
+    const simplified = closed
+      ? simplifyPolyline([...points, points[0]], options.tolerance).slice(0, -1)
+      : simplifyPolyline(points, options.tolerance)
+    paths.push(pointsToPathData(simplified, closed && simplified.length >= 3, options.smooth))
+  }
+  return paths
+}
+
+/**
+ * Trace black-on-white line art into an SVG document.
+ *
+ * @param {cv.Mat} src - Line art (any channel count), dark lines on light background.
+ * @param {object} [options] - See DEFAULT_SVG_OPTIONS.
+ * @param {object} [cv] - OpenCV module, defaults to the global `cv`.
+ * @returns {string} SVG markup sized to the source image.
+ */
+export const traceLineArtToSvg = (src, options = {}, cv = globalThis.cv) => {
+  const settings = { ...DEFAULT_SVG_OPTIONS, ...options }
+  const { cols: width, rows: height } = src
+  const ink = inkMask(src, cv)
+
+  let body
+  try {
+    if (settings.mode === 'stroke') {
+      const d = traceCenterlines(ink, settings, cv).join('')
+      body = `<path d="${d}" fill="none" stroke="#000" stroke-width="${settings.lineWeight}" stroke-linecap="round" stroke-linejoin="round"/>`
+    } else {
+      const d = traceContours(ink, settings, cv).join('')
+      const outline = Math.max(0, settings.lineWeight - 1)
+      body = outline > 0
+        ? `<path d="${d}" fill="#000" fill-rule="evenodd" stroke="#000" stroke-width="${outline}" stroke-linejoin="round"/>`
+        : `<path d="${d}" fill="#000" fill-rule="evenodd"/>`
+    }
+  } finally {
+    ink.delete()
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="${width}" height="${height}" fill="#fff"/>`,
+    body,
+    '</svg>'
+  ].join('\n')
+}
@@ -0,0 +1,70 @@
+// Local video files as an input source instead of the camera, and frame
+// extraction for turning a clip into flip-book pages
+
+export const VIDEO_FILE_TYPES = 'video/mp4,video/webm'
+
+// The browser doesn't expose a file's frame rate, so it is picked by hand
+export const FRAME_RATES = [24, 25, 30, 60]
+
+export const DEFAULT_EXTRACT_OPTIONS = {
+  every: 10, // take every Nth frame
+  fps: 30
+}
+
+// Warn before extracting more frames than this
+export const EXTRACT_WARN_COUNT = 60
+
+// Timestamps (seconds) of every Nth frame from the start of the clip
+export const getExtractTimes = (duration, { every, fps }) => {
+  const step = every / fps
+  const times = []
+  for (let i = 0; i * step < duration; i++) {
+    times.push(Number((i * step).toFixed(3)))
+  }
+  return times
+}
+
+// Seek and resolve once the frame at `time` can be drawn
+export const seekVideo = (video, time) => new Promise((resolve, reject) => {
+  const cleanup = () => {
+    video.removeEventListener('seeked', handleSeeked)
+    video.removeEventListener('error', handleError)
+  }
+  const handleSeeked = () => {
+    cleanup()
+    resolve()
+  }
+  const handleError = () => {
+    cleanup()
+    reject(new Error(video.error?.message || 'Could not seek the video'))
+  }
+
+  video.addEventListener('seeked', handleSeeked)
+  video.addEventListener('error', handleError)
+  video.currentTime = time
+})
+
+// WebM files from MediaRecorder carry no duration, so the browser reports Infinity
+// until it has seen the end. Seeking far past the end makes it look, after which
+// the playhead goes back to the start. Resolves to the duration in seconds, or 0
+// if it can't be found within `timeout` ms.
+export const resolveVideoDuration = (video, timeout = 5000) => new Promise((resolve) => {
+  if (Number.isFinite(video.duration)) {
+    resolve(video.duration)
+    return
+  }
+
+  const finish = (duration) => {
+    clearTimeout(timer)
+    video.removeEventListener('durationchange', handleDurationChange)
+    video.currentTime = 0
+    resolve(duration)
+  }
+  const handleDurationChange = () => {
+    if (Number.isFinite(video.duration)) finish(video.duration)
+  }
+  const timer = setTimeout(() => finish(0), timeout)
+
+  video.addEventListener('durationchange', handleDurationChange)
+  video.currentTime = 1e101
+})
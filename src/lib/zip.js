@@ -0,0 +1,82 @@
+// Minimal ZIP writer. Entries are stored uncompressed: gallery images are
+// already PNG/JPEG compressed, so deflating them again gains almost nothing.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// MS-DOS time/date fields used by the ZIP headers
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+})
+
+// Build a ZIP Blob from [{ name, data: Blob | Uint8Array, date? }]
+export const createZip = async (files) => {
+  const encoder = new TextEncoder()
+  const chunks = []
+  const central = []
+  let offset = 0
+
+  for (const file of files) {
+    const data = file.data instanceof Uint8Array
+      ? file.data
+      : new Uint8Array(await file.data.arrayBuffer())
+    const name = encoder.encode(file.name)
+    const crc = crc32(data)
+    const { time, date } = dosDateTime(file.date || new Date())
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true) // local file header signature
+    local.setUint16(4, 20, true) // version needed to extract
+    local.setUint16(6, 0x0800, true) // UTF-8 file names
+    local.setUint16(8, 0, true) // stored
+    local.setUint16(10, time, true)
+    local.setUint16(12, date, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    local.setUint16(28, 0, true)
+
+    const header = new DataView(new ArrayBuffer(46))
+    header.setUint32(0, 0x02014b50, true) // central directory signature
+    header.setUint16(4, 20, true) // version made by
+    header.setUint16(6, 20, true)
+    header.setUint16(8, 0x0800, true)
+    header.setUint16(10, 0, true)
+    header.setUint16(12, time, true)
+    header.setUint16(14, date, true)
+    header.setUint32(16, crc, true)
+    header.setUint32(20, data.length, true)
+    header.setUint32(24, data.length, true)
+    header.setUint16(28, name.length, true)
+    header.setUint32(42, offset, true) // offset of the local header
+
+    chunks.push(local, name, data)
+    central.push(header, name)
+    offset += 30 + name.length + data.length
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true) // end of central directory signature
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  return new Blob([...chunks, ...central, end], { type: 'application/zip' })
+}
@@ -1,9 +1,21 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    port: 8000
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd())
+
+  return {
+    plugins: [react()],
+    // Proxy builds must not carry a Gemini key, even if one is set in .env
+    define: env.VITE_AI_PROXY_URL
+      ? { 'import.meta.env.VITE_GEMINI_API_KEY': '""' }
+      : {},
+    server: {
+      port: 8000,
+      // AI proxy (npm run server) during development
+      proxy: {
+        '/api': 'http://127.0.0.1:8787'
+      }
+    }
   }
 })